@@ -0,0 +1,82 @@
+/**
+ * Failed attempt limits for Tizo Kiosk
+ * Counts failed attempts per key (an account, a client address, ...) and locks the key out once it has
+ * failed too often within the lockout window. An attempt is counted before it is checked and given back
+ * when it succeeds, so parallel requests cannot all pass the limit while the first one is still checked.
+ */
+
+/**
+ * Create a failed attempt limit
+ * @param {number} maxFailures Failed attempts allowed per key within lockoutMs
+ * @param {number} lockoutMs How long failures are remembered (counted from the first one)
+ * @returns {Object} { tryAttempt, releaseAttempt, clearAttempts, isLockedOut }
+ */
+function createAttemptLimiter(maxFailures, lockoutMs) {
+    const failures = new Map();
+
+    // Forget failures that have run out, so attempts on made-up keys do not pile up
+    function prune() {
+        for (const [key, entry] of failures) {
+            if (Date.now() - entry.since > lockoutMs) failures.delete(key);
+        }
+    }
+
+    /**
+     * Whether a key has failed too often and must wait
+     * @param {string} key
+     * @returns {boolean}
+     */
+    function isLockedOut(key) {
+        prune();
+        const entry = failures.get(key);
+        return entry !== undefined && entry.count >= maxFailures;
+    }
+
+    /**
+     * Count an attempt as failed before it is checked
+     * @param {string} key
+     * @returns {boolean} False if the key is locked out (nothing is counted)
+     */
+    function tryAttempt(key) {
+        if (isLockedOut(key)) return false;
+        const entry = failures.get(key) || { count: 0, since: Date.now() };
+        entry.count++;
+        failures.set(key, entry);
+        return true;
+    }
+
+    /**
+     * Give back an attempt counted by tryAttempt once it has succeeded
+     * @param {string} key
+     */
+    function releaseAttempt(key) {
+        const entry = failures.get(key);
+        if (!entry) return;
+        entry.count--;
+        if (entry.count <= 0) failures.delete(key);
+    }
+
+    /**
+     * Forget every failure of a key (e.g. after a successful login)
+     * @param {string} key
+     */
+    function clearAttempts(key) {
+        failures.delete(key);
+    }
+
+    return { tryAttempt, releaseAttempt, clearAttempts, isLockedOut };
+}
+
+/**
+ * Address of the client that sent a request, for limits per client
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function getClientAddress(req) {
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+    createAttemptLimiter,
+    getClientAddress
+};
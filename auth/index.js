@@ -0,0 +1,159 @@
+/**
+ * Admin and Staff Authentication for Tizo Kiosk
+ * Admins log in with ADMIN_PASSWORD, kiosk staff with their name and personal PIN (staff table).
+ * Both receive a signed bearer token carrying their role: 'admin' tokens protect the
+ * /api/admin/* endpoints, 'staff' (or 'admin') tokens unlock edit mode.
+ * Tokens are HMAC-signed with ADMIN_TOKEN_SECRET (random per process if not set,
+ * so restarts log everyone out).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createAttemptLimiter } = require('./attempts');
+
+// Async so that checking a PIN does not block the event loop
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_MS = 8 * 60 * 60 * 1000; // 8 hours
+const TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+const ROLES = { ADMIN: 'admin', STAFF: 'staff' };
+
+// Failed logins allowed per account, and per client across accounts, before it is locked out for LOGIN_LOCKOUT_MS
+const MAX_LOGIN_FAILURES = 5;
+const MAX_CLIENT_LOGIN_FAILURES = 20;
+const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+const accountLogins = createAttemptLimiter(MAX_LOGIN_FAILURES, LOGIN_LOCKOUT_MS);
+const clientLogins = createAttemptLimiter(MAX_CLIENT_LOGIN_FAILURES, LOGIN_LOCKOUT_MS);
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Check the admin password
+ * Admin login is disabled entirely while ADMIN_PASSWORD is not configured
+ * @param {string} password Password entered by staff
+ * @returns {boolean}
+ */
+function checkAdminPassword(password) {
+    const expected = process.env.ADMIN_PASSWORD;
+    if (!expected || !password) return false;
+    return safeEqual(password, expected);
+}
+
+/**
+ * Hash a staff PIN for the staff table
+ * @param {string} pin PIN chosen by the staff member
+ * @returns {Promise<string>} 'scrypt$salt$hash'
+ */
+async function hashPin(pin) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = (await scrypt(String(pin), salt, 32)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a PIN against a hash from hashPin
+ * @param {string} pin PIN entered at the kiosk
+ * @param {string} stored Stored hash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPin(pin, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || !pin) return false;
+    return safeEqual((await scrypt(String(pin), salt, 32)).toString('hex'), hash);
+}
+
+/**
+ * Count a login attempt as failed before its password or PIN is checked
+ * Counting first means parallel attempts cannot all pass the limit while the first is still being checked.
+ * @param {string} accountKey Account identifier (e.g. 'staff:<name>')
+ * @param {string} client Address of the client logging in
+ * @returns {boolean} False if the account or the client has failed too often and must wait
+ */
+function beginLoginAttempt(accountKey, client) {
+    if (accountLogins.isLockedOut(accountKey) || !clientLogins.tryAttempt(client)) return false;
+    accountLogins.tryAttempt(accountKey);
+    return true;
+}
+
+/**
+ * Finish a login attempt started with beginLoginAttempt; a success clears the account's failures
+ * @param {string} accountKey Account identifier
+ * @param {string} client Address of the client logging in
+ * @param {boolean} succeeded Whether the login succeeded
+ */
+function endLoginAttempt(accountKey, client, succeeded) {
+    if (succeeded) {
+        accountLogins.clearAttempts(accountKey);
+        clientLogins.releaseAttempt(client);
+    }
+}
+
+/**
+ * Create a signed token
+ * @param {string} subject Who the token belongs to (e.g. 'admin' or the staff member's name)
+ * @param {string} [role] ROLES.ADMIN or ROLES.STAFF
+ * @returns {{token: string, expiresAt: number}}
+ */
+function createToken(subject, role = ROLES.ADMIN) {
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({ sub: subject, role: role, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: expiresAt };
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token Token from createToken
+ * @returns {Object|null} Payload ({ sub, role, exp }) or null if invalid/expired
+ */
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        // Tokens issued before roles existed were all admin tokens
+        return data.exp > Date.now() ? { role: ROLES.ADMIN, ...data } : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Get the authenticated user of a request from its Authorization header
+ * @param {http.IncomingMessage} req
+ * @returns {Object|null} Token payload or null if not authenticated
+ */
+function getRequestUser(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? verifyToken(match[1]) : null;
+}
+
+module.exports = {
+    ROLES,
+    checkAdminPassword,
+    hashPin,
+    verifyPin,
+    beginLoginAttempt,
+    endLoginAttempt,
+    createToken,
+    verifyToken,
+    getRequestUser
+};
@@ -0,0 +1,36 @@
+/**
+ * Route middleware for authenticated endpoints
+ *   router.get('/api/admin/venues', { middleware: [requireAdmin] }, handler)
+ * Both set req.user to the token payload ({ sub, role, exp }).
+ */
+
+const { HttpError } = require('../router/response');
+const { ROLES, getRequestUser } = require('./index');
+
+/**
+ * Reject requests without a valid token for one of the given roles
+ * @param {string[]} roles Accepted roles
+ * @returns {Function} Middleware
+ */
+function requireRole(roles) {
+    return (req, res) => {
+        req.user = getRequestUser(req);
+        if (!req.user) {
+            throw new HttpError(401, 'Authentication required');
+        }
+        if (!roles.includes(req.user.role)) {
+            throw new HttpError(403, 'Not allowed for your account');
+        }
+    };
+}
+
+// Admin panel endpoints
+const requireAdmin = requireRole([ROLES.ADMIN]);
+
+// Edit mode (staff PIN or admin login)
+const requireStaff = requireRole([ROLES.STAFF, ROLES.ADMIN]);
+
+module.exports = {
+    requireAdmin,
+    requireStaff
+};
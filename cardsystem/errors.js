@@ -0,0 +1,27 @@
+/**
+ * Errors raised by card-system adapters
+ */
+
+/**
+ * Error from the card/game-management system
+ * retryable errors (timeouts, system unavailable) may be retried with the same
+ * idempotency key; the others (unknown or blocked card, insufficient balance) may not.
+ */
+class CardSystemError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable] Whether the same request may be retried (default false)
+     * @param {string} [options.code] Adapter error code (e.g. 'card_not_found')
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'CardSystemError';
+        this.retryable = options.retryable === true;
+        this.code = options.code || null;
+    }
+}
+
+module.exports = {
+    CardSystemError
+};
@@ -0,0 +1,52 @@
+/**
+ * Card System Adapters for Tizo Kiosk
+ * Puts purchased TIZO on the player's card in the card/game-management system.
+ * Every adapter implements the same interface so the server never depends on
+ * a specific vendor:
+ *
+ *   credit({ cardNumber, amount, idempotencyKey, reference })  → { ref, balance, duplicate }
+ *   debit({ cardNumber, amount, idempotencyKey, reference })   → { ref, balance, duplicate }
+ *   getBalance(cardNumber)                                     → { balance }
+ *
+ * amount and balance are in TIZO. A request repeated with the same idempotency key
+ * is applied once; the repeat returns the original result with duplicate: true.
+ * Failures throw CardSystemError (err.retryable tells whether to try again).
+ * Select the adapter with the CARD_SYSTEM environment variable (default: simulator).
+ */
+
+const { CardSystemError } = require('./errors');
+const simulatorAdapter = require('./simulator-adapter');
+
+const adapters = {
+    simulator: simulatorAdapter
+};
+
+/**
+ * Get a card-system adapter by name
+ * @param {string} name Adapter name (defaults to CARD_SYSTEM env or 'simulator')
+ * @returns {Object} Adapter implementing credit/debit/getBalance
+ */
+function getCardSystem(name = process.env.CARD_SYSTEM || 'simulator') {
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new Error(`Unknown card system: ${name}`);
+    }
+    return adapter;
+}
+
+/**
+ * Idempotency key for a card operation on an order
+ * The same order always produces the same key, so a retried credit can never be applied twice.
+ * @param {string} orderNumber Order number
+ * @param {string} operation 'credit' or 'debit'
+ * @returns {string} Idempotency key
+ */
+function idempotencyKey(orderNumber, operation) {
+    return `${orderNumber}:${operation}`;
+}
+
+module.exports = {
+    CardSystemError,
+    getCardSystem,
+    idempotencyKey
+};
@@ -0,0 +1,105 @@
+/**
+ * Simulator Card System Adapter
+ * Local stand-in for the card/game-management system, which is not reachable
+ * from dev machines. Balances and applied operations are kept in memory.
+ *
+ * Environment:
+ *   CARD_SYSTEM_SIMULATOR_FAILURES   - times each request fails with a retryable error before it
+ *                                      succeeds (default 0). The failure happens after the balance
+ *                                      changed, like a lost response, to exercise idempotent retries
+ *   CARD_SYSTEM_SIMULATOR_BLOCKED    - comma-separated card numbers that are rejected as blocked
+ *   CARD_SYSTEM_SIMULATOR_DELAY_MS   - simulated network delay (default 200)
+ */
+
+const crypto = require('crypto');
+const { CardSystemError } = require('./errors');
+
+const SIMULATED_FAILURES = parseInt(process.env.CARD_SYSTEM_SIMULATOR_FAILURES) || 0;
+const BLOCKED_CARDS = (process.env.CARD_SYSTEM_SIMULATOR_BLOCKED || '')
+    .split(',').map(card => card.trim().toUpperCase()).filter(Boolean);
+const DELAY_MS = parseInt(process.env.CARD_SYSTEM_SIMULATOR_DELAY_MS) || 200;
+
+// cardNumber -> TIZO balance
+const balances = new Map();
+
+// idempotencyKey -> { cardNumber, amount, operation, result, failures }
+const operations = new Map();
+
+const delay = () => new Promise(resolve => setTimeout(resolve, DELAY_MS));
+
+/**
+ * Apply a credit or debit once per idempotency key
+ * @param {string} operation 'credit' or 'debit'
+ * @param {Object} request { cardNumber, amount, idempotencyKey, reference }
+ * @returns {Promise<Object>} { ref, balance, duplicate }
+ */
+async function applyOperation(operation, { cardNumber, amount, idempotencyKey, reference }) {
+    await delay();
+    const card = String(cardNumber).toUpperCase();
+
+    if (!idempotencyKey) {
+        throw new CardSystemError('idempotencyKey is required', { code: 'invalid_request' });
+    }
+    if (!(amount > 0)) {
+        throw new CardSystemError('amount must be positive', { code: 'invalid_request' });
+    }
+    if (BLOCKED_CARDS.includes(card)) {
+        throw new CardSystemError(`Card ${card} is blocked`, { code: 'card_blocked' });
+    }
+
+    let entry = operations.get(idempotencyKey);
+    if (entry && (entry.cardNumber !== card || entry.amount !== amount || entry.operation !== operation)) {
+        throw new CardSystemError(`Idempotency key ${idempotencyKey} was used for a different request`, { code: 'idempotency_conflict' });
+    }
+
+    if (!entry) {
+        const balance = balances.get(card) || 0;
+        if (operation === 'debit' && balance < amount) {
+            throw new CardSystemError(`Card ${card} has only ${balance} TIZO`, { code: 'insufficient_balance' });
+        }
+
+        const newBalance = operation === 'credit' ? balance + amount : balance - amount;
+        balances.set(card, newBalance);
+        entry = {
+            cardNumber: card,
+            amount: amount,
+            operation: operation,
+            result: { ref: `SIMCARD-${crypto.randomBytes(6).toString('hex').toUpperCase()}`, balance: newBalance },
+            failures: 0
+        };
+        operations.set(idempotencyKey, entry);
+        console.log(`🎴 Simulator ${operation} ${amount} TIZO on card ${card} (${reference || idempotencyKey}) → balance ${newBalance}`);
+
+        if (entry.failures < SIMULATED_FAILURES) {
+            entry.failures++;
+            throw new CardSystemError('Simulated card system timeout', { retryable: true, code: 'timeout' });
+        }
+        return { ...entry.result, duplicate: false };
+    }
+
+    if (entry.failures < SIMULATED_FAILURES) {
+        entry.failures++;
+        throw new CardSystemError('Simulated card system timeout', { retryable: true, code: 'timeout' });
+    }
+    return { ...entry.result, duplicate: true };
+}
+
+async function credit(request) {
+    return applyOperation('credit', request);
+}
+
+async function debit(request) {
+    return applyOperation('debit', request);
+}
+
+async function getBalance(cardNumber) {
+    await delay();
+    return { balance: balances.get(String(cardNumber).toUpperCase()) || 0 };
+}
+
+module.exports = {
+    name: 'simulator',
+    credit,
+    debit,
+    getBalance
+};
@@ -0,0 +1,22 @@
+/**
+ * Kiosk server configuration shared by server.js and the route modules
+ * Values come from .env (PORT, KIOSK_ID, VENUE_NAME)
+ */
+
+require('dotenv').config();
+
+const PORT = process.env.PORT || 3000;
+const BASE_DIR = __dirname;
+const LOCAL_URL = `http://localhost:${PORT}`;
+
+// Kiosk identity - each install sets KIOSK_ID to the name used in offers.venue (e.g. "Kiosk 1")
+const KIOSK_ID = process.env.KIOSK_ID || 'Kiosk 1';
+const VENUE_NAME = process.env.VENUE_NAME || 'Lippo Mall Puri';
+
+module.exports = {
+    PORT,
+    BASE_DIR,
+    LOCAL_URL,
+    KIOSK_ID,
+    VENUE_NAME
+};
@@ -161,6 +161,90 @@ CREATE INDEX idx_offers_dates ON public.offers USING btree (start_date, end_date
 CREATE TRIGGER update_offers_updated_at BEFORE UPDATE ON public.offers FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
 
 
+--
+-- Name: transactions; Type: TABLE; Schema: public; Owner: postgres
+-- One row per completed kiosk order, keyed by the printed order number
+--
+
+CREATE TABLE public.transactions (
+    id serial PRIMARY KEY,
+    order_number character varying(32) NOT NULL UNIQUE,
+    session_id character varying(32),
+    kiosk_id character varying(100),
+    card_type character varying(50),
+    card_quantity integer DEFAULT 1,
+    is_new_player boolean,
+    offer_id integer,
+    custom_amount numeric(12,2),
+    scratch_accepted boolean DEFAULT false,
+    ood_accepted boolean DEFAULT false,
+    ooh_accepted boolean DEFAULT false,
+    total_cost numeric(12,2) NOT NULL DEFAULT 0,
+    total_tizo numeric(12,2) NOT NULL DEFAULT 0,
+    language character varying(10),
+    payment_id integer,
+    status character varying(20) DEFAULT 'completed'::character varying,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.transactions OWNER TO postgres;
+
+CREATE INDEX idx_transactions_created_at ON public.transactions USING btree (created_at);
+
+CREATE INDEX idx_transactions_kiosk ON public.transactions USING btree (kiosk_id);
+
+
+--
+-- Name: transaction_items; Type: TABLE; Schema: public; Owner: postgres
+-- Line items of a transaction: topup, scratch, ood, ooh, gift
+--
+
+CREATE TABLE public.transaction_items (
+    id serial PRIMARY KEY,
+    transaction_id integer NOT NULL REFERENCES public.transactions(id) ON DELETE CASCADE,
+    item_type character varying(20) NOT NULL,
+    offer_id integer,
+    amount numeric(12,2) NOT NULL DEFAULT 0,
+    tizo numeric(12,2) NOT NULL DEFAULT 0,
+    details character varying(255)
+);
+
+
+ALTER TABLE public.transaction_items OWNER TO postgres;
+
+CREATE INDEX idx_transaction_items_transaction ON public.transaction_items USING btree (transaction_id);
+
+
+--
+-- Name: payments; Type: TABLE; Schema: public; Owner: postgres
+-- Payment attempts made through a payment provider before a receipt is printed
+--
+
+CREATE TABLE public.payments (
+    id serial PRIMARY KEY,
+    order_number character varying(32) NOT NULL,
+    session_id character varying(32),
+    kiosk_id character varying(100),
+    provider character varying(50) NOT NULL,
+    provider_ref character varying(100),
+    amount numeric(12,2) NOT NULL,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    qr_string text,
+    qr_image_url text,
+    expires_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.payments OWNER TO postgres;
+
+CREATE INDEX idx_payments_order_number ON public.payments USING btree (order_number);
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON public.payments FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+
 -- Completed on 2025-12-05 15:48:36
 
 --
@@ -1,29 +1,36 @@
-import pg from 'pg';
-import dotenv from 'dotenv';
+/**
+ * PostgreSQL connection pool shared by server.js and migrate.js
+ * Connection settings come from .env (DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD)
+ */
 
-dotenv.config();
+const { Pool, types } = require('pg');
+require('dotenv').config();
 
-const { Pool } = pg;
+// Return DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Date objects,
+// so offer start/end dates don't shift a day when serialised to JSON
+types.setTypeParser(1082, value => value);
 
+const DB_HOST = process.env.DB_HOST || '13.214.169.79';
+const DB_PORT = process.env.DB_PORT || 5433;
+
+// Connects directly to the cloud database unless DB_HOST is set
 const pool = new Pool({
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5433,
+    host: DB_HOST,
+    port: DB_PORT,
     database: process.env.DB_NAME || 'TimeZone',
     user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD,
+    password: process.env.DB_PASSWORD || 'tizo123',
     max: 20,
     idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 2000,
-});
-
-// Test connection
-pool.on('connect', () => {
-    console.log('✅ Connected to PostgreSQL database');
+    connectionTimeoutMillis: 5000,
 });
 
+// An idle client losing its connection must not take the kiosk server down
 pool.on('error', (err) => {
-    console.error('❌ Unexpected error on idle client', err);
-    process.exit(-1);
+    console.error('❌ Unexpected error on idle client', err.message);
 });
 
-export default pool;
+pool.host = DB_HOST;
+pool.port = DB_PORT;
+
+module.exports = pool;
@@ -5,18 +5,55 @@
  * 1. Include this script in your HTML: <script src="edit-mode.js"></script>
  * 2. Include the CSS: <link rel="stylesheet" href="edit-mode.css">
  * 3. Add class="editable" and data-id="unique-name" to elements you want editable
- * 4. Call initEditMode() after page loads
+ * 4. Call initEditMode({ pageId: 'page-name' }) after page loads
+ *
+ * Edits are kept as a layout (element positions, sizes, fonts, colours and added elements)
+ * in the database, per kiosk or for all kiosks, and applied at runtime by initEditMode -
+ * the HTML files are never rewritten. The last layout is cached in localStorage so pages
+ * load it without waiting for the server (and while it is offline).
+ *
+ * Editing: click to select (Shift/Ctrl-click or the ⧉ button to select several), drag or use
+ * the arrow keys to move (Shift = 10px), Ctrl+Z / Ctrl+Y to undo and redo. With snapping on,
+ * dragged elements snap to a grid and to the edges and centres of the other elements.
+ *
+ * Edit mode is locked: the red dot asks for a staff PIN (or the admin password) and
+ * saves are sent with the resulting token. Leaving edit mode saves and locks it again.
  */
 
 (function () {
     let editMode = false;
-    let selectedElement = null;
+    let selectedElement = null; // Last selected element (its size / layer / text settings are shown)
+    let selectedElements = [];
+    let multiSelectMode = false;
     let isDragging = false;
-    let startX, startY, startLeft, startTop;
+    let dragMoved = false;
+    let startX, startY;
+    let dragItems = [];
+    let dragTarget = null;
+    let dragRect = null;
+    let dragSnapshot = null;
+    let guideLines = null;
+    let snapEnabled = false;
+    let undoStack = [];
+    let redoStack = [];
+    let lastHistoryKey = null;
     let currentScale = 100;
     let elementStates = {};
     let pageId = 'default';
     let addedElementCount = 0;
+    let layoutVersion = null;
+    let savedElementsJson = '{}';
+    const authoredStyles = {};
+
+    // Pages opened from disk (Electron) talk to the local server; pages served by it use relative URLs
+    const SERVER_URL = window.location.protocol.startsWith('http') ? '' : 'http://localhost:3000';
+    const EDIT_TOKEN_KEY = 'editModeToken';
+
+    // Undo steps kept per page visit
+    const MAX_UNDO_STEPS = 100;
+    // Snap grid (px) and how close (px) an edge or centre has to be to snap to a guide
+    const GRID_SIZE = 20;
+    const SNAP_DISTANCE = 6;
 
     // Create edit toggle button
     function createEditToggle() {
@@ -24,7 +61,7 @@
         toggle.className = 'edit-toggle';
         toggle.id = 'edit-toggle';
         toggle.innerHTML = '<div class="red-dot"></div>';
-        toggle.onclick = toggleEditMode;
+        toggle.onclick = () => editMode ? toggleEditMode() : unlockEditMode();
         document.body.appendChild(toggle);
     }
 
@@ -35,6 +72,12 @@
         controls.id = 'edit-controls';
         controls.innerHTML = `
             <div class="control-label">Edit Mode</div>
+            <div class="control-row edit-tools">
+                <button id="undo-btn" class="style-btn" title="Undo (Ctrl+Z)" disabled>↶</button>
+                <button id="redo-btn" class="style-btn" title="Redo (Ctrl+Y)" disabled>↷</button>
+                <button id="snap-btn" class="style-btn" title="Snap to grid and guides">#</button>
+                <button id="multi-select-btn" class="style-btn" title="Select several elements">⧉</button>
+            </div>
             <div class="size-controls">
                 <button id="size-decrease">−</button>
                 <span id="size-display">100%</span>
@@ -52,6 +95,14 @@
                 <button id="align-center" class="align-btn" title="Center" data-align="center">≡</button>
                 <button id="align-right" class="align-btn" title="Right" data-align="right">➡</button>
             </div>
+            <div class="control-row align-controls hidden" id="selection-controls">
+                <label>Selection:</label>
+                <button class="selection-btn" title="Align tops" data-action="top">⤒</button>
+                <button class="selection-btn" title="Align middles" data-action="middle">⇕</button>
+                <button class="selection-btn" title="Align bottoms" data-action="bottom">⤓</button>
+                <button class="selection-btn" title="Distribute horizontally" data-action="distribute-x">↔</button>
+                <button class="selection-btn" title="Distribute vertically" data-action="distribute-y">↕</button>
+            </div>
             <div class="text-controls hidden" id="text-controls">
                 <div class="control-row">
                     <label>Color:</label>
@@ -80,6 +131,14 @@
                 <button class="add-element-btn" id="add-element-btn">+ Add Element</button>
             </div>
             <button class="delete-btn" id="delete-btn">🗑 Delete</button>
+            <div class="control-row">
+                <label>Save for:</label>
+                <select id="layout-scope">
+                    <option value="kiosk">This kiosk</option>
+                    <option value="all">All kiosks</option>
+                </select>
+            </div>
+            <button class="history-btn" id="history-btn">🕘 History</button>
             <button class="reset-btn" id="reset-btn">Reset</button>
         `;
         document.body.appendChild(controls);
@@ -96,6 +155,11 @@
         document.getElementById('add-text-btn').onclick = showAddTextModal;
         document.getElementById('add-element-btn').onclick = showAddElementModal;
         document.getElementById('delete-btn').onclick = deleteSelectedElement;
+        document.getElementById('history-btn').onclick = showHistoryModal;
+        document.getElementById('undo-btn').onclick = undo;
+        document.getElementById('redo-btn').onclick = redo;
+        document.getElementById('snap-btn').onclick = toggleSnap;
+        document.getElementById('multi-select-btn').onclick = toggleMultiSelect;
 
         // Alignment button handlers (for element positioning)
         document.querySelectorAll('.align-btn').forEach(btn => {
@@ -106,6 +170,29 @@
         document.querySelectorAll('.text-align-btn').forEach(btn => {
             btn.onclick = () => changeTextAlignment(btn.dataset.align);
         });
+
+        // Align / distribute several selected elements
+        document.querySelectorAll('.selection-btn').forEach(btn => {
+            btn.onclick = () => btn.dataset.action.startsWith('distribute')
+                ? distributeSelection(btn.dataset.action === 'distribute-x' ? 'x' : 'y')
+                : alignSelection(btn.dataset.action);
+        });
+    }
+
+    // Create the snap grid overlay and the two alignment guide lines shown while dragging
+    function createSnapGuides() {
+        const grid = document.createElement('div');
+        grid.className = 'edit-grid hidden';
+        grid.id = 'edit-grid';
+        grid.style.backgroundSize = `${GRID_SIZE}px ${GRID_SIZE}px`;
+        document.body.appendChild(grid);
+
+        ['x', 'y'].forEach(axis => {
+            const guide = document.createElement('div');
+            guide.className = `edit-guide edit-guide-${axis} hidden`;
+            guide.id = `edit-guide-${axis}`;
+            document.body.appendChild(guide);
+        });
     }
 
     // Create Add Element Modal
@@ -212,6 +299,212 @@
         document.getElementById('add-text-modal').classList.add('hidden');
     }
 
+    // Create PIN Modal (staff login before edit mode opens)
+    function createPinModal() {
+        const modal = document.createElement('div');
+        modal.className = 'add-element-modal hidden';
+        modal.id = 'pin-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <span>Staff Login</span>
+                    <button class="modal-close" id="pin-modal-close">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="url-input-wrapper">
+                        <label>Enter your name and staff PIN:</label>
+                        <input type="text" id="edit-pin-name" autocomplete="off" placeholder="Name (admin for the admin password)">
+                        <input type="password" id="edit-pin" autocomplete="off" placeholder="PIN">
+                    </div>
+                    <p class="pin-error hidden" id="pin-error"></p>
+                    <button class="add-btn" id="pin-confirm">Unlock Edit Mode</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('pin-modal-close').onclick = hidePinModal;
+        document.getElementById('pin-confirm').onclick = submitPin;
+        document.getElementById('edit-pin-name').onkeydown = (e) => {
+            if (e.key === 'Enter') document.getElementById('edit-pin').focus();
+        };
+        document.getElementById('edit-pin').onkeydown = (e) => {
+            if (e.key === 'Enter') submitPin();
+        };
+
+        modal.onclick = (e) => {
+            if (e.target === modal) hidePinModal();
+        };
+    }
+
+    function hidePinModal() {
+        document.getElementById('pin-modal').classList.add('hidden');
+    }
+
+    function showPinError(message) {
+        const error = document.getElementById('pin-error');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+
+    // Stored token for this edit session, or null if missing/expired
+    function getEditToken() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(EDIT_TOKEN_KEY));
+            return stored && stored.expiresAt > Date.now() ? stored.token : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function lockEditMode() {
+        sessionStorage.removeItem(EDIT_TOKEN_KEY);
+    }
+
+    function unlockEditMode() {
+        if (getEditToken()) {
+            toggleEditMode();
+            return;
+        }
+
+        document.getElementById('pin-modal').classList.remove('hidden');
+        document.getElementById('pin-error').classList.add('hidden');
+        document.getElementById('edit-pin').value = '';
+        document.getElementById('edit-pin-name').focus();
+    }
+
+    async function submitPin() {
+        const name = document.getElementById('edit-pin-name').value.trim();
+        const pin = document.getElementById('edit-pin').value.trim();
+        if (!name || !pin) return;
+
+        try {
+            const response = await fetch(SERVER_URL + '/api/staff/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name, pin: pin })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                showPinError(data.error || 'Invalid name or PIN');
+                return;
+            }
+
+            sessionStorage.setItem(EDIT_TOKEN_KEY, JSON.stringify({ token: data.token, expiresAt: data.expiresAt }));
+            console.log('Edit mode unlocked by ' + data.name);
+            hidePinModal();
+            toggleEditMode();
+        } catch (err) {
+            showPinError('Server not reachable - edit mode needs the local server');
+        }
+    }
+
+    // Fetch with the edit session token
+    async function authorizedFetch(url, options = {}) {
+        return fetch(SERVER_URL + url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getEditToken()}`,
+                ...(options.headers || {})
+            }
+        });
+    }
+
+    // Layout API URL for this page, e.g. /api/layouts/welcome/versions
+    function getLayoutUrl(suffix = '') {
+        return `/api/layouts/${encodeURIComponent(pageId)}${suffix}`;
+    }
+
+    // 'kiosk' (this kiosk only) or 'all' (default layout for every kiosk)
+    function getLayoutScope() {
+        return document.getElementById('layout-scope').value;
+    }
+
+    // Create History Modal (stored layout versions of this page with restore buttons)
+    function createHistoryModal() {
+        const modal = document.createElement('div');
+        modal.className = 'add-element-modal hidden';
+        modal.id = 'history-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <span>Layout History</span>
+                    <button class="modal-close" id="history-modal-close">×</button>
+                </div>
+                <div class="modal-body">
+                    <div class="history-list" id="history-list"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('history-modal-close').onclick = hideHistoryModal;
+        modal.onclick = (e) => {
+            if (e.target === modal) hideHistoryModal();
+        };
+    }
+
+    function hideHistoryModal() {
+        document.getElementById('history-modal').classList.add('hidden');
+    }
+
+    async function showHistoryModal() {
+        const list = document.getElementById('history-list');
+        list.textContent = 'Loading...';
+        document.getElementById('history-modal').classList.remove('hidden');
+
+        try {
+            const response = await authorizedFetch(getLayoutUrl(`/versions?scope=${getLayoutScope()}`));
+            const data = await response.json();
+            if (!data.success) {
+                list.textContent = data.error;
+                return;
+            }
+            if (data.versions.length === 0) {
+                list.textContent = 'No layout saved yet.';
+                return;
+            }
+
+            list.innerHTML = '';
+            data.versions.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'history-row';
+                row.innerHTML = `
+                    <span>v${entry.version} · ${new Date(entry.savedAt).toLocaleString()} · ${entry.savedBy || ''}</span>
+                    <button class="history-restore-btn">Restore</button>
+                `;
+                row.querySelector('button').onclick = () => restoreVersion(entry);
+                list.appendChild(row);
+            });
+        } catch (err) {
+            list.textContent = 'Server not reachable';
+        }
+    }
+
+    async function restoreVersion(entry) {
+        if (!confirm(`Restore layout v${entry.version} from ${new Date(entry.savedAt).toLocaleString()}?`)) return;
+
+        const response = await authorizedFetch(getLayoutUrl('/rollback'), {
+            method: 'POST',
+            body: JSON.stringify({ version: entry.version, scope: getLayoutScope() })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            alert('Restore failed: ' + data.error);
+            return;
+        }
+
+        // The restored layout is saved as a new version - show it and drop unsaved edits
+        recordHistory();
+        layoutVersion = data.version;
+        applyLayout(data.layout.elements);
+        restoreSelection();
+        savedElementsJson = JSON.stringify(elementStates);
+        cacheLayout(false);
+        hideHistoryModal();
+    }
+
     function addTextElement() {
         const text = document.getElementById('new-text-content').value.trim();
         if (!text) {
@@ -223,6 +516,7 @@
         const size = document.getElementById('new-text-size').value;
         const color = document.getElementById('new-text-color').value;
 
+        recordHistory();
         addedElementCount++;
         const elementId = 'text-' + addedElementCount + '-' + Date.now();
 
@@ -321,6 +615,7 @@
     }
 
     function createMediaElement(displaySrc, elementId, originalPath) {
+        recordHistory();
         const container = document.querySelector('.content') || document.querySelector('.container') || document.body;
 
         let element;
@@ -350,7 +645,7 @@
 
         container.appendChild(element);
 
-        // Initialize element state - save original path for export
+        // Initialize element state - the original path is kept for reference
         elementStates[elementId] = {
             scale: 100,
             x: 0,
@@ -369,12 +664,7 @@
     }
 
     function initNewElement(el) {
-        el.addEventListener('click', (e) => {
-            if (editMode) {
-                e.stopPropagation();
-                selectElement(el);
-            }
-        });
+        el.addEventListener('click', onEditableClick);
         el.addEventListener('mousedown', startDrag);
         el.addEventListener('touchstart', startDrag, { passive: false });
     }
@@ -394,16 +684,13 @@
             toggle.classList.remove('active');
             controls.classList.add('hidden');
             document.body.classList.remove('edit-mode-active');
-            editables.forEach(el => {
-                el.classList.remove('edit-active');
-                el.classList.remove('selected');
-            });
-            selectedElement = null;
-            hideTextControls();
+            editables.forEach(el => el.classList.remove('edit-active'));
+            clearSelection();
+            hideGuides();
             hideAddElementModal();
             saveChanges();
-            // Auto-save to HTML file when exiting edit mode
-            autoSaveToServer();
+            // Save the layout when exiting edit mode, then lock edit mode again
+            autoSaveToServer().finally(lockEditMode);
         }
     }
 
@@ -437,23 +724,19 @@
     }
 
     function deleteSelectedElement() {
-        if (!selectedElement) {
+        if (selectedElements.length === 0) {
             alert('Please select an element first');
             return;
         }
 
-        const id = selectedElement.dataset.id;
-
-        // Remove from DOM
-        selectedElement.remove();
-
-        // Remove from state
-        if (elementStates[id]) {
-            delete elementStates[id];
-        }
+        recordHistory();
+        selectedElements.forEach(el => {
+            // Remove from DOM and state
+            el.remove();
+            delete elementStates[el.dataset.id];
+        });
 
-        selectedElement = null;
-        hideTextControls();
+        clearSelection();
         document.getElementById('size-display').textContent = '100%';
         document.getElementById('layer-display').textContent = '0';
 
@@ -461,297 +744,36 @@
         saveChanges();
     }
 
-    // Auto-save to server when exiting edit mode
+    // Save the layout to the server when exiting edit mode (only if it changed since the last save)
     async function autoSaveToServer() {
-        // Check if there are any changes to save
-        if (Object.keys(elementStates).length === 0) return;
-
-        // Get current page path - extract just the relative path
-        let pagePath = window.location.pathname;
-
-        // Handle file:// protocol or full Windows paths
-        if (pagePath.includes(':')) {
-            // Extract the relative path from full path (e.g., get "page-1/file.html" from full path)
-            const match = pagePath.match(/page-1[\/\\].+\.html$/i);
-            if (match) {
-                pagePath = '/' + match[0].replace(/\\/g, '/');
-            }
-        }
-
-        console.log('Saving to path:', pagePath);
+        const elementsJson = JSON.stringify(elementStates);
+        if (elementsJson === savedElementsJson) return;
 
         try {
-            // Try to save via server
-            const response = await fetch('http://localhost:3000/save', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    filePath: pagePath,
-                    content: generateFullHTML()
-                })
+            const response = await authorizedFetch(getLayoutUrl(), {
+                method: 'PUT',
+                body: JSON.stringify({ layout: { elements: elementStates }, scope: getLayoutScope() })
             });
+            const data = await response.json().catch(() => ({}));
 
-            if (response.ok) {
-                console.log('✅ Auto-saved to file!');
-                // Clear localStorage for added elements after saving
-                Object.keys(elementStates).forEach(id => {
-                    if (elementStates[id].isAdded) {
-                        delete elementStates[id];
-                    }
-                });
-                localStorage.removeItem('editStates_' + pageId);
-            }
-        } catch (err) {
-            // Server not running - changes remain in localStorage
-            console.log('Server not running. Changes saved to localStorage.');
-        }
-    }
-
-    // Generate full HTML of the page with added elements and applied transforms
-    function generateFullHTML() {
-        // Clone the document
-        const clone = document.documentElement.cloneNode(true);
-
-        // Remove edit mode elements
-        const editToggle = clone.querySelector('#edit-toggle');
-        const editControls = clone.querySelector('#edit-controls');
-        const addElementModal = clone.querySelector('#add-element-modal');
-        const addTextModal = clone.querySelector('#add-text-modal');
-        const exportModal = clone.querySelector('#export-modal');
-
-        if (editToggle) editToggle.remove();
-        if (editControls) editControls.remove();
-        if (addElementModal) addElementModal.remove();
-        if (addTextModal) addTextModal.remove();
-        if (exportModal) exportModal.remove();
-
-        // Remove common browser extension injected elements
-        clone.querySelectorAll('.audio-output, #volume-booster-visusalizer, [class*="extension"], [id*="extension"]').forEach(el => el.remove());
-        clone.querySelectorAll('audio[style*="display: none"]').forEach(el => el.remove());
-
-        // Remove edit-active and selected classes from elements
-        clone.querySelectorAll('.edit-active').forEach(el => el.classList.remove('edit-active'));
-        clone.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
-
-        // Apply transforms and styles from elementStates to all editable elements
-        clone.querySelectorAll('.editable').forEach(el => {
-            const id = el.dataset.id;
-            if (elementStates[id]) {
-                const state = elementStates[id];
-
-                // Apply transform (position and scale)
-                if (state.x !== undefined || state.y !== undefined || state.scale !== undefined) {
-                    const x = state.x || 0;
-                    const y = state.y || 0;
-                    const scale = state.scale || 100;
-
-                    if (el.classList.contains('added-element')) {
-                        el.style.transform = `translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale / 100})`;
-                    } else {
-                        el.style.transform = `translate(${x}px, ${y}px) scale(${scale / 100})`;
-                    }
-                }
-
-                // Apply color
-                if (state.color) {
-                    el.style.color = state.color;
-                }
-
-                // Apply font
-                if (state.font) {
-                    el.style.fontFamily = `'${state.font}', sans-serif`;
-                }
-
-                // Apply bold
-                if (state.bold !== undefined) {
-                    el.style.fontWeight = state.bold ? 'bold' : 'normal';
-                }
-
-                // Apply z-index
-                if (state.zIndex !== undefined) {
-                    el.style.zIndex = state.zIndex;
-                    if (!el.style.position || el.style.position === 'static') {
-                        el.style.position = 'relative';
-                    }
-                }
-
-                // Apply text alignment
-                if (state.textAlign) {
-                    el.style.textAlign = state.textAlign;
-                }
-            }
-        });
-
-        // For added elements, replace base64 src with original path
-        clone.querySelectorAll('.added-element').forEach(el => {
-            const id = el.dataset.id;
-            if (elementStates[id] && elementStates[id].originalPath) {
-                if (el.tagName === 'IMG' || el.tagName === 'VIDEO') {
-                    el.src = elementStates[id].originalPath;
-                }
-            }
-            // Remove data-original-path attribute if exists
-            el.removeAttribute('data-original-path');
-        });
-
-        return '<!DOCTYPE html>\n' + clone.outerHTML;
-    }
-
-    // Generate HTML code for added elements
-    function generateAddedElementsHTML() {
-        let htmlCode = '';
-
-        Object.keys(elementStates).forEach(id => {
-            const state = elementStates[id];
-            if (state.isAdded) {
-                const path = state.originalPath || state.src;
-
-                const x = state.x || 0;
-                const y = state.y || 0;
-                const scale = state.scale || 100;
-                const zIndex = state.zIndex || 50;
-
-                if (state.type === 'text') {
-                    const text = state.text || '';
-                    const font = state.font || 'Michroma';
-                    const color = state.color || '#ffffff';
-                    const fontSize = state.fontSize || '1.5rem';
-                    htmlCode += `            <p class="editable" data-id="${id}" style="position: absolute; top: 50%; left: 50%; transform: translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale / 100}); z-index: ${zIndex}; font-family: '${font}', sans-serif; font-size: ${fontSize}; color: ${color}; text-align: center; margin: 0;">${text.replace(/\n/g, '<br>')}</p>\n`;
-                } else if (state.type === 'image') {
-                    htmlCode += `            <img src="${path}" alt="Added Image" class="editable" data-id="${id}" style="max-width: 200px; position: absolute; top: 50%; left: 50%; transform: translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale / 100}); z-index: ${zIndex};">\n`;
-                } else if (state.type === 'video') {
-                    htmlCode += `            <video src="${path}" controls muted class="editable" data-id="${id}" style="max-width: 250px; position: absolute; top: 50%; left: 50%; transform: translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${scale / 100}); z-index: ${zIndex};"></video>\n`;
-                }
-            }
-        });
-
-        return htmlCode;
-    }
-
-    // Save added elements directly to the HTML file
-    async function saveToHTMLFile() {
-        const addedHTML = generateAddedElementsHTML();
-
-        if (!addedHTML) {
-            alert('No added elements to save');
-            return;
-        }
-
-        // Check if File System Access API is supported
-        if (!('showSaveFilePicker' in window)) {
-            // Fallback: show code for manual copy
-            showExportModal(addedHTML);
-            return;
-        }
-
-        try {
-            // Get the current HTML content
-            const currentHTML = document.documentElement.outerHTML;
-
-            // Find the closing </div> before </body> for the content div
-            const contentDiv = document.querySelector('.content');
-            if (!contentDiv) {
-                alert('Content container not found');
+            if (!response.ok) {
+                // Changes stay in localStorage and are saved again the next time edit mode is closed
+                alert('Layout not saved: ' + (data.error || response.status));
                 return;
             }
 
-            // Create marker comment to identify added elements
-            const markerStart = '<!-- EDIT-MODE-ADDED-ELEMENTS-START -->';
-            const markerEnd = '<!-- EDIT-MODE-ADDED-ELEMENTS-END -->';
-
-            // Check if markers already exist in the document
-            let newHTML = currentHTML;
-
-            if (newHTML.includes(markerStart)) {
-                // Replace existing added elements section
-                const regex = new RegExp(markerStart + '[\\s\\S]*?' + markerEnd, 'g');
-                newHTML = newHTML.replace(regex, markerStart + '\n' + addedHTML + '        ' + markerEnd);
-            } else {
-                // Insert new section before closing content div
-                const contentEndPattern = /<\/div>\s*<\/div>\s*<script/i;
-                const match = newHTML.match(contentEndPattern);
-                if (match) {
-                    const insertPosition = newHTML.indexOf(match[0]);
-                    const insertContent = `\n${markerStart}\n${addedHTML}        ${markerEnd}\n        `;
-                    newHTML = newHTML.slice(0, insertPosition) + insertContent + newHTML.slice(insertPosition);
-                }
+            savedElementsJson = elementsJson;
+            if (!data.queued) {
+                layoutVersion = data.version;
             }
-
-            // Format the HTML
-            newHTML = '<!DOCTYPE html>\n' + newHTML.replace('<!DOCTYPE html>', '');
-
-            // Use File System Access API to save
-            const options = {
-                suggestedName: window.location.pathname.split('/').pop() || 'page.html',
-                types: [{
-                    description: 'HTML Files',
-                    accept: { 'text/html': ['.html'] }
-                }]
-            };
-
-            const handle = await window.showSaveFilePicker(options);
-            const writable = await handle.createWritable();
-            await writable.write(newHTML);
-            await writable.close();
-
-            alert('✅ Saved successfully! The added elements are now in the HTML file.');
-
-            // Clear localStorage for added elements after saving
-            Object.keys(elementStates).forEach(id => {
-                if (elementStates[id].isAdded) {
-                    delete elementStates[id];
-                }
-            });
-            saveChanges();
-
+            cacheLayout(false);
+            console.log(data.queued ? '📥 Layout queued until the database is back' : '✅ Layout saved as v' + data.version);
         } catch (err) {
-            if (err.name !== 'AbortError') {
-                console.error('Save failed:', err);
-                alert('Save failed. Showing code to copy manually.');
-                showExportModal(addedHTML);
-            }
+            // Server not running - changes remain in localStorage
+            console.log('Server not running. Changes saved to localStorage.');
         }
     }
 
-    function showExportModal(code) {
-        const existingModal = document.getElementById('export-modal');
-        if (existingModal) existingModal.remove();
-
-        const modal = document.createElement('div');
-        modal.id = 'export-modal';
-        modal.className = 'add-element-modal';
-        modal.innerHTML = `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <span>Copy HTML Code</span>
-                    <button class="modal-close" id="export-modal-close">×</button>
-                </div>
-                <div class="modal-body">
-                    <p style="color: #aaa; font-size: 12px; margin-bottom: 10px;">Copy this code and paste it inside your content div:</p>
-                    <textarea id="export-code" readonly style="width: 100%; height: 200px; background: #1a1a2e; color: #0f0; border: 1px solid #333; border-radius: 5px; padding: 10px; font-family: monospace; font-size: 11px; resize: vertical;">${code.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</textarea>
-                    <button class="add-btn" id="copy-code-btn" style="margin-top: 10px;">📋 Copy to Clipboard</button>
-                </div>
-            </div>
-        `;
-        document.body.appendChild(modal);
-
-        document.getElementById('export-modal-close').onclick = () => modal.remove();
-        document.getElementById('copy-code-btn').onclick = () => {
-            const textarea = document.getElementById('export-code');
-            textarea.value = code;
-            textarea.select();
-            document.execCommand('copy');
-            document.getElementById('copy-code-btn').textContent = '✓ Copied!';
-            setTimeout(() => {
-                document.getElementById('copy-code-btn').textContent = '📋 Copy to Clipboard';
-            }, 2000);
-        };
-
-        modal.onclick = (e) => {
-            if (e.target === modal) modal.remove();
-        };
-    }
-
     function showTextControls(el) {
         const textControls = document.getElementById('text-controls');
         textControls.classList.remove('hidden');
@@ -799,26 +821,28 @@
         return '#' + r + g + b;
     }
 
+    // Selected elements the text controls apply to
+    function selectedTextElements() {
+        return selectedElements.filter(isTextElement);
+    }
+
     function changeTextColor(color) {
         if (!selectedElement) return;
-        selectedElement.style.color = color;
-
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        elementStates[id].color = color;
+        // The colour picker fires while dragging - one undo step per picker session
+        recordHistory('color');
+        selectedTextElements().forEach(el => {
+            el.style.color = color;
+            getState(el).color = color;
+        });
     }
 
     function changeFont(font) {
         if (!selectedElement) return;
-        selectedElement.style.fontFamily = `'${font}', sans-serif`;
-
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        elementStates[id].font = font;
+        recordHistory();
+        selectedTextElements().forEach(el => {
+            el.style.fontFamily = `'${font}', sans-serif`;
+            getState(el).font = font;
+        });
     }
 
     function toggleBold() {
@@ -826,23 +850,20 @@
         const boldBtn = document.getElementById('bold-btn');
         const isBold = boldBtn.classList.contains('active');
 
-        if (isBold) {
-            selectedElement.style.setProperty('font-weight', 'normal', 'important');
-            boldBtn.classList.remove('active');
-        } else {
-            selectedElement.style.setProperty('font-weight', 'bold', 'important');
-            boldBtn.classList.add('active');
-        }
-
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        elementStates[id].bold = !isBold;
+        recordHistory();
+        boldBtn.classList.toggle('active', !isBold);
+        selectedTextElements().forEach(el => {
+            el.style.setProperty('font-weight', isBold ? 'normal' : 'bold', 'important');
+            getState(el).bold = !isBold;
+        });
     }
 
     function alignElement(align) {
         if (!selectedElement) return;
+        if (selectedElements.length > 1) {
+            alignSelection(align);
+            return;
+        }
 
         const container = document.querySelector('.container');
         if (!container) return;
@@ -871,11 +892,12 @@
         }
 
         // Apply the new position
+        recordHistory();
         state.x = newX;
+        state.y = state.y || 0;
+        state.scale = state.scale || 100;
         elementStates[id] = state;
-
-        const scale = state.scale / 100 || 1;
-        selectedElement.style.transform = `translate(${state.x}px, ${state.y || 0}px) scale(${scale})`;
+        applyTransform(selectedElement, state);
 
         // Update button active states
         document.querySelectorAll('.align-btn').forEach(btn => btn.classList.remove('active'));
@@ -886,90 +908,325 @@
     function changeTextAlignment(align) {
         if (!selectedElement) return;
 
-        selectedElement.style.textAlign = align;
+        recordHistory();
+        selectedTextElements().forEach(el => {
+            el.style.textAlign = align;
+            getState(el).textAlign = align;
+        });
 
         // Update button active states
         document.querySelectorAll('.text-align-btn').forEach(btn => btn.classList.remove('active'));
         const activeBtn = document.querySelector(`.text-align-btn[data-align="${align}"]`);
         if (activeBtn) activeBtn.classList.add('active');
-
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        elementStates[id].textAlign = align;
     }
 
-    function selectElement(el) {
+    function selectElement(el, additive = false) {
         if (!editMode) return;
-        document.querySelectorAll('.editable.selected').forEach(e => e.classList.remove('selected'));
+        lastHistoryKey = null;
+
+        if (additive && selectedElements.includes(el)) {
+            // Clicking a selected element again takes it out of the selection
+            el.classList.remove('selected');
+            selectedElements = selectedElements.filter(item => item !== el);
+            selectedElement = selectedElements[selectedElements.length - 1] || null;
+            showSelection();
+            return;
+        }
+
+        if (!additive) {
+            clearSelection();
+        }
         el.classList.add('selected');
+        selectedElements.push(el);
         selectedElement = el;
-        const id = el.dataset.id;
-        const state = elementStates[id] || { scale: 100, x: 0, y: 0, zIndex: 0 };
+        showSelection();
+    }
+
+    function clearSelection() {
+        selectedElements.forEach(el => el.classList.remove('selected'));
+        selectedElements = [];
+        selectedElement = null;
+        hideTextControls();
+        document.getElementById('selection-controls').classList.add('hidden');
+    }
+
+    // Show the size / layer / text settings of the last selected element
+    function showSelection() {
+        document.getElementById('selection-controls').classList.toggle('hidden', selectedElements.length < 2);
+        if (!selectedElement) {
+            hideTextControls();
+            return;
+        }
+
+        const state = elementStates[selectedElement.dataset.id] || { scale: 100, x: 0, y: 0, zIndex: 0 };
         currentScale = state.scale || 100;
         document.getElementById('size-display').textContent = currentScale + '%';
 
         // Update layer display
-        const currentZIndex = state.zIndex || parseInt(window.getComputedStyle(el).zIndex) || 0;
+        const currentZIndex = state.zIndex || parseInt(window.getComputedStyle(selectedElement).zIndex) || 0;
         document.getElementById('layer-display').textContent = isNaN(currentZIndex) ? 0 : currentZIndex;
 
-        if (isTextElement(el)) {
-            showTextControls(el);
+        if (isTextElement(selectedElement)) {
+            showTextControls(selectedElement);
         } else {
             hideTextControls();
         }
     }
 
-    function changeLayer(delta) {
-        if (!selectedElement) return;
-        const id = selectedElement.dataset.id;
+    // Select the same elements again after the layout was re-applied (undo / redo / restore)
+    function restoreSelection() {
+        const ids = selectedElements.map(el => el.dataset.id);
+        clearSelection();
+        ids.forEach(id => {
+            const el = Array.from(document.querySelectorAll('.editable')).find(item => item.dataset.id === id);
+            if (el) selectElement(el, true);
+        });
+    }
+
+    function toggleMultiSelect() {
+        multiSelectMode = !multiSelectMode;
+        document.getElementById('multi-select-btn').classList.toggle('active', multiSelectMode);
+    }
+
+    // State of an element, created with the defaults on first change
+    function getState(el) {
+        const id = el.dataset.id;
         if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0, zIndex: 0 };
+            elementStates[id] = { scale: 100, x: 0, y: 0 };
         }
+        const state = elementStates[id];
+        state.scale = state.scale || 100;
+        state.x = state.x || 0;
+        state.y = state.y || 0;
+        return state;
+    }
+
+    function changeLayer(delta) {
+        if (!selectedElement) return;
+        recordHistory();
 
-        let currentZIndex = elementStates[id].zIndex || parseInt(window.getComputedStyle(selectedElement).zIndex) || 50;
-        if (isNaN(currentZIndex)) currentZIndex = 50;
+        selectedElements.forEach(el => {
+            const state = getState(el);
+            let currentZIndex = state.zIndex || parseInt(window.getComputedStyle(el).zIndex) || 50;
+            if (isNaN(currentZIndex)) currentZIndex = 50;
 
-        // Use step of 10 for more visible changes
-        let newZIndex = currentZIndex + (delta * 10);
-        newZIndex = Math.max(0, Math.min(1000, newZIndex)); // Clamp between 0 and 1000
+            // Use step of 10 for more visible changes
+            let newZIndex = currentZIndex + (delta * 10);
+            newZIndex = Math.max(0, Math.min(1000, newZIndex)); // Clamp between 0 and 1000
 
-        elementStates[id].zIndex = newZIndex;
-        selectedElement.style.zIndex = newZIndex;
-        selectedElement.style.position = selectedElement.style.position || 'relative';
-        document.getElementById('layer-display').textContent = newZIndex;
+            state.zIndex = newZIndex;
+            el.style.zIndex = newZIndex;
+            el.style.position = el.style.position || 'relative';
+        });
+        document.getElementById('layer-display').textContent = getState(selectedElement).zIndex;
     }
 
     function changeSize(delta) {
         if (!selectedElement) return;
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        let newScale = elementStates[id].scale + delta;
-        newScale = Math.max(10, Math.min(500, newScale));
-        elementStates[id].scale = newScale;
-        currentScale = newScale;
-        applyTransform(selectedElement, elementStates[id]);
-        document.getElementById('size-display').textContent = newScale + '%';
+        recordHistory();
+
+        selectedElements.forEach(el => {
+            const state = getState(el);
+            state.scale = Math.max(10, Math.min(500, state.scale + delta));
+            applyTransform(el, state);
+        });
+        currentScale = getState(selectedElement).scale;
+        document.getElementById('size-display').textContent = currentScale + '%';
     }
 
     function resetAll() {
-        // Remove added elements
-        document.querySelectorAll('.added-element').forEach(el => el.remove());
+        // Undoable like any other change
+        recordHistory();
+        clearSelection();
+        clearLayout();
+        currentScale = 100;
+        document.getElementById('size-display').textContent = '100%';
+        saveChanges();
+    }
 
-        elementStates = {};
+    // Move every selected element by dx / dy pixels
+    function moveSelection(dx, dy) {
+        selectedElements.forEach(el => {
+            const state = getState(el);
+            state.x += dx;
+            state.y += dy;
+            applyTransform(el, state);
+        });
+    }
+
+    // Line up the selected elements' edges or centres with each other
+    function alignSelection(align) {
+        if (selectedElements.length < 2) return;
+        recordHistory();
+
+        const rects = selectedElements.map(el => el.getBoundingClientRect());
+        const left = Math.min(...rects.map(r => r.left));
+        const right = Math.max(...rects.map(r => r.right));
+        const top = Math.min(...rects.map(r => r.top));
+        const bottom = Math.max(...rects.map(r => r.bottom));
+
+        selectedElements.forEach((el, i) => {
+            const r = rects[i];
+            const state = getState(el);
+            if (align === 'left') state.x += left - r.left;
+            if (align === 'center') state.x += (left + right) / 2 - (r.left + r.width / 2);
+            if (align === 'right') state.x += right - r.right;
+            if (align === 'top') state.y += top - r.top;
+            if (align === 'middle') state.y += (top + bottom) / 2 - (r.top + r.height / 2);
+            if (align === 'bottom') state.y += bottom - r.bottom;
+            applyTransform(el, state);
+        });
+    }
+
+    // Space the selected elements evenly between the first and last one (axis 'x' or 'y')
+    function distributeSelection(axis) {
+        if (selectedElements.length < 3) {
+            alert('Select at least 3 elements to distribute');
+            return;
+        }
+        recordHistory();
+
+        const start = axis === 'x' ? 'left' : 'top';
+        const size = axis === 'x' ? 'width' : 'height';
+        const items = selectedElements
+            .map(el => ({ el: el, rect: el.getBoundingClientRect() }))
+            .sort((a, b) => a.rect[start] - b.rect[start]);
+
+        const first = items[0].rect;
+        const last = items[items.length - 1].rect;
+        const used = items.reduce((sum, item) => sum + item.rect[size], 0);
+        const gap = (last[start] + last[size] - first[start] - used) / (items.length - 1);
+
+        let position = first[start];
+        items.forEach(item => {
+            const state = getState(item.el);
+            state[axis] += position - item.rect[start];
+            applyTransform(item.el, state);
+            position += item.rect[size] + gap;
+        });
+    }
+
+    // Undo / redo: every change records the layout as it was before the change
+    function recordHistory(key = null) {
+        // Repeated steps of one gesture (nudging, picking a colour) are a single undo step
+        if (key && key === lastHistoryKey) return;
+        pushHistory(JSON.stringify(elementStates));
+        lastHistoryKey = key;
+    }
+
+    function pushHistory(snapshot) {
+        undoStack.push(snapshot);
+        if (undoStack.length > MAX_UNDO_STEPS) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        updateUndoButtons();
+    }
+
+    function undo() {
+        if (undoStack.length === 0) return;
+        redoStack.push(JSON.stringify(elementStates));
+        showHistoryState(undoStack.pop());
+    }
+
+    function redo() {
+        if (redoStack.length === 0) return;
+        undoStack.push(JSON.stringify(elementStates));
+        showHistoryState(redoStack.pop());
+    }
+
+    function showHistoryState(snapshot) {
+        lastHistoryKey = null;
+        applyLayout(JSON.parse(snapshot));
+        restoreSelection();
+        updateUndoButtons();
+    }
+
+    function updateUndoButtons() {
+        document.getElementById('undo-btn').disabled = undoStack.length === 0;
+        document.getElementById('redo-btn').disabled = redoStack.length === 0;
+    }
+
+    function toggleSnap() {
+        snapEnabled = !snapEnabled;
+        document.getElementById('snap-btn').classList.toggle('active', snapEnabled);
+        document.getElementById('edit-grid').classList.toggle('hidden', !snapEnabled);
+        if (snapEnabled) {
+            const origin = getGridOrigin();
+            document.getElementById('edit-grid').style.backgroundPosition = `${origin.left}px ${origin.top}px`;
+        }
+    }
+
+    // The grid starts at the top left corner of the page container
+    function getGridOrigin() {
+        const container = document.querySelector('.container') || document.body;
+        return container.getBoundingClientRect();
+    }
+
+    // Edges and centres the dragged elements snap to: the other elements and the page container
+    function getGuideLines() {
+        const lines = { x: [], y: [] };
+        const addRect = r => {
+            lines.x.push(r.left, r.left + r.width / 2, r.right);
+            lines.y.push(r.top, r.top + r.height / 2, r.bottom);
+        };
+
+        addRect(getGridOrigin());
         document.querySelectorAll('.editable').forEach(el => {
-            el.style.transform = '';
-            el.style.color = '';
-            el.style.fontFamily = '';
-            el.style.fontWeight = '';
+            // Skip the dragged elements and anything nested in or around them
+            if (selectedElements.some(selected => selected.contains(el) || el.contains(selected))) return;
+            const r = el.getBoundingClientRect();
+            if (r.width > 0 && r.height > 0) addRect(r);
         });
-        currentScale = 100;
-        addedElementCount = 0;
-        document.getElementById('size-display').textContent = '100%';
-        localStorage.removeItem('editMode_' + pageId);
+        return lines;
+    }
+
+    // Closest guide line within SNAP_DISTANCE of any of the given edges
+    function findSnap(edges, lines) {
+        let best = null;
+        edges.forEach(edge => {
+            lines.forEach(line => {
+                const offset = line - edge;
+                if (Math.abs(offset) <= SNAP_DISTANCE && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset: offset, line: line };
+                }
+            });
+        });
+        return best;
+    }
+
+    // Adjust a drag offset so the dragged element snaps to a guide, or else to the grid
+    function snapDrag(dx, dy) {
+        const left = dragRect.left + dx;
+        const top = dragRect.top + dy;
+        const snapX = findSnap([left, left + dragRect.width / 2, left + dragRect.width], guideLines.x);
+        const snapY = findSnap([top, top + dragRect.height / 2, top + dragRect.height], guideLines.y);
+        const origin = getGridOrigin();
+
+        showGuide('x', snapX);
+        showGuide('y', snapY);
+        return {
+            dx: dx + (snapX ? snapX.offset : snapToGrid(left, origin.left)),
+            dy: dy + (snapY ? snapY.offset : snapToGrid(top, origin.top))
+        };
+    }
+
+    // Offset that moves a position onto the nearest grid line
+    function snapToGrid(position, origin) {
+        return Math.round((position - origin) / GRID_SIZE) * GRID_SIZE + origin - position;
+    }
+
+    function showGuide(axis, snap) {
+        const guide = document.getElementById(`edit-guide-${axis}`);
+        guide.classList.toggle('hidden', !snap);
+        if (snap) {
+            guide.style[axis === 'x' ? 'left' : 'top'] = snap.line + 'px';
+        }
+    }
+
+    function hideGuides() {
+        showGuide('x', null);
+        showGuide('y', null);
     }
 
     function applyTransform(el, state) {
@@ -997,70 +1254,171 @@
             el.style.zIndex = state.zIndex;
             el.style.position = el.style.position || 'relative';
         }
+        if (state.textAlign) {
+            el.style.textAlign = state.textAlign;
+        }
     }
 
     function startDrag(e) {
-        if (!editMode || !selectedElement) return;
+        dragMoved = false;
+        // Only selected elements are dragged (the whole selection moves together)
+        if (!editMode || !selectedElements.includes(e.currentTarget)) return;
         isDragging = true;
         const touch = e.touches ? e.touches[0] : e;
         startX = touch.clientX;
         startY = touch.clientY;
-        const id = selectedElement.dataset.id;
-        if (!elementStates[id]) {
-            elementStates[id] = { scale: 100, x: 0, y: 0 };
-        }
-        startLeft = elementStates[id].x || 0;
-        startTop = elementStates[id].y || 0;
+        dragSnapshot = JSON.stringify(elementStates);
+        dragTarget = e.currentTarget;
+        dragRect = dragTarget.getBoundingClientRect();
+        dragItems = selectedElements.map(el => {
+            const state = getState(el);
+            return { el: el, state: state, x: state.x, y: state.y };
+        });
+        guideLines = snapEnabled ? getGuideLines() : null;
         e.preventDefault();
     }
 
     function doDrag(e) {
-        if (!isDragging || !selectedElement) return;
+        if (!isDragging) return;
         const touch = e.touches ? e.touches[0] : e;
-        const dx = touch.clientX - startX;
-        const dy = touch.clientY - startY;
-        const id = selectedElement.dataset.id;
-        elementStates[id].x = startLeft + dx;
-        elementStates[id].y = startTop + dy;
-        applyTransform(selectedElement, elementStates[id]);
+        let dx = touch.clientX - startX;
+        let dy = touch.clientY - startY;
+        if (dx !== 0 || dy !== 0) {
+            dragMoved = true;
+        }
+
+        if (snapEnabled) {
+            ({ dx, dy } = snapDrag(dx, dy));
+        }
+        dragItems.forEach(item => {
+            item.state.x = item.x + dx;
+            item.state.y = item.y + dy;
+            applyTransform(item.el, item.state);
+        });
     }
 
-    function endDrag() {
+    function endDrag(e) {
+        if (!isDragging) return;
         isDragging = false;
+        hideGuides();
+
+        if (dragMoved) {
+            pushHistory(dragSnapshot);
+            lastHistoryKey = null;
+        } else if (e.type === 'touchend') {
+            // A tap on a selected element (no click event after touchstart) toggles it in multi-select
+            selectElement(dragTarget, multiSelectMode);
+        }
+    }
+
+    // Cached layout in localStorage: the last layout from the server, or edits not saved yet (pending)
+    function readCachedLayout() {
+        try {
+            const cached = JSON.parse(localStorage.getItem('editMode_' + pageId));
+            if (!cached) return null;
+            // Older versions stored the element states directly and never sent them to the server
+            return cached.elements ? cached : { elements: cached, version: null, pending: true };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function cacheLayout(pending) {
+        localStorage.setItem('editMode_' + pageId, JSON.stringify({
+            elements: elementStates,
+            version: layoutVersion,
+            pending: pending
+        }));
     }
 
     function saveChanges() {
-        localStorage.setItem('editMode_' + pageId, JSON.stringify(elementStates));
+        cacheLayout(JSON.stringify(elementStates) !== savedElementsJson);
         console.log('Edit mode: Changes saved for ' + pageId);
     }
 
-    function loadChanges() {
-        const saved = localStorage.getItem('editMode_' + pageId);
-        if (saved) {
-            elementStates = JSON.parse(saved);
+    // Inline styles as written in the HTML, so an applied layout can be taken off again
+    function rememberAuthoredStyles() {
+        document.querySelectorAll('.editable').forEach(el => {
+            authoredStyles[el.dataset.id] = el.getAttribute('style');
+        });
+    }
 
-            // Restore existing elements
-            document.querySelectorAll('.editable').forEach(el => {
-                const id = el.dataset.id;
-                if (elementStates[id]) {
-                    applyAllStyles(el, elementStates[id]);
-                }
-            });
+    // Remove added elements and layout styles - back to the page as written in the HTML
+    function clearLayout() {
+        document.querySelectorAll('.added-element').forEach(el => el.remove());
+        document.querySelectorAll('.editable').forEach(el => {
+            const style = authoredStyles[el.dataset.id];
+            if (style === null || style === undefined) {
+                el.removeAttribute('style');
+            } else {
+                el.setAttribute('style', style);
+            }
+        });
+        elementStates = {};
+        addedElementCount = 0;
+    }
+
+    function applyLayout(elements) {
+        clearLayout();
+        elementStates = elements || {};
+
+        // Restore existing elements
+        document.querySelectorAll('.editable').forEach(el => {
+            const id = el.dataset.id;
+            if (elementStates[id]) {
+                applyAllStyles(el, elementStates[id]);
+            }
+        });
 
-            // Recreate added elements
-            Object.keys(elementStates).forEach(id => {
-                const state = elementStates[id];
-                if (state.isAdded) {
-                    addedElementCount++;
-                    if (state.type === 'text') {
-                        recreateAddedText(id, state);
-                    } else if (state.src) {
-                        recreateAddedElement(id, state);
-                    }
+        // Recreate added elements
+        Object.keys(elementStates).forEach(id => {
+            const state = elementStates[id];
+            if (state.isAdded) {
+                addedElementCount++;
+                if (state.type === 'text') {
+                    recreateAddedText(id, state);
+                } else if (state.src) {
+                    recreateAddedElement(id, state);
                 }
-            });
+            }
+        });
+
+        if (editMode) {
+            document.querySelectorAll('.editable').forEach(el => el.classList.add('edit-active'));
+        }
+    }
+
+    // Apply the cached layout straight away, then the one from the server if it is different
+    async function loadLayout() {
+        const cached = readCachedLayout();
+        if (cached) {
+            layoutVersion = cached.version;
+            applyLayout(cached.elements);
+            if (!cached.pending) {
+                savedElementsJson = JSON.stringify(cached.elements);
+            }
+        }
 
-            console.log('Edit mode: Changes loaded for ' + pageId);
+        try {
+            const response = await fetch(SERVER_URL + getLayoutUrl());
+            const data = await response.json();
+            if (!data.success) return;
+
+            // Unsaved edits are kept until they are saved; an offline server only has an older copy
+            if (cached && (cached.pending || data.cached)) return;
+            // Don't move things while someone is editing
+            if (editMode) return;
+
+            const elements = data.layout ? data.layout.elements : {};
+            layoutVersion = data.version;
+            if (JSON.stringify(elements) !== JSON.stringify(elementStates)) {
+                applyLayout(elements);
+            }
+            savedElementsJson = JSON.stringify(elementStates);
+            cacheLayout(false);
+            console.log('Edit mode: Layout loaded for ' + pageId + (data.version ? ' (v' + data.version + ')' : ''));
+        } catch (err) {
+            console.log('Edit mode: Server not reachable - using the cached layout for ' + pageId);
         }
     }
 
@@ -1124,12 +1482,7 @@
 
     function initEditableElements() {
         document.querySelectorAll('.editable').forEach(el => {
-            el.addEventListener('click', (e) => {
-                if (editMode) {
-                    e.stopPropagation();
-                    selectElement(el);
-                }
-            });
+            el.addEventListener('click', onEditableClick);
             el.addEventListener('mousedown', startDrag);
             el.addEventListener('touchstart', startDrag, { passive: false });
         });
@@ -1138,6 +1491,56 @@
         document.addEventListener('touchmove', doDrag, { passive: false });
         document.addEventListener('mouseup', endDrag);
         document.addEventListener('touchend', endDrag);
+        document.addEventListener('keydown', handleEditKeys);
+    }
+
+    // Shift / Ctrl-click (or the ⧉ button) adds to the selection instead of replacing it
+    function isAdditiveSelect(e) {
+        return multiSelectMode || e.shiftKey || e.ctrlKey || e.metaKey;
+    }
+
+    function onEditableClick(e) {
+        if (!editMode) return;
+        e.stopPropagation();
+        // The click that ends a drag doesn't change the selection
+        if (dragMoved) {
+            dragMoved = false;
+            return;
+        }
+        selectElement(e.currentTarget, isAdditiveSelect(e));
+    }
+
+    function handleEditKeys(e) {
+        if (!editMode || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+            return;
+        }
+        if ((e.ctrlKey || e.metaKey) && key === 'y') {
+            e.preventDefault();
+            redo();
+            return;
+        }
+        if (selectedElements.length === 0) return;
+
+        // Arrow keys nudge the selection by 1px (10px with Shift)
+        const step = e.shiftKey ? 10 : 1;
+        const nudges = { arrowleft: [-step, 0], arrowright: [step, 0], arrowup: [0, -step], arrowdown: [0, step] };
+        if (nudges[key]) {
+            e.preventDefault();
+            recordHistory('nudge');
+            moveSelection(nudges[key][0], nudges[key][1]);
+        } else if (key === 'delete') {
+            e.preventDefault();
+            deleteSelectedElement();
+        }
     }
 
     // Main init function
@@ -1147,8 +1550,12 @@
         createEditControls();
         createAddElementModal();
         createAddTextModal();
+        createPinModal();
+        createHistoryModal();
+        createSnapGuides();
         initEditableElements();
-        loadChanges();
+        rememberAuthoredStyles();
+        loadLayout();
         console.log('Edit mode initialized for: ' + pageId);
     };
 
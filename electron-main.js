@@ -1,5 +1,8 @@
-const { app, BrowserWindow } = require('electron');
+require('dotenv').config();
+
+const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
+const printer = require('./printer');
 
 function createWindow() {
     const win = new BrowserWindow({
@@ -10,7 +13,8 @@ function createWindow() {
         resizable: false,
         webPreferences: {
             nodeIntegration: false,
-            contextIsolation: true
+            contextIsolation: true,
+            preload: path.join(__dirname, 'electron-preload.js')
         }
     });
 
@@ -21,6 +25,10 @@ function createWindow() {
     // win.webContents.openDevTools();
 }
 
+// Receipt printing for window.kioskPrinter (electron-preload.js)
+ipcMain.handle('printer:print', (event, receipt) => printer.printReceipt(receipt));
+ipcMain.handle('printer:status', () => printer.getPrinterStatus());
+
 app.whenReady().then(() => {
     createWindow();
 
@@ -0,0 +1,12 @@
+/**
+ * Electron preload - exposes the receipt printer to the kiosk pages as window.kioskPrinter
+ * The pages keep contextIsolation and no Node access; they can only print a
+ * receipt object and read the printer state through the main process.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('kioskPrinter', {
+    printReceipt: receipt => ipcRenderer.invoke('printer:print', receipt),
+    getStatus: () => ipcRenderer.invoke('printer:status')
+});
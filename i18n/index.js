@@ -0,0 +1,159 @@
+/**
+ * Translation Catalogs for Tizo Kiosk
+ * One JSON catalog per language in i18n/catalogs/<lang>.json, served to the pages through
+ * GET /api/i18n/:lang (see page-1/language.js). Keys are grouped by page ("welcome.main");
+ * "meta.name" is the language's name in the language menu. Adding a language is adding a
+ * catalog file - no page has to change.
+ *
+ * A key missing from a catalog falls back to the BASE_LANGUAGE text. The missing-key report
+ * lists those keys per language, plus keys the pages asked for that no catalog has.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_DIR = path.join(__dirname, 'catalogs');
+
+// Every key exists in this catalog; the others fall back to it
+const BASE_LANGUAGE = 'en';
+
+// Language codes like "en", "zh" or "zh-TW" (also keeps catalog paths inside CATALOG_DIR)
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+// Keys reported by the pages, per language; the oldest are dropped beyond this many
+const MAX_REPORTED_KEYS = 500;
+const reportedKeys = new Map();
+
+/**
+ * Read a catalog file
+ * Catalogs are read on every request so an edited or added catalog is picked up without a restart.
+ * @param {string} lang Language code
+ * @returns {Promise<Object|null>} Catalog, or null if there is none for the language
+ * @throws {Error} If the file is not valid JSON
+ */
+async function readCatalog(lang) {
+    if (!LANGUAGE_PATTERN.test(lang)) return null;
+    try {
+        const content = await fs.promises.readFile(path.join(CATALOG_DIR, `${lang}.json`), 'utf8');
+        return JSON.parse(content);
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Translation catalog ${lang}.json is invalid: ${err.message}`);
+    }
+}
+
+/**
+ * List the dotted keys of a catalog ("welcome.main")
+ * @param {Object} catalog Catalog or part of one
+ * @param {string} [prefix] Key prefix
+ * @returns {string[]} Keys of every text
+ */
+function listKeys(catalog, prefix = '') {
+    return Object.entries(catalog).flatMap(([key, value]) => (
+        value && typeof value === 'object' ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+    ));
+}
+
+/**
+ * Fill the gaps of a catalog with another one
+ * @param {Object} fallback Catalog whose texts are used when missing
+ * @param {Object} catalog Catalog to complete
+ * @returns {Object} Merged catalog
+ */
+function mergeCatalogs(fallback, catalog) {
+    const merged = { ...fallback };
+    for (const [key, value] of Object.entries(catalog)) {
+        const isGroup = value && typeof value === 'object' && fallback[key] && typeof fallback[key] === 'object';
+        merged[key] = isGroup ? mergeCatalogs(fallback[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * List the languages with a catalog
+ * @returns {Promise<Array<{code: string, name: string}>>} Base language first, then by code
+ */
+async function listLanguages() {
+    const files = await fs.promises.readdir(CATALOG_DIR);
+    const codes = files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .filter(code => LANGUAGE_PATTERN.test(code))
+        .sort((a, b) => (b === BASE_LANGUAGE) - (a === BASE_LANGUAGE) || a.localeCompare(b));
+
+    const languages = [];
+    for (const code of codes) {
+        const catalog = await readCatalog(code);
+        languages.push({ code: code, name: (catalog.meta && catalog.meta.name) || code });
+    }
+    return languages;
+}
+
+/**
+ * Get the catalog for a language, completed with the base language
+ * @param {string} lang Language code
+ * @returns {Promise<{catalog: Object, missing: string[]}|null>} Catalog and the keys that fell back
+ *          to the base language, or null if the language has no catalog
+ */
+async function getCatalog(lang) {
+    const catalog = await readCatalog(lang);
+    if (!catalog) return null;
+    if (lang === BASE_LANGUAGE) return { catalog: catalog, missing: [] };
+
+    const base = await readCatalog(BASE_LANGUAGE) || {};
+    const translated = new Set(listKeys(catalog));
+    return {
+        catalog: mergeCatalogs(base, catalog),
+        missing: listKeys(base).filter(key => !translated.has(key))
+    };
+}
+
+/**
+ * Record keys a page asked for that its catalog does not have
+ * @param {string} lang Language the page was shown in
+ * @param {string} page Page that asked (e.g. "welcome.html")
+ * @param {string[]} keys Missing keys
+ */
+function recordMissingKeys(lang, page, keys) {
+    const now = new Date();
+    for (const key of keys) {
+        const id = `${lang}:${key}`;
+        const entry = reportedKeys.get(id) || { lang: lang, key: key, pages: [], count: 0, firstSeenAt: now };
+        if (page && !entry.pages.includes(page)) entry.pages.push(page);
+        entry.count++;
+        entry.lastSeenAt = now;
+
+        reportedKeys.delete(id);
+        reportedKeys.set(id, entry);
+    }
+
+    while (reportedKeys.size > MAX_REPORTED_KEYS) {
+        reportedKeys.delete(reportedKeys.keys().next().value);
+    }
+    console.warn('⚠️  Missing translation keys on', page || 'a page', `(${lang}):`, keys.join(', '));
+}
+
+/**
+ * Build the missing-key report
+ * @returns {Promise<{untranslated: Object, reported: Array<Object>}>} Keys each language takes from
+ *          the base language, and keys reported by the pages since the server started (most seen first)
+ */
+async function missingKeyReport() {
+    const untranslated = {};
+    for (const language of await listLanguages()) {
+        if (language.code === BASE_LANGUAGE) continue;
+        untranslated[language.code] = (await getCatalog(language.code)).missing;
+    }
+
+    const reported = [...reportedKeys.values()].sort((a, b) => b.count - a.count || b.lastSeenAt - a.lastSeenAt);
+    return { untranslated: untranslated, reported: reported };
+}
+
+module.exports = {
+    BASE_LANGUAGE,
+    LANGUAGE_PATTERN,
+    listLanguages,
+    getCatalog,
+    recordMissingKeys,
+    missingKeyReport
+};
@@ -0,0 +1,135 @@
+/**
+ * Database Migration Runner for Tizo Kiosk
+ * Applies the numbered SQL files in migrations/ in order and records each
+ * applied version in the schema_migrations table, so every kiosk database
+ * can be bootstrapped (or brought up to date) reproducibly.
+ *
+ * Usage:
+ *   node migrate.js            Apply pending migrations
+ *   node migrate.js --seed     Apply pending migrations, then load migrations/seed.sql
+ *   node migrate.js status     List applied and pending migrations
+ *   node server.js migrate     Same as node migrate.js (accepts --seed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEED_FILE = path.join(MIGRATIONS_DIR, 'seed.sql');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two kiosks never migrate the same database at once
+const MIGRATION_LOCK_KEY = 48151623;
+
+/**
+ * List migration files in version order
+ * @returns {Array<{version: string, file: string}>}
+ */
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => MIGRATION_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => ({ version: file.replace(/\.sql$/, ''), file: path.join(MIGRATIONS_DIR, file) }));
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version character varying(255) PRIMARY KEY,
+        applied_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Apply pending migrations (and optionally the seed set)
+ * Each migration runs in its own transaction together with its schema_migrations row
+ * @param {Object} options
+ * @param {boolean} options.seed Load migrations/seed.sql after migrating
+ * @returns {Promise<string[]>} Versions applied by this run
+ */
+async function migrate(options = {}) {
+    const client = await pool.connect();
+    const appliedNow = [];
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        const applied = await getAppliedVersions(client);
+
+        for (const migration of listMigrations()) {
+            if (applied.has(migration.version)) continue;
+
+            console.log(`⏳ Applying ${migration.version}...`);
+            const sql = fs.readFileSync(migration.file, 'utf8');
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`${migration.version}: ${err.message}`);
+            }
+            appliedNow.push(migration.version);
+            console.log(`✅ Applied ${migration.version}`);
+        }
+
+        if (appliedNow.length === 0) {
+            console.log('✅ Database schema is up to date');
+        }
+
+        if (options.seed) {
+            console.log('⏳ Loading seed data...');
+            await client.query('BEGIN');
+            try {
+                await client.query(fs.readFileSync(SEED_FILE, 'utf8'));
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`seed: ${err.message}`);
+            }
+            console.log('✅ Seed data loaded');
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => { });
+        client.release();
+    }
+
+    return appliedNow;
+}
+
+/**
+ * Print applied and pending migrations
+ */
+async function status() {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const applied = await getAppliedVersions(client);
+        for (const migration of listMigrations()) {
+            console.log(`${applied.has(migration.version) ? '✅ applied' : '⏳ pending'}  ${migration.version}`);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+if (require.main === module) {
+    const run = process.argv[2] === 'status'
+        ? status()
+        : migrate({ seed: process.argv.includes('--seed') });
+
+    run
+        .then(() => pool.end())
+        .catch(err => {
+            console.error('❌ Migration failed:', err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate, status, listMigrations };
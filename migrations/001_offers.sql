@@ -0,0 +1,40 @@
+-- Offers shown on the kiosk (see OFFER_SELECTION_LOGIC.md)
+-- Written with IF NOT EXISTS so it also applies cleanly to databases imported from database.sql
+
+CREATE OR REPLACE FUNCTION update_updated_at_column() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS offers (
+    id serial PRIMARY KEY,
+    product_name character varying(255) NOT NULL,
+    cost numeric(10,2) NOT NULL,
+    bonus_percent numeric(5,2) DEFAULT 0,
+    tizo_credit numeric(10,2) NOT NULL,
+    category character varying(100),
+    start_date date,
+    end_date date,
+    card_type character varying(100),
+    venue text[],
+    offer_card_image text,
+    top_left_icon text,
+    top_right_icon text,
+    bottom_left_icon text,
+    bottom_right_icon text,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    gift character varying(50) DEFAULT 'Nil',
+    gift_details character varying(255) DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS idx_offers_category ON offers USING btree (category);
+CREATE INDEX IF NOT EXISTS idx_offers_dates ON offers USING btree (start_date, end_date);
+
+DROP TRIGGER IF EXISTS update_offers_updated_at ON offers;
+CREATE TRIGGER update_offers_updated_at BEFORE UPDATE ON offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,6 @@
+-- Columns filtered on by /api/offers, /api/layout-config and /api/scratch-card
+
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS free_games integer;
+
+CREATE INDEX IF NOT EXISTS idx_offers_card_type ON offers USING btree (card_type);
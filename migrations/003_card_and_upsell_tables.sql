@@ -0,0 +1,34 @@
+-- Card descriptions for card-selection.html (/api/card-info)
+CREATE TABLE IF NOT EXISTS card_offers (
+    id character varying(50) PRIMARY KEY,
+    card_name character varying(100) NOT NULL,
+    description text,
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_card_offers_updated_at ON card_offers;
+CREATE TRIGGER update_card_offers_updated_at BEFORE UPDATE ON card_offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- TIZO rate tiers by top-up amount in Rb (/api/upsell-offer*, custom top-up pricing)
+CREATE TABLE IF NOT EXISTS upsell_offers (
+    id serial PRIMARY KEY,
+    topup_rb integer NOT NULL UNIQUE CHECK (topup_rb > 0),
+    tizo_value integer NOT NULL CHECK (tizo_value >= 0),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upsell boxes offered for a custom top-up amount range in Rb (/api/custom-topup-upsell)
+CREATE TABLE IF NOT EXISTS custom_topup_upsell (
+    id serial PRIMARY KEY,
+    range_min integer NOT NULL,
+    range_max integer NOT NULL,
+    upsell_box_1 integer NOT NULL,
+    upsell_box_2 integer NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    CHECK (range_max >= range_min)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_topup_upsell_range ON custom_topup_upsell USING btree (range_min, range_max);
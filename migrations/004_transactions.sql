@@ -0,0 +1,36 @@
+-- Completed kiosk orders (POST/GET /api/transactions)
+
+CREATE TABLE IF NOT EXISTS transactions (
+    id serial PRIMARY KEY,
+    order_number character varying(32) NOT NULL UNIQUE,
+    session_id character varying(32),
+    kiosk_id character varying(100),
+    card_type character varying(50),
+    card_quantity integer DEFAULT 1,
+    is_new_player boolean,
+    offer_id integer,
+    custom_amount numeric(12,2),
+    scratch_accepted boolean DEFAULT false,
+    ood_accepted boolean DEFAULT false,
+    ooh_accepted boolean DEFAULT false,
+    total_cost numeric(12,2) NOT NULL DEFAULT 0,
+    total_tizo numeric(12,2) NOT NULL DEFAULT 0,
+    language character varying(10),
+    status character varying(20) DEFAULT 'completed',
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions USING btree (created_at);
+CREATE INDEX IF NOT EXISTS idx_transactions_kiosk ON transactions USING btree (kiosk_id);
+
+CREATE TABLE IF NOT EXISTS transaction_items (
+    id serial PRIMARY KEY,
+    transaction_id integer NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+    item_type character varying(20) NOT NULL,
+    offer_id integer,
+    amount numeric(12,2) NOT NULL DEFAULT 0,
+    tizo numeric(12,2) NOT NULL DEFAULT 0,
+    details character varying(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_items_transaction ON transaction_items USING btree (transaction_id);
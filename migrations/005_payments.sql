@@ -0,0 +1,25 @@
+-- Payment attempts made before a receipt is printed (/api/payments)
+
+CREATE TABLE IF NOT EXISTS payments (
+    id serial PRIMARY KEY,
+    order_number character varying(32) NOT NULL,
+    session_id character varying(32),
+    kiosk_id character varying(100),
+    provider character varying(50) NOT NULL,
+    provider_ref character varying(100),
+    amount numeric(12,2) NOT NULL,
+    status character varying(20) NOT NULL DEFAULT 'pending',
+    qr_string text,
+    qr_image_url text,
+    expires_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order_number ON payments USING btree (order_number);
+
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payment_id integer REFERENCES payments(id);
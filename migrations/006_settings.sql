@@ -0,0 +1,18 @@
+-- Kiosk settings stored as JSON, optionally per venue (venue '*' applies to every kiosk)
+-- 'pricing' holds the TIZO base unit used by page-1/tizo-pricing.js
+
+CREATE TABLE IF NOT EXISTS settings (
+    key character varying(64) NOT NULL,
+    venue character varying(100) NOT NULL DEFAULT '*',
+    value jsonb NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (key, venue)
+);
+
+DROP TRIGGER IF EXISTS update_settings_updated_at ON settings;
+CREATE TRIGGER update_settings_updated_at BEFORE UPDATE ON settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO settings (key, venue, value)
+VALUES ('pricing', '*', '{"baseUnitRb": 600, "baseMultiplier": 2}')
+ON CONFLICT (key, venue) DO NOTHING;
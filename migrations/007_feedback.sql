@@ -0,0 +1,16 @@
+-- Customer satisfaction ratings from feedback.html (POST /api/feedback)
+-- rating: 1 = Highly Dissatisfied ... 4 = Very Satisfied
+
+CREATE TABLE IF NOT EXISTS feedback (
+    id serial PRIMARY KEY,
+    session_id character varying(32),
+    order_number character varying(32),
+    kiosk_id character varying(100),
+    card_type character varying(50),
+    rating smallint NOT NULL CHECK (rating BETWEEN 1 AND 4),
+    language character varying(10),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_created_at ON feedback USING btree (created_at);
+CREATE INDEX IF NOT EXISTS idx_feedback_kiosk ON feedback USING btree (kiosk_id);
@@ -0,0 +1,15 @@
+-- Kiosk funnel analytics: page views and key actions (POST /api/events)
+
+CREATE TABLE IF NOT EXISTS events (
+    id bigserial PRIMARY KEY,
+    session_id character varying(32),
+    kiosk_id character varying(100),
+    event_type character varying(50) NOT NULL,
+    page character varying(50),
+    data jsonb,
+    occurred_at timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_occurred_at ON events USING btree (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_events_session ON events USING btree (session_id);
@@ -0,0 +1,31 @@
+-- Staff who may unlock edit mode on the kiosk pages, and the audit log of page edits
+-- pin_hash: scrypt hash written by hashPin() in auth/index.js (never store the PIN itself)
+-- edit_audit.version: layout version the save stored (see saveLayout in routes/layouts.js)
+
+CREATE TABLE IF NOT EXISTS staff (
+    id serial PRIMARY KEY,
+    name character varying(100) NOT NULL UNIQUE,
+    pin_hash character varying(200) NOT NULL,
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_staff_updated_at ON staff;
+CREATE TRIGGER update_staff_updated_at BEFORE UPDATE ON staff
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS edit_audit (
+    id serial PRIMARY KEY,
+    kiosk_id character varying(100),
+    user_name character varying(100) NOT NULL,
+    role character varying(20) NOT NULL,
+    action character varying(20) NOT NULL CHECK (action IN ('save', 'rollback')),
+    page character varying(255) NOT NULL,
+    version character varying(64),
+    restored_version character varying(64),
+    bytes integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_edit_audit_page ON edit_audit USING btree (page, created_at);
@@ -0,0 +1,29 @@
+-- Edit-mode layouts per kiosk page, stored as data instead of rewriting page-1/*.html
+-- layout: { "elements": { "<data-id>": { x, y, scale, color, font, bold, zIndex, ... } } } as saved by edit-mode.js
+-- venue '*' applies to every kiosk; a row for a kiosk's venue overrides it (same as settings)
+-- Every save is kept in page_layout_versions so it can be rolled back; edit_audit.version is the layout version
+
+CREATE TABLE IF NOT EXISTS page_layouts (
+    page_id character varying(100) NOT NULL,
+    venue character varying(100) NOT NULL DEFAULT '*',
+    layout jsonb NOT NULL,
+    version integer NOT NULL,
+    updated_by character varying(100),
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (page_id, venue)
+);
+
+DROP TRIGGER IF EXISTS update_page_layouts_updated_at ON page_layouts;
+CREATE TRIGGER update_page_layouts_updated_at BEFORE UPDATE ON page_layouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS page_layout_versions (
+    id serial PRIMARY KEY,
+    page_id character varying(100) NOT NULL,
+    venue character varying(100) NOT NULL DEFAULT '*',
+    version integer NOT NULL,
+    layout jsonb NOT NULL,
+    saved_by character varying(100),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (page_id, venue, version)
+);
@@ -0,0 +1,18 @@
+-- Existing players' cards, looked up by card number on card-selection.html (GET /api/members/:cardNumber)
+-- card_number: the number printed on the card and sent by the barcode/RFID reader (stored upper-case)
+-- tier: card type, matching card_offers.id ('red', 'blue', 'gold', 'platinum')
+-- balance: TIZO left on the card
+
+CREATE TABLE IF NOT EXISTS members (
+    card_number character varying(32) PRIMARY KEY,
+    tier character varying(50) NOT NULL,
+    balance numeric(12,2) NOT NULL DEFAULT 0,
+    name character varying(100),
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_members_updated_at ON members;
+CREATE TRIGGER update_members_updated_at BEFORE UPDATE ON members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,15 @@
+-- Crediting purchased TIZO to the player's card in the card system (cardsystem/)
+-- card_number: member card the TIZO goes to (from the member lookup); NULL = no card, the cashier tops up
+-- credit_status: none (no card) | pending | credited | failed (retried) | rejected | unpaid | reversed
+-- The idempotency key sent to the card system is '<order_number>:credit', so retries never credit twice
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS card_number character varying(32);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit_status character varying(20) NOT NULL DEFAULT 'none';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit_ref character varying(100);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit_error text;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credit_attempted_at timestamp without time zone;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS credited_at timestamp without time zone;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_credit_status ON transactions USING btree (credit_status)
+    WHERE credit_status IN ('pending', 'failed');
@@ -0,0 +1,26 @@
+-- Scratch card prize draw (POST /api/scratch-card/draw)
+-- The prize pool for a card type is its active 'Scratch Card' offers at this kiosk.
+-- prize_weight: relative chance of being drawn; daily_stock / total_stock: wins allowed per day / ever (NULL = unlimited)
+-- scratch_draws: one draw per kiosk session, so reloading scratch-card.html never re-rolls
+
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS prize_weight integer NOT NULL DEFAULT 1;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS daily_stock integer;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS total_stock integer;
+
+ALTER TABLE offers DROP CONSTRAINT IF EXISTS offers_prize_weight_check;
+ALTER TABLE offers ADD CONSTRAINT offers_prize_weight_check CHECK (prize_weight > 0);
+ALTER TABLE offers DROP CONSTRAINT IF EXISTS offers_stock_check;
+ALTER TABLE offers ADD CONSTRAINT offers_stock_check CHECK (
+    (daily_stock IS NULL OR daily_stock >= 0) AND (total_stock IS NULL OR total_stock >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS scratch_draws (
+    id serial PRIMARY KEY,
+    session_id character varying(32) NOT NULL UNIQUE,
+    offer_id integer REFERENCES offers(id) ON DELETE SET NULL,
+    kiosk_id character varying(100),
+    card_type character varying(50),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scratch_draws_offer ON scratch_draws USING btree (offer_id, created_at);
@@ -0,0 +1,13 @@
+-- Time-of-day and day-of-week windows for offers (Offer of the Hour / Offer of the Day)
+-- start_time / end_time: the offer runs from start_time until end_time each day (NULL = open-ended);
+--   an end_time at or before start_time runs past midnight, e.g. 22:00-02:00
+-- days_of_week: days the offer runs, 0 = Sunday ... 6 = Saturday (NULL or empty = every day)
+
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS start_time time without time zone;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS end_time time without time zone;
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS days_of_week smallint[];
+
+ALTER TABLE offers DROP CONSTRAINT IF EXISTS offers_days_of_week_check;
+ALTER TABLE offers ADD CONSTRAINT offers_days_of_week_check CHECK (
+    days_of_week IS NULL OR days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::smallint[]
+);
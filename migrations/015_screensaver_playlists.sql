@@ -0,0 +1,38 @@
+-- Screensaver playlists (page-1/screensaver.html attract loop)
+-- venue '*' applies to every kiosk; a playlist for a kiosk's KIOSK_ID wins over it (same as settings)
+-- A playlist runs between start_date/end_date, start_time/end_time and on days_of_week (see 014_offer_schedule.sql);
+-- when several run at once the highest priority wins
+-- Items play in position order: 'image' (PNG/JPG/GIF) and 'video' (MP4/WebM) show src, 'offer' shows the
+-- OOD/OOH offer running now in category. duration_ms is how long the item stays up (videos: NULL = until it ends)
+
+CREATE TABLE IF NOT EXISTS screensaver_playlists (
+    id serial PRIMARY KEY,
+    name character varying(100) NOT NULL,
+    venue character varying(100) NOT NULL DEFAULT '*',
+    priority integer NOT NULL DEFAULT 0,
+    start_date date,
+    end_date date,
+    start_time time without time zone,
+    end_time time without time zone,
+    days_of_week smallint[] CHECK (days_of_week IS NULL OR days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::smallint[]),
+    is_active boolean NOT NULL DEFAULT true,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_screensaver_playlists_updated_at ON screensaver_playlists;
+CREATE TRIGGER update_screensaver_playlists_updated_at BEFORE UPDATE ON screensaver_playlists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS screensaver_items (
+    id serial PRIMARY KEY,
+    playlist_id integer NOT NULL REFERENCES screensaver_playlists(id) ON DELETE CASCADE,
+    "position" integer NOT NULL,
+    media_type character varying(20) NOT NULL CHECK (media_type IN ('image', 'video', 'offer')),
+    src text,
+    category character varying(100),
+    duration_ms integer CHECK (duration_ms IS NULL OR duration_ms > 0),
+    CHECK ((media_type = 'offer' AND category IS NOT NULL) OR (media_type <> 'offer' AND src IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_screensaver_items_playlist ON screensaver_items USING btree (playlist_id, "position");
@@ -0,0 +1,8 @@
+-- 'currency' setting: how amounts are formatted on the kiosk pages and receipts (page-1/currency.js)
+-- Add a row for a venue to override the default, e.g.
+--   INSERT INTO settings (key, venue, value) VALUES ('currency', 'Kiosk KL 1',
+--     '{"locale": "en-MY", "symbol": "RM ", "minorUnits": 2, "displayUnit": 1, "displayUnitLabel": ""}');
+
+INSERT INTO settings (key, venue, value)
+VALUES ('currency', '*', '{"locale": "id-ID", "symbol": "Rp", "symbolPosition": "before", "minorUnits": 0, "grouping": true, "displayUnit": 1000, "displayUnitLabel": "Rb"}')
+ON CONFLICT (key, venue) DO NOTHING;
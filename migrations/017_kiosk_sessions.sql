@@ -0,0 +1,28 @@
+-- Kiosk sessions mirrored from the pages (page-1/session-manager.js, POST/PATCH /api/sessions/:id)
+-- data is the session object as the kiosk stores it in localStorage; revision grows with every save,
+-- so a late or replayed update never overwrites a newer one.
+-- status: 'active' while the customer is on the kiosk, 'completed' once the receipt is printed,
+-- 'abandoned' when the session was left (abandon_reason: 'idle', 'not_resumed', ...).
+-- An unfinished, unpaid active session can be resumed after a kiosk restart (resume_count counts how often).
+
+CREATE TABLE IF NOT EXISTS kiosk_sessions (
+    session_id character varying(32) PRIMARY KEY,
+    kiosk_id character varying(100) NOT NULL,
+    status character varying(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+    current_page character varying(50),
+    revision integer NOT NULL DEFAULT 0,
+    data jsonb NOT NULL,
+    abandon_reason character varying(50),
+    resume_count integer NOT NULL DEFAULT 0,
+    started_at timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_activity_at timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_kiosk_sessions_updated_at ON kiosk_sessions;
+CREATE TRIGGER update_kiosk_sessions_updated_at BEFORE UPDATE ON kiosk_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_kiosk_sessions_kiosk_status ON kiosk_sessions USING btree (kiosk_id, status, last_activity_at);
@@ -0,0 +1,5 @@
+-- Cart line quantities (page-1/session-manager.js): a transaction item is one cart line,
+-- amount and tizo are the line totals (unit values x quantity)
+-- item_type: topup | scratch | ood | ooh | card_fee | gift
+
+ALTER TABLE transaction_items ADD COLUMN IF NOT EXISTS quantity integer NOT NULL DEFAULT 1 CHECK (quantity > 0);
@@ -0,0 +1,40 @@
+-- Promo and voucher codes entered by the customer on the bill summary (POST /api/vouchers/validate)
+-- voucher_type: 'extra_tizo' adds value TIZO, 'percent_bonus' adds value % of the order's TIZO,
+--   'fixed_discount' takes value off the amount to pay (the order must cost more than the discount)
+-- start_date / end_date: the code is valid from start_date until end_date inclusive (NULL = open-ended)
+-- max_uses: redemptions allowed across every kiosk (NULL = unlimited); use_count counts them
+-- venue: kiosks where the code can be used (NULL or empty = every kiosk), like offers.venue
+-- Every redemption is recorded in voucher_redemptions with the sale it was applied to.
+
+CREATE TABLE IF NOT EXISTS vouchers (
+    id serial PRIMARY KEY,
+    code character varying(32) NOT NULL UNIQUE CHECK (code = upper(code)),
+    voucher_type character varying(20) NOT NULL CHECK (voucher_type IN ('extra_tizo', 'percent_bonus', 'fixed_discount')),
+    value numeric(12,2) NOT NULL CHECK (value > 0),
+    description character varying(255),
+    start_date date,
+    end_date date,
+    max_uses integer CHECK (max_uses IS NULL OR max_uses > 0),
+    use_count integer NOT NULL DEFAULT 0,
+    venue text[],
+    is_active boolean DEFAULT true,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_vouchers_updated_at ON vouchers;
+CREATE TRIGGER update_vouchers_updated_at BEFORE UPDATE ON vouchers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS voucher_redemptions (
+    id serial PRIMARY KEY,
+    voucher_id integer NOT NULL REFERENCES vouchers(id) ON DELETE CASCADE,
+    transaction_id integer NOT NULL UNIQUE REFERENCES transactions(id) ON DELETE CASCADE,
+    order_number character varying(32) NOT NULL,
+    kiosk_id character varying(100) NOT NULL,
+    discount numeric(12,2) NOT NULL DEFAULT 0,
+    bonus_tizo numeric(12,2) NOT NULL DEFAULT 0,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_voucher_redemptions_voucher ON voucher_redemptions USING btree (voucher_id, created_at);
@@ -0,0 +1,7 @@
+-- edit_audit.page holds the page ID ('welcome') since layouts replaced page file edits (010_page_layouts.sql)
+-- Entries written before that stored the file ('welcome.html' or 'page-1/welcome.html'); convert them so
+-- filtering the audit log by page finds every edit of a page. Their version stays the old backup name.
+
+UPDATE edit_audit
+SET page = regexp_replace(regexp_replace(page, '^/?page-1/', ''), '\.html$', '')
+WHERE page LIKE '%.html' OR page LIKE 'page-1/%' OR page LIKE '/page-1/%';
@@ -0,0 +1,13 @@
+-- A payment pays for one transaction: its TIZO is only credited for the order it was made for
+-- (see creditTransaction in routes/transactions.js). Before the index, a later transaction that
+-- reused a payment is detached from it; if its credit had not been sent yet it waits for staff as 'unpaid'.
+
+UPDATE transactions t
+SET payment_id = NULL,
+    credit_status = CASE WHEN t.credit_status IN ('pending', 'failed') THEN 'unpaid' ELSE t.credit_status END,
+    credit_error = 'Payment ' || t.payment_id || ' is already linked to another transaction'
+WHERE t.payment_id IS NOT NULL
+    AND EXISTS (SELECT 1 FROM transactions e WHERE e.payment_id = t.payment_id AND e.id < t.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_payment_id ON transactions USING btree (payment_id)
+    WHERE payment_id IS NOT NULL;
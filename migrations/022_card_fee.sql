@@ -0,0 +1,5 @@
+-- Price of a new card, charged as a 'card_fee' cart line when a new player buys the card
+-- (setCardFeeItem in page-1/session-manager.js). 0 means the card comes free.
+
+ALTER TABLE card_offers ADD COLUMN IF NOT EXISTS card_fee numeric(10,2) NOT NULL DEFAULT 0
+    CHECK (card_fee >= 0);
@@ -0,0 +1,6 @@
+-- A sale keeps the voucher it was paid with, even if the code can no longer be used when the sale is
+-- stored (e.g. another kiosk took its last use, or the sale was queued offline past end_date).
+-- problem: the reason such a redemption was honoured (a VOUCHER_PROBLEMS key in vouchers/index.js),
+--   NULL for a normal redemption. Honoured redemptions are not counted in vouchers.use_count.
+
+ALTER TABLE voucher_redemptions ADD COLUMN IF NOT EXISTS problem character varying(32);
@@ -0,0 +1,6 @@
+-- Amount refunded so far (POST /api/payments/:id/refund). A payment refunded in parts is
+-- 'partially_refunded' until refunded_amount reaches its amount, then 'refunded'.
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount numeric(12,2) NOT NULL DEFAULT 0;
+
+UPDATE payments SET refunded_amount = amount WHERE status = 'refunded' AND refunded_amount = 0;
@@ -0,0 +1,98 @@
+-- Optional starter data for a new kiosk database: node migrate.js --seed
+-- Safe to run more than once - existing rows are left untouched
+
+INSERT INTO card_offers (id, card_name, description) VALUES
+    ('red', 'RED CARD', 'Standard card with access to all games and easy reload options'),
+    ('blue', 'BLUE ELITE', 'Premium card with 10% bonus credits and member discounts'),
+    ('gold', 'GOLD VIP', 'VIP card with 20% bonus and exclusive event access'),
+    ('platinum', 'SILVER CARD', 'Regular card with 5% bonus and birthday rewards')
+ON CONFLICT (id) DO NOTHING;
+
+-- TIZO tiers in Rb; 600 Rb is the 2x base unit used by custom top-up pricing
+INSERT INTO upsell_offers (topup_rb, tizo_value) VALUES
+    (100, 150),
+    (150, 230),
+    (200, 320),
+    (250, 410),
+    (300, 510),
+    (350, 610),
+    (400, 720),
+    (450, 830),
+    (500, 930),
+    (550, 1020),
+    (600, 1200),
+    (800, 1600),
+    (1000, 2000),
+    (1200, 2400)
+ON CONFLICT (topup_rb) DO NOTHING;
+
+INSERT INTO custom_topup_upsell (range_min, range_max, upsell_box_1, upsell_box_2)
+SELECT v.range_min, v.range_max, v.upsell_box_1, v.upsell_box_2
+FROM (VALUES
+    (50, 149, 150, 200),
+    (150, 299, 300, 400),
+    (300, 449, 450, 550),
+    (450, 599, 600, 800),
+    (600, 999, 1000, 1200),
+    (1000, 1999, 2000, 2400)
+) AS v (range_min, range_max, upsell_box_1, upsell_box_2)
+WHERE NOT EXISTS (
+    SELECT 1 FROM custom_topup_upsell c WHERE c.range_min = v.range_min AND c.range_max = v.range_max
+);
+
+INSERT INTO offers (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details)
+SELECT v.product_name, v.cost, v.bonus_percent, v.tizo_credit, v.category, v.card_type, v.venue, v.gift, v.gift_details
+FROM (VALUES
+    ('Red 200', 200000, 60, 320, 'Voucher', 'Red', '{"Kiosk 1"}'::text[], 'Nil', ''),
+    ('Red 300', 300000, 70, 510, 'Voucher', 'Red', '{"Kiosk 1"}'::text[], 'Nil', ''),
+    ('Red 600', 600000, 100, 1200, 'Voucher', 'Red', '{"Kiosk 1"}'::text[], 'Nil', ''),
+    ('Blue 600', 600000, 100, 1200, 'Voucher', 'Blue', '{"Kiosk 1"}'::text[], 'Nil', ''),
+    ('New User 600', 600000, 100, 1200, 'Voucher', 'New User', NULL, 'FREE GAMES', '5 Games'),
+    ('Scratch Card Bonus', 100000, 100, 200, 'Scratch Card', 'New User', NULL, 'Nil', ''),
+    ('Offer of the Day', 50000, 100, 100, 'OOD', NULL, NULL, 'Nil', ''),
+    ('Offer of the Hour', 50000, 100, 100, 'OOH', NULL, NULL, 'Nil', '')
+) AS v (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details)
+WHERE NOT EXISTS (SELECT 1 FROM offers o WHERE o.product_name = v.product_name);
+
+-- Test cards for the member lookup on card-selection.html
+INSERT INTO members (card_number, tier, balance, name) VALUES
+    ('1000000001', 'red', 150, 'Andi'),
+    ('1000000002', 'blue', 820, 'Sari'),
+    ('1000000003', 'gold', 2400, 'Rudi'),
+    ('1000000004', 'platinum', 0, 'Dewi')
+ON CONFLICT (card_number) DO NOTHING;
+
+-- Scratch card prize pools: the Red common prize is drawn 9 times as often as its big win,
+-- which (like the New User big win) runs out after 5 wins a day
+INSERT INTO offers (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details, prize_weight, daily_stock, total_stock)
+SELECT v.product_name, v.cost, v.bonus_percent, v.tizo_credit, v.category, v.card_type, v.venue, v.gift, v.gift_details, v.prize_weight, v.daily_stock, v.total_stock
+FROM (VALUES
+    ('Scratch Card Big Win', 100000, 300, 400, 'Scratch Card', 'New User', NULL::text[], 'FREE GAMES', '3 Games', 1, 5, NULL::integer),
+    ('Red Scratch Card', 100000, 100, 200, 'Scratch Card', 'Red', NULL::text[], 'Nil', '', 9, NULL::integer, NULL::integer),
+    ('Red Scratch Card Big Win', 100000, 300, 400, 'Scratch Card', 'Red', NULL::text[], 'Nil', '', 1, 5, 100)
+) AS v (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details, prize_weight, daily_stock, total_stock)
+WHERE NOT EXISTS (SELECT 1 FROM offers o WHERE o.product_name = v.product_name);
+
+-- Offer of the Hour windows: a lunch-time and an evening offer, the evening one on weekends only
+INSERT INTO offers (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details, start_time, end_time, days_of_week)
+SELECT v.product_name, v.cost, v.bonus_percent, v.tizo_credit, v.category, v.card_type, v.venue, v.gift, v.gift_details, v.start_time, v.end_time, v.days_of_week
+FROM (VALUES
+    ('Lunch Hour', 50000, 150, 125, 'OOH', NULL, NULL::text[], 'Nil', '', '12:00'::time, '13:00'::time, NULL::smallint[]),
+    ('Weekend Night Hour', 100000, 150, 250, 'OOH', NULL, NULL::text[], 'Nil', '', '20:00'::time, '21:00'::time, '{0,6}'::smallint[])
+) AS v (product_name, cost, bonus_percent, tizo_credit, category, card_type, venue, gift, gift_details, start_time, end_time, days_of_week)
+WHERE NOT EXISTS (SELECT 1 FROM offers o WHERE o.product_name = v.product_name);
+
+-- Default attract loop for every kiosk: the cat, then the Offer of the Day and Offer of the Hour cards
+INSERT INTO screensaver_playlists (name, venue)
+SELECT 'Default attract loop', '*'
+WHERE NOT EXISTS (SELECT 1 FROM screensaver_playlists WHERE name = 'Default attract loop');
+
+INSERT INTO screensaver_items (playlist_id, "position", media_type, src, category, duration_ms)
+SELECT p.id, v.position, v.media_type, v.src, v.category, v.duration_ms
+FROM screensaver_playlists p, (VALUES
+    (1, 'image', 'cat-screensaver.gif', NULL, 10000),
+    (2, 'offer', NULL, 'OOD', 8000),
+    (3, 'offer', NULL, 'OOH', 8000)
+) AS v (position, media_type, src, category, duration_ms)
+WHERE p.name = 'Default attract loop'
+AND NOT EXISTS (SELECT 1 FROM screensaver_items i WHERE i.playlist_id = p.id);
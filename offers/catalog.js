@@ -0,0 +1,73 @@
+/**
+ * Offer Catalog helpers
+ * Maps the card and category names used by the kiosk pages to the values stored in
+ * the offers table, and scopes offer queries to this kiosk's venue.
+ */
+
+const offline = require('../offline');
+const { KIOSK_ID } = require('../config');
+
+// Frontend card names → offers.card_type
+const CARD_TYPE_MAP = {
+    'red': 'Red',
+    'blue': 'Blue',
+    'gold': 'Gold',
+    'silver': 'Platinum',
+    'platinum': 'Platinum',
+    'new_user': 'New User'
+};
+
+// Category names used by the OOH/OOD screensavers (case-insensitive) → offers.category
+const CATEGORY_MAP = {
+    'ooh': 'OOH',
+    'ood': 'OOD',
+    'voucher': 'Voucher',
+    'scratch card': 'Scratch Card'
+};
+
+/**
+ * Map a frontend card name to its offers.card_type value
+ * Unknown names are passed through unchanged
+ * @param {string|null} cardType Card name, e.g. 'silver'
+ * @returns {string|null} Database card type, e.g. 'Platinum'
+ */
+function toDbCardType(cardType) {
+    return cardType ? (CARD_TYPE_MAP[cardType.toLowerCase()] || cardType) : null;
+}
+
+/**
+ * Map a category name to its offers.category value
+ * @param {string|null} category Category name, e.g. 'ood'
+ * @returns {string|null} Database category, e.g. 'OOD'
+ */
+function toDbCategory(category) {
+    return category ? (CATEGORY_MAP[category.toLowerCase()] || category) : null;
+}
+
+/**
+ * SQL condition limiting offers to this kiosk's venue
+ * Offers with no venues are shown at every kiosk
+ * @param {number} paramIndex Placeholder index bound to KIOSK_ID
+ * @returns {string} SQL condition
+ */
+function venueCondition(paramIndex) {
+    return `(venue IS NULL OR cardinality(venue) = 0 OR $${paramIndex} = ANY(venue))`;
+}
+
+/**
+ * Offers from the snapshot shown at this kiosk
+ * @param {Object} tables Snapshot tables
+ * @returns {Array<Object>} Offer rows
+ */
+function snapshotOffers(tables) {
+    return tables.offers.filter(offer => offline.isOfferAtVenue(offer, KIOSK_ID));
+}
+
+module.exports = {
+    CARD_TYPE_MAP,
+    CATEGORY_MAP,
+    toDbCardType,
+    toDbCategory,
+    venueCondition,
+    snapshotOffers
+};
@@ -0,0 +1,114 @@
+/**
+ * Offer Schedule helpers
+ * Offers can be limited to a time window (start_time/end_time) and to days of the week
+ * (days_of_week, 0 = Sunday ... 6 = Saturday) on top of their start_date/end_date.
+ * Windows whose end_time is at or before start_time run past midnight (e.g. 22:00-02:00).
+ * Times are the kiosk's local time, so the server passes its own clock to the queries.
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * The kiosk's local time of day and day of the week
+ * @param {Date} [now] Current time
+ * @returns {{time: string, dayOfWeek: number}} Time as HH:MM:SS and day (0 = Sunday)
+ */
+function localClock(now = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        time: `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`,
+        dayOfWeek: now.getDay()
+    };
+}
+
+/**
+ * Seconds since midnight for a time value
+ * @param {string|null} time HH:MM or HH:MM:SS
+ * @returns {number|null} Seconds, or null when there is no time
+ */
+function toSeconds(time) {
+    if (!time) return null;
+    const [hours, minutes, seconds] = String(time).split(':').map(Number);
+    return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * SQL condition limiting offers to those whose time window and days include now
+ * @param {number} timeIndex Placeholder index bound to localClock().time
+ * @param {number} dayIndex Placeholder index bound to localClock().dayOfWeek
+ * @param {string} [table] Table alias to prefix the columns with
+ * @returns {string} SQL condition
+ */
+function scheduleCondition(timeIndex, dayIndex, table) {
+    const column = name => (table ? `${table}.${name}` : name);
+    const now = `$${timeIndex}::time`;
+    return `(${column('days_of_week')} IS NULL OR cardinality(${column('days_of_week')}) = 0
+            OR $${dayIndex}::smallint = ANY(${column('days_of_week')}))
+        AND (CASE WHEN ${column('start_time')} IS NOT NULL AND ${column('end_time')} IS NOT NULL
+                AND ${column('end_time')} <= ${column('start_time')}
+            THEN ${now} >= ${column('start_time')} OR ${now} < ${column('end_time')}
+            ELSE (${column('start_time')} IS NULL OR ${now} >= ${column('start_time')})
+                AND (${column('end_time')} IS NULL OR ${now} < ${column('end_time')})
+        END)`;
+}
+
+/**
+ * Snapshot equivalent of scheduleCondition()
+ * @param {Object} offer Offer row
+ * @param {{time: string, dayOfWeek: number}} clock localClock() result
+ * @returns {boolean} True if the offer runs now
+ */
+function isOfferInSchedule(offer, clock) {
+    const days = offer.days_of_week;
+    if (days && days.length > 0 && !days.map(Number).includes(clock.dayOfWeek)) {
+        return false;
+    }
+
+    const now = toSeconds(clock.time);
+    const start = toSeconds(offer.start_time);
+    const end = toSeconds(offer.end_time);
+    if (start !== null && end !== null && end <= start) {
+        return now >= start || now < end;
+    }
+    return (start === null || now >= start) && (end === null || now < end);
+}
+
+/**
+ * Whether an offer is limited to part of the day or week
+ * @param {Object} offer Offer row
+ * @returns {boolean} True if it has a time window or day rule
+ */
+function hasSchedule(offer) {
+    return Boolean(offer.start_time || offer.end_time || (offer.days_of_week && offer.days_of_week.length > 0));
+}
+
+/**
+ * When the offers running can next change: the next start_time or end_time of any
+ * of the given offers today, or midnight (when day-of-week and date rules change)
+ * @param {Array<Object>} offers Offers that could run today
+ * @param {Date} [now] Current time
+ * @returns {Date} Time of the next change
+ */
+function nextScheduleChange(offers, now = new Date()) {
+    const current = toSeconds(localClock(now).time);
+    let next = SECONDS_PER_DAY;
+    for (const offer of offers) {
+        for (const time of [offer.start_time, offer.end_time]) {
+            const seconds = toSeconds(time);
+            if (seconds !== null && seconds > current && seconds < next) {
+                next = seconds;
+            }
+        }
+    }
+
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return new Date(midnight.getTime() + next * 1000);
+}
+
+module.exports = {
+    localClock,
+    scheduleCondition,
+    isOfferInSchedule,
+    hasSchedule,
+    nextScheduleChange
+};
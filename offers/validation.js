@@ -0,0 +1,216 @@
+/**
+ * Offer Validation
+ * Validates rows written to the offers table through the admin API.
+ * Column reference: OFFER_SELECTION_LOGIC.md
+ */
+
+// Card types and categories used by the kiosk pages (see CARD_TYPE_MAP/CATEGORY_MAP in catalog.js)
+const CARD_TYPES = ['Red', 'Blue', 'Gold', 'Platinum', 'New User'];
+const CATEGORIES = ['Voucher', 'OOH', 'OOD', 'Scratch Card'];
+
+const IMAGE_COLUMNS = ['offer_card_image', 'top_left_icon', 'top_right_icon', 'bottom_left_icon', 'bottom_right_icon'];
+
+// Every writable offers column (id, created_at and updated_at are managed by the database)
+const OFFER_COLUMNS = [
+    'product_name', 'cost', 'bonus_percent', 'tizo_credit', 'category',
+    'start_date', 'end_date', 'card_type', 'venue',
+    ...IMAGE_COLUMNS,
+    'gift', 'gift_details', 'free_games', 'is_active',
+    'prize_weight', 'daily_stock', 'total_stock',
+    'start_time', 'end_time', 'days_of_week'
+];
+
+const REQUIRED_COLUMNS = ['product_name', 'cost', 'tizo_credit', 'card_type'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const IMAGE_PATTERN = /^data:image\/(png|jpe?g|gif|svg\+xml|webp);base64,[A-Za-z0-9+/=]+$/;
+
+/**
+ * Normalise a date value to YYYY-MM-DD
+ * @param {*} value Date string, Date or empty
+ * @returns {string|null|undefined} Date string, null when empty, undefined when invalid
+ */
+function normaliseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) {
+        // pg parses DATE columns as local midnight - use local parts to avoid shifting a day
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    const text = String(value).slice(0, 10);
+    if (!DATE_PATTERN.test(text) || isNaN(Date.parse(text))) return undefined;
+    return text;
+}
+
+/**
+ * Normalise a time-of-day value to HH:MM:SS
+ * @param {*} value Time string (HH:MM or HH:MM:SS) or empty
+ * @returns {string|null|undefined} Time string, null when empty, undefined when invalid
+ */
+function normaliseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value);
+    if (!TIME_PATTERN.test(text)) return undefined;
+    return text.length === 5 ? `${text}:00` : text;
+}
+
+/**
+ * Normalise a days-of-week list (0 = Sunday ... 6 = Saturday)
+ * @param {*} value Array of days or empty
+ * @returns {number[]|null|undefined} Sorted unique days, null when empty, undefined when invalid
+ */
+function normaliseDays(value) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value) || value.some(day => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+        return undefined;
+    }
+    const days = [...new Set(value.map(Number))].sort();
+    return days.length > 0 ? days : null;
+}
+
+/**
+ * Validate a complete offer record
+ * @param {Object} input Offer fields (API input merged over the stored row for updates)
+ * @returns {{errors: string[], values: Object}} Validation errors and the cleaned column values
+ */
+function validateOffer(input) {
+    const errors = [];
+    const values = {};
+
+    for (const column of REQUIRED_COLUMNS) {
+        if (input[column] === undefined || input[column] === null || String(input[column]).trim() === '') {
+            errors.push(`${column} is required`);
+        }
+    }
+
+    if (input.product_name !== undefined && input.product_name !== null) {
+        values.product_name = String(input.product_name).trim();
+        if (values.product_name.length > 255) errors.push('product_name must be at most 255 characters');
+    }
+
+    for (const column of ['cost', 'tizo_credit', 'bonus_percent']) {
+        if (input[column] === undefined || input[column] === null || input[column] === '') {
+            if (column === 'bonus_percent') values.bonus_percent = 0;
+            continue;
+        }
+        const number = Number(input[column]);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push(`${column} must be a non-negative number`);
+        } else {
+            values[column] = number;
+        }
+    }
+    if (values.bonus_percent > 999.99) errors.push('bonus_percent must be at most 999.99');
+
+    if (input.card_type !== undefined && input.card_type !== null && input.card_type !== '') {
+        if (!CARD_TYPES.includes(input.card_type)) {
+            errors.push(`card_type must be one of: ${CARD_TYPES.join(', ')}`);
+        } else {
+            values.card_type = input.card_type;
+        }
+    }
+
+    if (input.category === undefined || input.category === null || input.category === '') {
+        values.category = null;
+    } else if (!CATEGORIES.includes(input.category)) {
+        errors.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+    } else {
+        values.category = input.category;
+    }
+
+    values.start_date = normaliseDate(input.start_date);
+    values.end_date = normaliseDate(input.end_date);
+    if (values.start_date === undefined) errors.push('start_date must be a date (YYYY-MM-DD)');
+    if (values.end_date === undefined) errors.push('end_date must be a date (YYYY-MM-DD)');
+    if (values.start_date && values.end_date && values.end_date < values.start_date) {
+        errors.push('end_date cannot be before start_date');
+    }
+
+    // Time window and days of the week (0 = Sunday ... 6 = Saturday), see offers/schedule.js
+    values.start_time = normaliseTime(input.start_time);
+    values.end_time = normaliseTime(input.end_time);
+    if (values.start_time === undefined) errors.push('start_time must be a time (HH:MM)');
+    if (values.end_time === undefined) errors.push('end_time must be a time (HH:MM)');
+    if (values.start_time && values.start_time === values.end_time) {
+        errors.push('end_time cannot be the same as start_time');
+    }
+
+    values.days_of_week = normaliseDays(input.days_of_week);
+    if (values.days_of_week === undefined) {
+        errors.push('days_of_week must be a list of days from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    if (input.venue === undefined || input.venue === null) {
+        values.venue = null;
+    } else if (!Array.isArray(input.venue) || input.venue.some(v => typeof v !== 'string' || v.trim() === '')) {
+        errors.push('venue must be a list of venue names');
+    } else {
+        values.venue = [...new Set(input.venue.map(v => v.trim()))];
+    }
+
+    for (const column of IMAGE_COLUMNS) {
+        const value = input[column];
+        if (value === undefined || value === null || value === '') {
+            values[column] = null;
+        } else if (typeof value !== 'string' || !IMAGE_PATTERN.test(value)) {
+            errors.push(`${column} must be a base64 image data URL`);
+        } else {
+            values[column] = value;
+        }
+    }
+
+    values.gift = input.gift ? String(input.gift).trim() : 'Nil';
+    values.gift_details = input.gift_details ? String(input.gift_details).trim() : '';
+    if (values.gift.length > 50) errors.push('gift must be at most 50 characters');
+    if (values.gift_details.length > 255) errors.push('gift_details must be at most 255 characters');
+
+    if (input.free_games === undefined || input.free_games === null || input.free_games === '') {
+        values.free_games = null;
+    } else if (!Number.isInteger(Number(input.free_games)) || Number(input.free_games) < 0) {
+        errors.push('free_games must be a non-negative whole number');
+    } else {
+        values.free_games = Number(input.free_games);
+    }
+
+    // Scratch card prize pool: relative chance of being drawn and wins allowed per day / ever
+    if (input.prize_weight === undefined || input.prize_weight === null || input.prize_weight === '') {
+        values.prize_weight = 1;
+    } else if (!Number.isInteger(Number(input.prize_weight)) || Number(input.prize_weight) < 1) {
+        errors.push('prize_weight must be a whole number of at least 1');
+    } else {
+        values.prize_weight = Number(input.prize_weight);
+    }
+
+    for (const column of ['daily_stock', 'total_stock']) {
+        if (input[column] === undefined || input[column] === null || input[column] === '') {
+            values[column] = null;
+        } else if (!Number.isInteger(Number(input[column])) || Number(input[column]) < 0) {
+            errors.push(`${column} must be a non-negative whole number`);
+        } else {
+            values[column] = Number(input[column]);
+        }
+    }
+
+    if (input.is_active === undefined || input.is_active === null) {
+        values.is_active = true;
+    } else if (typeof input.is_active !== 'boolean') {
+        errors.push('is_active must be true or false');
+    } else {
+        values.is_active = input.is_active;
+    }
+
+    return { errors, values };
+}
+
+module.exports = {
+    CARD_TYPES,
+    CATEGORIES,
+    IMAGE_COLUMNS,
+    OFFER_COLUMNS,
+    normaliseDate,
+    normaliseTime,
+    normaliseDays,
+    validateOffer
+};
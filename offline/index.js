@@ -0,0 +1,193 @@
+/**
+ * Offline Mode for Tizo Kiosk
+ * Keeps the kiosk selling when the venue loses its connection to the cloud database:
+ *
+ *   - reads fall back to a local snapshot of offers, card_offers, upsell_offers,
+ *     custom_topup_upsell and settings (see snapshot.js)
+ *   - transactions and feedback are queued in a durable outbox (see outbox.js)
+ *     and synced once the database is reachable again
+ *
+ * Once a query fails with a connection error the kiosk is marked offline and reads go
+ * straight to the snapshot (no connection timeout per request) until a probe succeeds.
+ */
+
+const pool = require('../db');
+const snapshot = require('./snapshot');
+const outbox = require('./outbox');
+
+const SNAPSHOT_REFRESH_MS = parseInt(process.env.SNAPSHOT_REFRESH_MS) || 5 * 60 * 1000;
+const OFFLINE_PROBE_MS = parseInt(process.env.OFFLINE_PROBE_MS) || 15000;
+
+// Error codes meaning the database could not be reached (as opposed to a bad query)
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH',
+    'ENETUNREACH', 'EAI_AGAIN', '57P01', '57P03', '08000', '08001', '08003', '08006'];
+
+let databaseOnline = true;
+let syncing = false;
+let outboxHandlers = {};
+
+/**
+ * Check whether an error means the database is unreachable
+ * @param {Error} err Error from pg
+ * @returns {boolean} True for connection errors
+ */
+function isConnectionError(err) {
+    if (!err) return false;
+    if (CONNECTION_ERROR_CODES.includes(err.code)) return true;
+    return /timeout exceeded when trying to connect|Connection terminated/i.test(err.message || '');
+}
+
+/**
+ * Whether the database was reachable on the last attempt
+ * @returns {boolean} Online state
+ */
+function isOnline() {
+    return databaseOnline;
+}
+
+/**
+ * Mark the database as unreachable
+ * @param {Error} err Connection error
+ */
+function markOffline(err) {
+    if (databaseOnline) {
+        console.warn('⚠️  Database unreachable - switching to offline mode:', err.message);
+    }
+    databaseOnline = false;
+}
+
+/**
+ * Whether reads can be served from the snapshot
+ * @returns {boolean} True if a snapshot has been taken or loaded
+ */
+function hasSnapshot() {
+    return snapshot.getSnapshot() !== null;
+}
+
+/**
+ * Response fields telling the UI it is running on cached data
+ * @returns {Object} { cached: true, cachedAt }
+ */
+function cachedFlag() {
+    const current = snapshot.getSnapshot();
+    return { cached: true, cachedAt: current ? current.takenAt : null };
+}
+
+/**
+ * Run a read query, falling back to the offline snapshot when the database is unreachable
+ * @param {string} query SQL query
+ * @param {Array} params Query parameters
+ * @param {Function} fallback Builds the same rows from the snapshot tables: (tables) => rows
+ * @returns {Promise<{rows: Array, cached: boolean}>} Query rows and whether they came from the snapshot
+ */
+async function readQuery(query, params, fallback) {
+    if (databaseOnline || !hasSnapshot()) {
+        try {
+            const result = await pool.query(query, params);
+            return { rows: result.rows, cached: false };
+        } catch (err) {
+            if (!isConnectionError(err) || !hasSnapshot()) throw err;
+            markOffline(err);
+        }
+    }
+    return { rows: fallback(snapshot.getSnapshot().tables), cached: true };
+}
+
+/**
+ * Run a write, or queue it in the outbox when the database is unreachable
+ * @param {string} type Outbox entry type ('transaction' or 'feedback')
+ * @param {Object} data Request body
+ * @param {Function} save Write function, e.g. saveTransaction
+ * @returns {Promise<Object>} Result of save, or { queued: true }
+ */
+async function writeOrQueue(type, data, save) {
+    if (databaseOnline) {
+        try {
+            return await save(data);
+        } catch (err) {
+            if (!isConnectionError(err)) throw err;
+            markOffline(err);
+        }
+    }
+
+    outbox.enqueue(type, data);
+    console.log(`📥 Database offline - ${type} queued for sync`);
+    return { queued: true };
+}
+
+/**
+ * Refresh the snapshot and sync the outbox
+ * Also used as the reconnect probe while offline.
+ * @param {Object} pool pg Pool
+ */
+async function syncWithDatabase(pool) {
+    if (syncing) return;
+    syncing = true;
+    try {
+        await syncSnapshotAndOutbox(pool);
+    } finally {
+        syncing = false;
+    }
+}
+
+/**
+ * One sync pass, see syncWithDatabase()
+ * @param {Object} pool pg Pool
+ */
+async function syncSnapshotAndOutbox(pool) {
+    try {
+        await snapshot.refreshSnapshot(pool);
+    } catch (err) {
+        if (isConnectionError(err)) {
+            markOffline(err);
+            return;
+        }
+        // The database answered - queued writes are still synced below
+        console.error('❌ Failed to refresh offline snapshot:', err.message);
+    }
+
+    if (!databaseOnline) {
+        console.log('✅ Database reachable again - leaving offline mode');
+    }
+    databaseOnline = true;
+
+    if (outbox.size() > 0) {
+        const result = await outbox.flush(outboxHandlers, isConnectionError);
+        console.log(`📤 Outbox sync: ${result.synced} synced, ${result.failed} failed, ${result.deadLettered} given up, ${result.remaining} waiting`);
+    }
+}
+
+/**
+ * Load the last snapshot from disk and start the refresh / reconnect timers
+ * @param {Object} pool pg Pool
+ * @param {Object<string, Function>} handlers Outbox replay handler per entry type
+ * @returns {Promise<void>} Resolves after the first sync attempt
+ */
+async function startOfflineSync(pool, handlers) {
+    outboxHandlers = handlers;
+    snapshot.loadSnapshot();
+
+    setInterval(() => syncWithDatabase(pool), SNAPSHOT_REFRESH_MS);
+    setInterval(() => {
+        if (!databaseOnline) syncWithDatabase(pool);
+    }, OFFLINE_PROBE_MS);
+
+    await syncWithDatabase(pool);
+}
+
+module.exports = {
+    isConnectionError,
+    isOnline,
+    markOffline,
+    hasSnapshot,
+    cachedFlag,
+    readQuery,
+    writeOrQueue,
+    getSnapshot: snapshot.getSnapshot,
+    isOfferAtVenue: snapshot.isOfferAtVenue,
+    isOfferCurrent: snapshot.isOfferCurrent,
+    enqueue: outbox.enqueue,
+    outboxSize: outbox.size,
+    outboxFailedSize: outbox.deadLetterSize,
+    startOfflineSync
+};
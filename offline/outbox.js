@@ -0,0 +1,162 @@
+/**
+ * Offline Outbox - durable queue of writes made while the database is unreachable
+ * Entries are kept in OFFLINE_DATA_DIR/outbox.json (rewritten atomically on every change)
+ * and replayed in order once the database is back. Entries that keep failing for another
+ * reason than a lost connection are moved to OFFLINE_DATA_DIR/outbox-failed.json with their error.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR, writeFileAtomic } = require('./snapshot');
+
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.json');
+const DEAD_LETTER_FILE = path.join(DATA_DIR, 'outbox-failed.json');
+
+// Failed syncs (not counting lost connections) after which an entry is moved to the dead-letter file
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+let entries = null;
+let deadLetters = null;
+
+/**
+ * Read a list of entries from disk
+ * @param {string} file JSON file
+ * @returns {Array<Object>} Entries, or an empty list if the file is missing or unreadable
+ */
+function readEntries(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`❌ Failed to read ${path.basename(file)}:`, err.message);
+        }
+        return [];
+    }
+}
+
+/**
+ * Read the outbox from disk on first use
+ * @returns {Array<Object>} Outbox entries
+ */
+function getEntries() {
+    if (!entries) entries = readEntries(OUTBOX_FILE);
+    return entries;
+}
+
+/**
+ * Read the dead-letter entries from disk on first use
+ * @returns {Array<Object>} Entries that could not be synced
+ */
+function getDeadLetters() {
+    if (!deadLetters) deadLetters = readEntries(DEAD_LETTER_FILE);
+    return deadLetters;
+}
+
+/**
+ * Persist the outbox
+ */
+function save() {
+    writeFileAtomic(OUTBOX_FILE, JSON.stringify(getEntries(), null, 2));
+}
+
+/**
+ * Queue a write for later
+ * @param {string} type Entry type, e.g. 'transaction' or 'feedback'
+ * @param {Object} payload Request body to replay
+ * @returns {Object} Queued entry
+ */
+function enqueue(type, payload) {
+    const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        type: type,
+        payload: payload,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null
+    };
+    getEntries().push(entry);
+    save();
+    return entry;
+}
+
+/**
+ * Number of writes waiting to be synced
+ * @returns {number} Outbox size
+ */
+function size() {
+    return getEntries().length;
+}
+
+/**
+ * Number of writes given up on (see outbox-failed.json)
+ * @returns {number} Dead-letter size
+ */
+function deadLetterSize() {
+    return getDeadLetters().length;
+}
+
+/**
+ * Move an entry that cannot be synced out of the outbox, so it no longer holds up the entries after it
+ * The dead-letter file is written first: if the outbox cannot be saved afterwards the entry is
+ * retried, never lost.
+ * @param {Object} entry Outbox entry, with its attempts and lastError
+ */
+function moveToDeadLetter(entry) {
+    getDeadLetters().push(Object.assign({}, entry, { failedAt: new Date().toISOString() }));
+    writeFileAtomic(DEAD_LETTER_FILE, JSON.stringify(getDeadLetters(), null, 2));
+    entries = getEntries().filter(e => e.id !== entry.id);
+    console.error(`❌ Outbox entry moved to ${path.basename(DEAD_LETTER_FILE)}:`, entry.type, entry.id, entry.lastError);
+}
+
+/**
+ * Replay queued writes in order
+ * Stops at the first connection error (still offline); any other failure is recorded
+ * on the entry and it is retried on the next flush, up to OUTBOX_MAX_ATTEMPTS times.
+ * After that, or right away for an entry type without a handler, it is moved to the dead-letter file.
+ * @param {Object<string, Function>} handlers Async handler per entry type: (payload, createdAt) => {}
+ * @param {Function} isConnectionError Returns true if an error means the database is unreachable
+ * @returns {Promise<{synced: number, failed: number, deadLettered: number, remaining: number}>} Flush result
+ */
+async function flush(handlers, isConnectionError) {
+    let synced = 0;
+    let failed = 0;
+    let deadLettered = 0;
+
+    for (const entry of getEntries().slice()) {
+        const handler = handlers[entry.type];
+        if (!handler) {
+            entry.lastError = `No outbox handler for ${entry.type}`;
+            moveToDeadLetter(entry);
+            deadLettered++;
+            save();
+            continue;
+        }
+
+        try {
+            await handler(entry.payload, new Date(entry.createdAt));
+            entries = getEntries().filter(e => e.id !== entry.id);
+            synced++;
+        } catch (err) {
+            if (isConnectionError(err)) break;
+            entry.attempts++;
+            entry.lastError = err.message;
+            if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                moveToDeadLetter(entry);
+                deadLettered++;
+            } else {
+                failed++;
+                console.error(`❌ Outbox entry failed (attempt ${entry.attempts} of ${OUTBOX_MAX_ATTEMPTS}):`, entry.type, entry.id, err.message);
+            }
+        }
+        save();
+    }
+
+    return { synced: synced, failed: failed, deadLettered: deadLettered, remaining: size() };
+}
+
+module.exports = {
+    enqueue,
+    size,
+    deadLetterSize,
+    flush
+};
@@ -0,0 +1,156 @@
+/**
+ * Offline Snapshot - local copy of the read-only kiosk tables
+ * Refreshed from the database periodically and written to OFFLINE_DATA_DIR/snapshot.json,
+ * so the API can keep serving offers and TIZO rates while the cloud database is unreachable
+ * (and after a restart without internet).
+ * OFFLINE_DATA_DIR defaults to ~/.timezone-kiosk, outside the directory the server serves files from.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = process.env.OFFLINE_DATA_DIR || path.join(os.homedir(), '.timezone-kiosk');
+const SNAPSHOT_FILE = path.join(DATA_DIR, 'snapshot.json');
+
+// Where the files were kept before DATA_DIR moved out of the server directory
+const LEGACY_DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_FILES = ['snapshot.json', 'outbox.json'];
+
+// Tables copied into the snapshot
+const SNAPSHOT_QUERIES = {
+    offers: 'SELECT * FROM offers ORDER BY id',
+    card_offers: 'SELECT * FROM card_offers ORDER BY id',
+    upsell_offers: 'SELECT * FROM upsell_offers ORDER BY topup_rb',
+    custom_topup_upsell: 'SELECT * FROM custom_topup_upsell ORDER BY range_min',
+    settings: 'SELECT * FROM settings',
+    page_layouts: 'SELECT * FROM page_layouts',
+    screensaver_playlists: 'SELECT * FROM screensaver_playlists ORDER BY id',
+    screensaver_items: 'SELECT * FROM screensaver_items ORDER BY playlist_id, "position", id'
+};
+
+let snapshot = null;
+
+/**
+ * Write a file atomically (temp file + rename) so a power cut never leaves half a file
+ * @param {string} file Target path
+ * @param {string} contents File contents
+ */
+function writeFileAtomic(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Move the snapshot and outbox from the old data/ directory into DATA_DIR
+ * Runs once when the module loads, before the outbox is first read, so no queued write is lost.
+ */
+function moveLegacyFiles() {
+    if (path.resolve(DATA_DIR) === path.resolve(LEGACY_DATA_DIR)) return;
+
+    for (const name of DATA_FILES) {
+        const from = path.join(LEGACY_DATA_DIR, name);
+        const to = path.join(DATA_DIR, name);
+        if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+        try {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            fs.copyFileSync(from, to);
+            fs.unlinkSync(from);
+            console.log(`📦 Moved ${from} to ${to}`);
+        } catch (err) {
+            console.error(`❌ Failed to move ${from} to ${DATA_DIR}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Load the last snapshot written to disk
+ * @returns {Object|null} Snapshot { takenAt, tables } or null if there is none
+ */
+function loadSnapshot() {
+    try {
+        snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+        console.log('✅ Loaded offline snapshot from', snapshot.takenAt);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('❌ Failed to read offline snapshot:', err.message);
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Copy the snapshot tables from the database and save them to disk
+ * @param {Object} pool pg Pool
+ * @returns {Promise<Object>} New snapshot
+ */
+async function refreshSnapshot(pool) {
+    const names = Object.keys(SNAPSHOT_QUERIES);
+    const results = await Promise.all(names.map(name => pool.query(SNAPSHOT_QUERIES[name])));
+
+    const tables = {};
+    names.forEach((name, index) => tables[name] = results[index].rows);
+
+    snapshot = { takenAt: new Date().toISOString(), tables: tables };
+    writeFileAtomic(SNAPSHOT_FILE, JSON.stringify(snapshot));
+    return snapshot;
+}
+
+/**
+ * Get the current snapshot
+ * @returns {Object|null} Snapshot { takenAt, tables } or null if none has been taken
+ */
+function getSnapshot() {
+    return snapshot;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time (the format DATE columns are stored in)
+ * @returns {string} Date string
+ */
+function localDateString() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Snapshot equivalent of the venueCondition() SQL used by the offer queries
+ * @param {Object} offer Offer row
+ * @param {string} kioskId This kiosk's ID
+ * @returns {boolean} True if the offer is shown at this kiosk
+ */
+function isOfferAtVenue(offer, kioskId) {
+    return !offer.venue || offer.venue.length === 0 || offer.venue.includes(kioskId);
+}
+
+/**
+ * Snapshot equivalent of the is_active / start_date / end_date filter
+ * @param {Object} offer Offer row
+ * @returns {boolean} True if the offer is active today
+ */
+function isOfferCurrent(offer) {
+    const today = localDateString();
+    return offer.is_active !== false
+        && (!offer.start_date || offer.start_date <= today)
+        && (!offer.end_date || offer.end_date >= today);
+}
+
+moveLegacyFiles();
+
+module.exports = {
+    DATA_DIR,
+    writeFileAtomic,
+    loadSnapshot,
+    refreshSnapshot,
+    getSnapshot,
+    isOfferAtVenue,
+    isOfferCurrent
+};
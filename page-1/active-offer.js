@@ -0,0 +1,75 @@
+/**
+ * Active Offer - keeps a page on the Offer of the Hour / Offer of the Day running right now
+ * Asks GET /api/active-offer?category= for the running offer, then asks again when the
+ * server says it can next change (a time window starting or ending, or midnight), so
+ * the page switches offers on the hour without a reload.
+ * Call watchActiveOffer('ooh', offer => { ... }) once the page is ready; offer is null
+ * while nothing runs in that category.
+ */
+
+// Ask again at least this often so back-office edits show up between window changes
+const ACTIVE_OFFER_MAX_WAIT_MS = 15 * 60 * 1000;
+
+// Wait before retrying when the server cannot be reached
+const ACTIVE_OFFER_RETRY_MS = 60 * 1000;
+
+// Margin after a window boundary, so the server's clock is past it when we ask
+const ACTIVE_OFFER_BOUNDARY_MARGIN_MS = 1000;
+
+/**
+ * Get the offer running right now in a category
+ * @param {string} category 'ooh' or 'ood'
+ * @returns {Promise<{offer: Object|null, nextChangeAt: string}>} Running offer and when it can next change
+ * @throws {Error} If the server cannot be reached
+ */
+async function fetchActiveOffer(category) {
+    const response = await fetch(`/api/active-offer?category=${encodeURIComponent(category)}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return { offer: data.offer, nextChangeAt: data.nextChangeAt };
+}
+
+/**
+ * Keep a page on the running offer of a category
+ * onChange is called with the first answer and again only when the running offer changes.
+ * @param {string} category 'ooh' or 'ood'
+ * @param {Function} onChange Called with the running offer, or null when none runs
+ * @returns {Function} Stops watching
+ */
+function watchActiveOffer(category, onChange) {
+    let timer = null;
+    let stopped = false;
+    let lastKey;
+
+    async function check() {
+        let wait = ACTIVE_OFFER_RETRY_MS;
+        try {
+            const { offer, nextChangeAt } = await fetchActiveOffer(category);
+            const key = offer ? `${offer.id}:${offer.updated_at}` : 'none';
+            if (key !== lastKey) {
+                lastKey = key;
+                onChange(offer);
+            }
+
+            const untilChange = new Date(nextChangeAt).getTime() - Date.now() + ACTIVE_OFFER_BOUNDARY_MARGIN_MS;
+            wait = Math.min(Math.max(untilChange, ACTIVE_OFFER_BOUNDARY_MARGIN_MS), ACTIVE_OFFER_MAX_WAIT_MS);
+        } catch (error) {
+            console.error(`Active ${category} offer lookup failed:`, error);
+        }
+
+        if (!stopped) {
+            timer = setTimeout(check, wait);
+        }
+    }
+
+    check();
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { fetchActiveOffer, watchActiveOffer };
+}
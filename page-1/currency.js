@@ -0,0 +1,209 @@
+/**
+ * Currency Formatting - every amount on screen and on the receipt goes through here
+ * Loaded by the kiosk pages (<script src="currency.js">) and required by the server, which
+ * serves the venue's config from the settings table (key 'currency') on GET /api/currency.
+ *
+ * Amounts are stored in full currency (600000 = Rp600.000). The pages show them in display
+ * units: the amount divided by displayUnit with displayUnitLabel after it (600000 -> "600 Rb").
+ * Display units are also the unit of the TIZO pricing formula and of the ?rb= API parameters.
+ *
+ * Elements marked data-currency-unit / data-currency-symbol get the unit label / symbol.
+ */
+
+const DEFAULT_CURRENCY_CONFIG = {
+    locale: 'id-ID',            // Number formatting (decimal and group separators)
+    symbol: 'Rp',               // Printed as-is; include a space if the venue writes one ("RM ")
+    symbolPosition: 'before',   // 'before' or 'after' the amount
+    minorUnits: 0,              // Decimals of the currency (0 for IDR, 2 for MYR)
+    grouping: true,             // Group thousands (1.790.000)
+    displayUnit: 1000,          // Amounts on screen are shown in this unit...
+    displayUnitLabel: 'Rb'      // ...followed by this label ("600 Rb")
+};
+
+// localStorage key of the last config loaded from the server (browser only)
+const CURRENCY_CACHE_KEY = 'tizo_currency';
+
+// Config loaded from GET /api/currency (browser only), cached so amounts are right before it answers
+let currencyConfig = typeof localStorage !== 'undefined' ? readCachedCurrencyConfig() : null;
+
+/**
+ * Read the cached config (browser)
+ * @returns {Object|null} Config, or null if nothing valid is cached
+ */
+function readCachedCurrencyConfig() {
+    try {
+        return normalizeCurrencyConfig(JSON.parse(localStorage.getItem(CURRENCY_CACHE_KEY)));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Complete a config with the defaults
+ * @param {Object} [value] Config or part of one (e.g. the 'currency' setting)
+ * @returns {Object|null} Complete config, or null if value is not an object
+ */
+function normalizeCurrencyConfig(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const config = { ...DEFAULT_CURRENCY_CONFIG, ...value };
+    config.minorUnits = Math.max(0, Math.min(4, Math.floor(Number(config.minorUnits)) || 0));
+    config.displayUnit = Number(config.displayUnit) > 0 ? Number(config.displayUnit) : 1;
+    config.grouping = config.grouping !== false;
+    config.symbolPosition = config.symbolPosition === 'after' ? 'after' : 'before';
+    return config;
+}
+
+/**
+ * Get the config in use
+ * @param {Object} [config] Config to use instead of the loaded one (server)
+ * @returns {Object} Config
+ */
+function getCurrencyConfig(config) {
+    return config || currencyConfig || DEFAULT_CURRENCY_CONFIG;
+}
+
+/**
+ * Format a number with the config's locale and grouping
+ * @param {number} value Number
+ * @param {number} minDecimals Fewest decimals to show
+ * @param {number} maxDecimals Most decimals to show
+ * @param {Object} config Config
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, minDecimals, maxDecimals, config) {
+    const options = { minimumFractionDigits: minDecimals, maximumFractionDigits: maxDecimals, useGrouping: config.grouping };
+    try {
+        return (Number(value) || 0).toLocaleString(config.locale, options);
+    } catch (error) {
+        // Unknown locale in the setting
+        return (Number(value) || 0).toLocaleString(DEFAULT_CURRENCY_CONFIG.locale, options);
+    }
+}
+
+/**
+ * Format an amount without the symbol (600000 -> "600.000")
+ * @param {number} amount Amount in full currency
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, config) {
+    const cfg = getCurrencyConfig(config);
+    return formatNumber(amount, cfg.minorUnits, cfg.minorUnits, cfg);
+}
+
+/**
+ * Format an amount with the currency symbol, as printed on the receipt (600000 -> "Rp600.000")
+ * @param {number} amount Amount in full currency
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {string} Formatted amount
+ */
+function formatCurrency(amount, config) {
+    const cfg = getCurrencyConfig(config);
+    const formatted = formatAmount(amount, cfg);
+    return cfg.symbolPosition === 'after' ? formatted + cfg.symbol : cfg.symbol + formatted;
+}
+
+/**
+ * Convert an amount to display units (600000 -> 600)
+ * Rounded to what the currency can express in that unit (whole units for Rb).
+ * @param {number} amount Amount in full currency
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {number} Amount in display units
+ */
+function toDisplayUnits(amount, config) {
+    const cfg = getCurrencyConfig(config);
+    const decimals = Math.max(0, cfg.minorUnits - Math.round(Math.log10(cfg.displayUnit)));
+    const factor = Math.pow(10, decimals);
+    return Math.round((Number(amount) || 0) / cfg.displayUnit * factor) / factor;
+}
+
+/**
+ * Convert display units back to an amount (600 -> 600000)
+ * @param {number} units Amount in display units
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {number} Amount in full currency
+ */
+function fromDisplayUnits(units, config) {
+    const cfg = getCurrencyConfig(config);
+    return Math.round((Number(units) || 0) * cfg.displayUnit * Math.pow(10, cfg.minorUnits)) / Math.pow(10, cfg.minorUnits);
+}
+
+/**
+ * Format an amount in display units, without the label (1790000 -> "1.790")
+ * @param {number} amount Amount in full currency
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {string} Formatted amount in display units
+ */
+function formatDisplayAmount(amount, config) {
+    const cfg = getCurrencyConfig(config);
+    return formatNumber(toDisplayUnits(amount, cfg), 0, cfg.minorUnits, cfg);
+}
+
+/**
+ * Format an amount in display units with the label (600000 -> "600 Rb")
+ * @param {number} amount Amount in full currency
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {string} Formatted amount
+ */
+function formatDisplayUnits(amount, config) {
+    const cfg = getCurrencyConfig(config);
+    const label = getDisplayUnitLabel(cfg);
+    return label ? `${formatDisplayAmount(amount, cfg)} ${label}` : formatCurrency(amount, cfg);
+}
+
+/**
+ * Get the label of the display unit ("Rb")
+ * @param {Object} [config] Config (defaults to the loaded one)
+ * @returns {string} Label (empty when amounts are shown in full)
+ */
+function getDisplayUnitLabel(config) {
+    return getCurrencyConfig(config).displayUnitLabel || '';
+}
+
+/**
+ * Fill the data-currency-unit / data-currency-symbol elements (browser)
+ * @param {ParentNode} [root] Part of the page to fill
+ */
+function applyCurrencyLabels(root = document) {
+    const cfg = getCurrencyConfig();
+    root.querySelectorAll('[data-currency-unit]').forEach(el => el.textContent = getDisplayUnitLabel(cfg) || cfg.symbol);
+    root.querySelectorAll('[data-currency-symbol]').forEach(el => el.textContent = cfg.symbol);
+}
+
+/**
+ * Load the venue's config from the server (browser) and fill the labels on the page
+ * Falls back to the cached config, then the defaults, if the server is unreachable.
+ * @returns {Promise<Object>} Config
+ */
+async function loadCurrencyConfig() {
+    try {
+        const response = await fetch('/api/currency');
+        const data = await response.json();
+        if (data.success) {
+            currencyConfig = normalizeCurrencyConfig(data.currency);
+            localStorage.setItem(CURRENCY_CACHE_KEY, JSON.stringify(currencyConfig));
+            console.log('✅ Loaded currency format:', currencyConfig.locale, currencyConfig.symbol);
+        }
+    } catch (error) {
+        console.error('❌ Failed to load currency format:', error);
+    }
+
+    applyCurrencyLabels();
+    return getCurrencyConfig();
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CURRENCY_CONFIG,
+        normalizeCurrencyConfig,
+        formatAmount,
+        formatCurrency,
+        toDisplayUnits,
+        fromDisplayUnits,
+        formatDisplayAmount,
+        formatDisplayUnits,
+        getDisplayUnitLabel
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * Idle Manager - returns the kiosk to the attract screen when the customer walks away
+ * Loaded by every kiosk page (<script src="idle-manager.js">). After the page's idle time
+ * without a touch, an "Are you still there?" prompt counts down; when it runs out the
+ * abandonment is logged (trackAbandonment('idle')), the session is cleared and the
+ * screensaver is shown. Edit mode and pauseIdle() (e.g. while a payment is pending) hold it off.
+ * Requires session-manager.js and language.js to be loaded first.
+ */
+
+const IDLE_SCREEN = 'screensaver.html';
+
+// Idle time before the prompt and length of its countdown, per page (file name without .html)
+// The welcome page has no order to lose, so it goes straight back to the screensaver.
+const IDLE_TIMEOUTS = {
+    default: { idleMs: 60000, countdownMs: 15000 },
+    welcome: { idleMs: 10000, countdownMs: 0 },
+    welcome2: { idleMs: 30000, countdownMs: 10000 },
+    'custom-topup': { idleMs: 60000, countdownMs: 15000 },
+    'bill-summary': { idleMs: 90000, countdownMs: 20000 },
+    'print-preview': { idleMs: 90000, countdownMs: 20000 },
+    feedback: { idleMs: 30000, countdownMs: 10000 }
+};
+
+// Events that count as the customer still being there
+const IDLE_ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keypress', 'touchstart', 'scroll', 'click'];
+
+const idleStyles = document.createElement('style');
+idleStyles.id = 'idle-manager-styles';
+idleStyles.textContent = `
+    .idle-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99999;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+        padding: 0 80px;
+        box-sizing: border-box;
+    }
+
+    .idle-title {
+        font-size: 56px;
+        color: #00ffff;
+        margin-bottom: 40px;
+    }
+
+    .idle-countdown {
+        font-size: 32px;
+    }
+
+    .idle-seconds {
+        margin-top: 24px;
+        font-size: 120px;
+        color: #ffd700;
+    }
+
+    .idle-still-here {
+        margin-top: 64px;
+        padding: 20px 80px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 36px;
+        color: #fff;
+        background: #00b3b3;
+        border: 3px solid #00ffff;
+        border-radius: 48px;
+    }
+`;
+document.head.appendChild(idleStyles);
+
+const idleState = {
+    timeouts: IDLE_TIMEOUTS[window.location.pathname.split('/').pop().replace(/\.html$/, '')] || IDLE_TIMEOUTS.default,
+    timer: null,
+    countdownTimer: null,
+    overlay: null,
+    pauses: 0
+};
+
+/**
+ * Check whether edit mode is open on the page
+ * @returns {boolean}
+ */
+function isIdleHeldByEditMode() {
+    return Boolean(window.isEditModeActive && window.isEditModeActive());
+}
+
+/**
+ * Restart the idle time (called on every touch)
+ * Does nothing while the prompt is showing - only its button dismisses it.
+ */
+function resetIdleTimer() {
+    if (idleState.overlay) return;
+
+    clearTimeout(idleState.timer);
+    idleState.timer = null;
+    if (idleState.pauses > 0) return;
+
+    idleState.timer = setTimeout(onIdle, idleState.timeouts.idleMs);
+}
+
+/**
+ * The page has been idle: prompt, or leave straight away if the page has no countdown
+ */
+function onIdle() {
+    idleState.timer = null;
+    if (isIdleHeldByEditMode()) {
+        resetIdleTimer();
+        return;
+    }
+
+    if (idleState.timeouts.countdownMs > 0) {
+        showIdlePrompt();
+    } else {
+        expireIdleSession();
+    }
+}
+
+/**
+ * Show the "Are you still there?" prompt and count down to the screensaver
+ */
+function showIdlePrompt() {
+    const text = getTranslations('idle');
+    const overlay = document.createElement('div');
+    overlay.className = 'idle-overlay';
+    overlay.innerHTML = `
+        <div class="idle-title">${text.title}</div>
+        <div class="idle-countdown">${text.countdown}</div>
+        <div class="idle-seconds"></div>
+        <button class="idle-still-here">${text.stillHere}</button>
+    `;
+    overlay.onclick = dismissIdlePrompt;
+    document.body.appendChild(overlay);
+    idleState.overlay = overlay;
+
+    const endsAt = Date.now() + idleState.timeouts.countdownMs;
+    const secondsEl = overlay.querySelector('.idle-seconds');
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        secondsEl.textContent = seconds;
+        if (seconds === 0) expireIdleSession();
+    };
+    tick();
+    idleState.countdownTimer = setInterval(tick, 250);
+}
+
+/**
+ * Close the prompt - the customer is still there
+ */
+function dismissIdlePrompt() {
+    clearInterval(idleState.countdownTimer);
+    if (idleState.overlay) {
+        idleState.overlay.remove();
+        idleState.overlay = null;
+    }
+    resetIdleTimer();
+}
+
+/**
+ * Nobody answered: log the abandonment, clear the session and go back to the screensaver
+ */
+function expireIdleSession() {
+    clearInterval(idleState.countdownTimer);
+    trackAbandonment('idle');
+    clearSession();
+    window.location.href = IDLE_SCREEN;
+}
+
+/**
+ * Hold off the idle timeout, e.g. while the customer pays on their phone
+ * Every call must be matched by resumeIdle().
+ */
+function pauseIdle() {
+    idleState.pauses++;
+    resetIdleTimer();
+}
+
+/**
+ * Undo a pauseIdle() - the idle time starts again once nothing holds it off
+ */
+function resumeIdle() {
+    idleState.pauses = Math.max(0, idleState.pauses - 1);
+    resetIdleTimer();
+}
+
+IDLE_ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, resetIdleTimer, true));
+resetIdleTimer();
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IDLE_TIMEOUTS, resetIdleTimer, pauseIdle, resumeIdle };
+}
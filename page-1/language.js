@@ -2,14 +2,33 @@
  * Universal Language Selection
  * This script provides shared language functionality across all pages.
  * Language preference is stored in localStorage and persists across all pages.
+ *
+ * Texts come from the translation catalogs served by GET /api/i18n/:lang (i18n/catalogs/ on
+ * the server), grouped by page: t('welcome.button'). Elements marked data-i18n="welcome.button"
+ * (or data-i18n-html for texts containing markup) are translated automatically; "{name}"
+ * placeholders are filled with t(key, { name: ... }). The last catalog is kept in
+ * localStorage so a page is translated before the server answers.
+ * The language menu (#lang-dropdown) lists every language that has a catalog.
  */
 
 const LANG_STORAGE_KEY = 'tizo_language';
 const DEFAULT_LANGUAGE = 'id'; // Default to Bahasa Indonesia
 
+// localStorage keys of the cached catalogs (one per language) and language list
+const I18N_CACHE_PREFIX = 'tizo_i18n_';
+const I18N_LANGUAGES_KEY = 'tizo_i18n_languages';
+
+// Keys missing from the catalog are reported to the server in one batch after this delay
+const MISSING_KEY_REPORT_DELAY_MS = 2000;
+
+let i18nCatalog = readCachedJson(I18N_CACHE_PREFIX + getCurrentLanguage());
+let i18nLanguages = readCachedJson(I18N_LANGUAGES_KEY) || [];
+const missingKeys = new Set();
+let missingKeyTimer = null;
+
 /**
  * Get the current language from localStorage
- * @returns {string} Current language code ('en' or 'id')
+ * @returns {string} Current language code (e.g. 'en', 'id', 'zh')
  */
 function getCurrentLanguage() {
     return localStorage.getItem(LANG_STORAGE_KEY) || DEFAULT_LANGUAGE;
@@ -17,33 +36,271 @@ function getCurrentLanguage() {
 
 /**
  * Save the language preference to localStorage
- * @param {string} lang Language code ('en' or 'id')
+ * @param {string} lang Language code
  */
 function saveLanguage(lang) {
     localStorage.setItem(LANG_STORAGE_KEY, lang);
 }
 
+/**
+ * Read a JSON value cached in localStorage
+ * @param {string} key localStorage key
+ * @returns {*} Value, or null if there is none
+ */
+function readCachedJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load the catalog for a language from the server (and cache it)
+ * @param {string} lang Language code
+ * @returns {Promise<Object>} Catalog
+ * @throws {Error} If the language has no catalog, or the server cannot be reached and nothing is cached
+ */
+async function loadLanguage(lang) {
+    try {
+        const response = await fetch(`/api/i18n/${encodeURIComponent(lang)}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        localStorage.setItem(I18N_CACHE_PREFIX + lang, JSON.stringify(data.catalog));
+        return data.catalog;
+    } catch (error) {
+        const cached = readCachedJson(I18N_CACHE_PREFIX + lang);
+        if (!cached) throw error;
+        console.warn(`Using cached ${lang} translations:`, error.message);
+        return cached;
+    }
+}
+
+/**
+ * Load the list of languages for the language menu (and cache it)
+ * @returns {Promise<Array<{code: string, name: string}>>} Languages
+ */
+async function loadLanguageList() {
+    try {
+        const response = await fetch('/api/i18n');
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        i18nLanguages = data.languages;
+        localStorage.setItem(I18N_LANGUAGES_KEY, JSON.stringify(i18nLanguages));
+    } catch (error) {
+        console.warn('Language list unavailable:', error.message);
+    }
+    return i18nLanguages;
+}
+
+/**
+ * Look up a dotted key in the current catalog
+ * @param {string} key Key like 'welcome.button'
+ * @returns {*} Text or group of texts, or undefined
+ */
+function lookupTranslation(key) {
+    return key.split('.').reduce((group, part) => (group && typeof group === 'object' ? group[part] : undefined), i18nCatalog);
+}
+
+/**
+ * Queue a missing key for the missing-key report
+ * @param {string} key Key the page asked for
+ */
+function reportMissingKey(key) {
+    if (!i18nCatalog || missingKeys.has(key)) return;
+    console.warn('Missing translation:', key);
+    missingKeys.add(key);
+
+    if (!missingKeyTimer) {
+        missingKeyTimer = setTimeout(sendMissingKeys, MISSING_KEY_REPORT_DELAY_MS);
+    }
+}
+
+/**
+ * Send the queued missing keys to the server
+ */
+function sendMissingKeys() {
+    missingKeyTimer = null;
+    if (missingKeys.size === 0) return;
+
+    fetch('/api/i18n/missing', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            lang: getCurrentLanguage(),
+            page: window.location.pathname.split('/').pop(),
+            keys: [...missingKeys]
+        }),
+        keepalive: true
+    }).catch(error => console.error('Missing translation report failed:', error));
+}
+
+/**
+ * Fill "{name}" placeholders
+ * @param {string} text Text with placeholders
+ * @param {Object} [params] Values by placeholder name
+ * @returns {string} Text with the placeholders that have a value filled in
+ */
+function interpolate(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+/**
+ * Translate a key
+ * @param {string} key Key like 'card-selection.memberWelcome'
+ * @param {Object} [params] Placeholder values, e.g. { name: 'Budi' }
+ * @returns {string} Text, or the key itself if the catalog does not have it
+ */
+function t(key, params) {
+    const text = lookupTranslation(key);
+    if (typeof text !== 'string') {
+        reportMissingKey(key);
+        return key;
+    }
+    return interpolate(text, params);
+}
+
+/**
+ * Get every text of a catalog group, e.g. a page's texts
+ * Reading a key the group does not have reports it as missing.
+ * @param {string} group Group name, e.g. 'welcome' or 'payment'
+ * @returns {Object} Texts by key
+ */
+function getTranslations(group) {
+    const texts = lookupTranslation(group) || {};
+    return new Proxy(texts, {
+        get(target, key) {
+            if (typeof key === 'string' && !(key in target) && key !== 'then' && key !== 'toJSON') {
+                reportMissingKey(`${group}.${key}`);
+            }
+            return target[key];
+        }
+    });
+}
+
+/**
+ * Show the current language on #current-lang and list every language in #lang-dropdown
+ * The menu entries call the page's setLanguage(lang).
+ */
+function renderLanguageMenu() {
+    const label = document.getElementById('current-lang');
+    if (label && i18nCatalog && i18nCatalog.meta) {
+        label.textContent = i18nCatalog.meta.name;
+    }
+
+    const dropdown = document.getElementById('lang-dropdown');
+    if (!dropdown || i18nLanguages.length === 0) return;
+
+    dropdown.replaceChildren(...i18nLanguages.map(language => {
+        const item = document.createElement('div');
+        item.textContent = language.name;
+        item.onclick = () => (typeof setLanguage === 'function' ? setLanguage(language.code) : setGlobalLanguage(language.code));
+        return item;
+    }));
+}
+
+/**
+ * Translate every data-i18n / data-i18n-html element and the language menu
+ * @param {ParentNode} [root] Part of the page to translate
+ */
+function applyTranslations(root = document) {
+    if (!i18nCatalog) return;
+
+    root.querySelectorAll('[data-i18n]').forEach(el => el.textContent = t(el.dataset.i18n));
+    root.querySelectorAll('[data-i18n-html]').forEach(el => el.innerHTML = t(el.dataset.i18nHtml));
+    document.documentElement.lang = getCurrentLanguage();
+    renderLanguageMenu();
+}
+
 /**
  * Initialize language on page load
- * Call this in the page's onload/DOMContentLoaded event
+ * Call this in the page's onload/DOMContentLoaded event. The page is translated straight away
+ * from the cached catalog, and again once the server's catalog arrives if it changed.
  * @param {Function} applyLanguageCallback Function that applies translations for the current page
  */
 function initLanguage(applyLanguageCallback) {
     const savedLang = getCurrentLanguage();
-    if (applyLanguageCallback) {
-        applyLanguageCallback(savedLang);
-    }
+    const cachedCatalog = JSON.stringify(i18nCatalog);
+    const apply = () => {
+        applyTranslations();
+        if (applyLanguageCallback) {
+            applyLanguageCallback(getCurrentLanguage());
+        }
+    };
+
+    if (i18nCatalog) apply();
+
+    let loadedLang = savedLang;
+    loadLanguage(savedLang)
+        .catch(error => {
+            // The saved language may have been removed - fall back to the default
+            if (savedLang === DEFAULT_LANGUAGE) throw error;
+            console.warn(`Language ${savedLang} unavailable, using ${DEFAULT_LANGUAGE}:`, error.message);
+            saveLanguage(DEFAULT_LANGUAGE);
+            loadedLang = DEFAULT_LANGUAGE;
+            return loadLanguage(DEFAULT_LANGUAGE);
+        })
+        .then(async catalog => {
+            await loadLanguageList();
+            // Skip if another language was picked in the meantime
+            if (getCurrentLanguage() !== loadedLang) return;
+
+            i18nCatalog = catalog;
+            if (JSON.stringify(catalog) !== cachedCatalog) {
+                apply();
+            } else {
+                renderLanguageMenu();
+            }
+        })
+        .catch(error => console.error('Translations unavailable:', error));
+
     return savedLang;
 }
 
 /**
  * Set and apply a new language
- * @param {string} lang Language code ('en' or 'id')
+ * The current language is kept if the new one cannot be loaded.
+ * @param {string} lang Language code
  * @param {Function} applyLanguageCallback Function that applies translations for the current page
+ * @returns {Promise<void>}
  */
-function setGlobalLanguage(lang, applyLanguageCallback) {
+async function setGlobalLanguage(lang, applyLanguageCallback) {
+    try {
+        i18nCatalog = await loadLanguage(lang);
+    } catch (error) {
+        console.error(`Language ${lang} unavailable:`, error);
+        return;
+    }
+
     saveLanguage(lang);
+    applyTranslations();
     if (applyLanguageCallback) {
         applyLanguageCallback(lang);
     }
 }
+
+/**
+ * Run a function with another language's texts, without changing the page language
+ * t(), getTranslations() and applyTranslations() use that language's catalog until the function returns.
+ * @param {string} lang Language code
+ * @param {Function} render Function to run
+ * @returns {Promise<*>} What the function returns
+ * @throws {Error} If the language cannot be loaded
+ */
+async function withLanguage(lang, render) {
+    const catalog = i18nCatalog;
+    i18nCatalog = await loadLanguage(lang);
+    try {
+        return render();
+    } finally {
+        i18nCatalog = catalog;
+    }
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getCurrentLanguage, saveLanguage, interpolate, t, getTranslations, applyTranslations, initLanguage, setGlobalLanguage, withLanguage };
+}
@@ -0,0 +1,292 @@
+/**
+ * Member Lookup - finds an existing player's card by its number
+ * The number is typed on an on-screen keypad or scanned with a keyboard-wedge
+ * barcode/RFID reader (which "types" the number followed by Enter), and looked
+ * up with GET /api/members/:cardNumber.
+ * Call initMemberLookup({ onMember }) once the page is ready; open the keypad with openMemberKeypad().
+ * Requires language.js to be loaded first (texts are the "memberLookup" catalog group).
+ */
+
+const MEMBER_MIN_CARD_LENGTH = 4;
+const MEMBER_MAX_CARD_LENGTH = 32;
+
+// A reader types a whole card number in well under this gap per key; people don't
+const MEMBER_WEDGE_MAX_KEY_GAP_MS = 60;
+
+const memberStyles = document.createElement('style');
+memberStyles.id = 'member-lookup-styles';
+memberStyles.textContent = `
+    .member-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99997;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+    }
+
+    .member-title {
+        font-size: 48px;
+        color: #00ffff;
+    }
+
+    .member-hint {
+        margin-top: 12px;
+        font-size: 24px;
+        opacity: 0.7;
+    }
+
+    .member-display {
+        margin-top: 40px;
+        width: 640px;
+        min-height: 96px;
+        padding: 16px 24px;
+        box-sizing: border-box;
+        border: 3px solid #00ffff;
+        border-radius: 24px;
+        font-family: monospace;
+        font-size: 64px;
+        letter-spacing: 6px;
+        word-break: break-all;
+    }
+
+    .member-status {
+        margin-top: 20px;
+        min-height: 40px;
+        max-width: 720px;
+        font-size: 26px;
+        color: #ffd700;
+    }
+
+    .member-keys {
+        margin-top: 24px;
+        display: grid;
+        grid-template-columns: repeat(3, 180px);
+        gap: 20px;
+    }
+
+    .member-key {
+        height: 120px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 48px;
+        color: #fff;
+        background: rgba(255, 255, 255, 0.12);
+        border: 2px solid rgba(255, 255, 255, 0.4);
+        border-radius: 20px;
+    }
+
+    .member-actions {
+        margin-top: 40px;
+        display: flex;
+        gap: 32px;
+    }
+
+    .member-actions button {
+        padding: 20px 72px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 36px;
+        color: #fff;
+        background: transparent;
+        border-radius: 48px;
+    }
+
+    .member-ok {
+        border: 3px solid #00ffff;
+    }
+
+    .member-cancel {
+        border: 3px solid #ff3b6b;
+    }
+`;
+document.head.appendChild(memberStyles);
+
+let memberLookupHandler = null;
+let memberOverlay = null;
+let memberLookupBusy = false;
+let wedgeBuffer = '';
+let wedgeLastKeyAt = 0;
+
+/**
+ * Get member lookup translations for the current language
+ * @returns {Object} Translation strings
+ */
+function getMemberText() {
+    return getTranslations('memberLookup');
+}
+
+/**
+ * Look up a member card on the server
+ * @param {string} cardNumber Card number as typed or scanned
+ * @returns {Promise<Object|null>} { cardNumber, tier, name, balance } or null if the card is unknown
+ * @throws {Error} If the lookup is unavailable
+ */
+async function lookupMember(cardNumber) {
+    const response = await fetch(`/api/members/${encodeURIComponent(cardNumber)}`);
+    if (response.status === 404 || response.status === 400) {
+        return null;
+    }
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error);
+    return data.member;
+}
+
+/**
+ * Show a message on the keypad (opening it if a scan could not be matched)
+ * @param {string} message Status text
+ * @param {string} [cardNumber] Card number to show in the display
+ */
+function showMemberStatus(message, cardNumber) {
+    if (!memberOverlay) {
+        openMemberKeypad();
+    }
+    if (cardNumber !== undefined) {
+        memberOverlay.querySelector('.member-display').textContent = cardNumber;
+    }
+    memberOverlay.querySelector('.member-status').textContent = message;
+}
+
+/**
+ * Look up a card number and hand the member to the page
+ * @param {string} cardNumber Card number as typed or scanned
+ * @returns {Promise<Object|null>} Member, or null if not found or unavailable
+ */
+async function findMember(cardNumber) {
+    if (memberLookupBusy) return null;
+    const text = getMemberText();
+    memberLookupBusy = true;
+    if (memberOverlay) {
+        showMemberStatus(text.searching, cardNumber);
+    }
+
+    try {
+        const member = await lookupMember(cardNumber);
+        if (!member) {
+            showMemberStatus(text.notFound, cardNumber);
+            return null;
+        }
+
+        closeMemberKeypad();
+        if (memberLookupHandler) {
+            memberLookupHandler(member);
+        }
+        return member;
+    } catch (error) {
+        console.error('Member lookup failed:', error);
+        showMemberStatus(text.error, cardNumber);
+        return null;
+    } finally {
+        memberLookupBusy = false;
+    }
+}
+
+/**
+ * Open the card number keypad
+ */
+function openMemberKeypad() {
+    if (window.isEditModeActive && window.isEditModeActive()) return;
+    if (memberOverlay) return;
+
+    const text = getMemberText();
+    memberOverlay = document.createElement('div');
+    memberOverlay.className = 'member-overlay';
+    memberOverlay.innerHTML = `
+        <div class="member-title">${text.title}</div>
+        <div class="member-hint">${text.hint}</div>
+        <div class="member-display"></div>
+        <div class="member-status"></div>
+        <div class="member-keys"></div>
+        <div class="member-actions">
+            <button class="member-cancel">${text.cancel}</button>
+            <button class="member-ok">${text.ok}</button>
+        </div>
+    `;
+
+    const display = memberOverlay.querySelector('.member-display');
+    const keys = memberOverlay.querySelector('.member-keys');
+    ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'C', '0', '⌫'].forEach(key => {
+        const button = document.createElement('button');
+        button.className = 'member-key';
+        button.textContent = key;
+        button.onclick = () => {
+            memberOverlay.querySelector('.member-status').textContent = '';
+            if (key === 'C') {
+                display.textContent = '';
+            } else if (key === '⌫') {
+                display.textContent = display.textContent.slice(0, -1);
+            } else if (display.textContent.length < MEMBER_MAX_CARD_LENGTH) {
+                display.textContent += key;
+            }
+        };
+        keys.appendChild(button);
+    });
+
+    memberOverlay.querySelector('.member-cancel').onclick = closeMemberKeypad;
+    memberOverlay.querySelector('.member-ok').onclick = () => {
+        if (display.textContent.length >= MEMBER_MIN_CARD_LENGTH) {
+            findMember(display.textContent);
+        }
+    };
+
+    document.body.appendChild(memberOverlay);
+}
+
+/**
+ * Close the card number keypad
+ */
+function closeMemberKeypad() {
+    if (memberOverlay) {
+        memberOverlay.remove();
+        memberOverlay = null;
+    }
+}
+
+/**
+ * Collect keystrokes from a keyboard-wedge reader
+ * Characters typed faster than MEMBER_WEDGE_MAX_KEY_GAP_MS apart and ended with Enter
+ * are treated as a scanned card number.
+ * @param {KeyboardEvent} event Key event
+ */
+function handleWedgeKey(event) {
+    if (window.isEditModeActive && window.isEditModeActive()) return;
+    if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const now = Date.now();
+    if (now - wedgeLastKeyAt > MEMBER_WEDGE_MAX_KEY_GAP_MS) {
+        wedgeBuffer = '';
+    }
+    wedgeLastKeyAt = now;
+
+    if (event.key === 'Enter') {
+        if (wedgeBuffer.length >= MEMBER_MIN_CARD_LENGTH) {
+            event.preventDefault();
+            findMember(wedgeBuffer);
+        }
+        wedgeBuffer = '';
+    } else if (/^[a-z0-9]$/i.test(event.key) && wedgeBuffer.length < MEMBER_MAX_CARD_LENGTH) {
+        wedgeBuffer += event.key;
+    }
+}
+
+/**
+ * Start listening for scanned cards
+ * @param {Object} options
+ * @param {Function} options.onMember Called with the member once a card is found
+ */
+function initMemberLookup(options = {}) {
+    memberLookupHandler = options.onMember || null;
+    document.removeEventListener('keydown', handleWedgeKey);
+    document.addEventListener('keydown', handleWedgeKey);
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { initMemberLookup, openMemberKeypad, lookupMember };
+}
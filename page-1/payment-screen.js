@@ -0,0 +1,275 @@
+/**
+ * Payment Screen - Waiting/QR overlay shown before a receipt is printed
+ * Creates a payment through POST /api/payments and polls GET /api/payments/:id
+ * until it is paid, declined, expired or cancelled by the customer. The idle timeout
+ * (idle-manager.js) is held off while the payment is pending.
+ * Requires session-manager.js, language.js and currency.js to be loaded first.
+ */
+
+const PAYMENT_POLL_INTERVAL_MS = 2000;
+const PAYMENT_RESULT_DELAY_MS = 2500;
+
+const paymentStyles = document.createElement('style');
+paymentStyles.id = 'payment-screen-styles';
+paymentStyles.textContent = `
+    .payment-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99998;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+    }
+
+    .payment-title {
+        font-size: 64px;
+        color: #00ffff;
+        margin-bottom: 40px;
+    }
+
+    .payment-qr {
+        width: 520px;
+        height: 520px;
+        background: #fff;
+        border-radius: 24px;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        overflow: hidden;
+        word-break: break-all;
+        color: #000;
+        font-family: monospace;
+        font-size: 22px;
+        padding: 24px;
+        box-sizing: border-box;
+    }
+
+    .payment-qr img {
+        width: 100%;
+        height: 100%;
+        object-fit: contain;
+    }
+
+    .payment-amount-label {
+        margin-top: 48px;
+        font-size: 32px;
+    }
+
+    .payment-amount {
+        font-size: 72px;
+        color: #ffd700;
+    }
+
+    .payment-status {
+        margin-top: 32px;
+        font-size: 32px;
+        min-height: 40px;
+    }
+
+    .payment-countdown {
+        margin-top: 12px;
+        font-size: 26px;
+        opacity: 0.7;
+    }
+
+    .payment-cancel {
+        margin-top: 48px;
+        padding: 20px 80px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 36px;
+        color: #fff;
+        background: transparent;
+        border: 3px solid #ff3b6b;
+        border-radius: 48px;
+    }
+
+    .payment-simulator {
+        margin-top: 32px;
+        display: flex;
+        gap: 16px;
+    }
+
+    .payment-simulator button {
+        padding: 12px 24px;
+        font-size: 20px;
+    }
+`;
+document.head.appendChild(paymentStyles);
+
+/**
+ * Get payment translations for the current language
+ * @returns {Object} Translation strings
+ */
+function getPaymentText() {
+    return getTranslations('payment');
+}
+
+/**
+ * Build the overlay element
+ * @param {Object} payment Payment returned by the server
+ * @returns {HTMLElement} Overlay element
+ */
+function createPaymentOverlay(payment) {
+    const text = getPaymentText();
+    const overlay = document.createElement('div');
+    overlay.className = 'payment-overlay';
+    overlay.innerHTML = `
+        <div class="payment-title">${text.title}</div>
+        <div class="payment-qr" id="payment-qr"></div>
+        <div class="payment-amount-label">${text.amountLabel}</div>
+        <div class="payment-amount">${formatCurrency(payment.amount)}</div>
+        <div class="payment-status" id="payment-status">${text.waiting}</div>
+        <div class="payment-countdown" id="payment-countdown"></div>
+        <button class="payment-cancel" id="payment-cancel">${text.cancel}</button>
+    `;
+
+    const qr = overlay.querySelector('#payment-qr');
+    if (payment.qrImageUrl) {
+        const img = document.createElement('img');
+        img.src = payment.qrImageUrl;
+        img.alt = 'QR';
+        qr.appendChild(img);
+    } else {
+        qr.textContent = payment.qrString || payment.providerRef;
+    }
+
+    // The simulator provider can be driven from the screen for end-to-end testing
+    if (payment.provider === 'simulator') {
+        const controls = document.createElement('div');
+        controls.className = 'payment-simulator';
+        ['approve', 'decline', 'timeout'].forEach(outcome => {
+            const button = document.createElement('button');
+            button.textContent = outcome.toUpperCase();
+            button.onclick = () => simulatePayment(payment.id, outcome);
+            controls.appendChild(button);
+        });
+        overlay.appendChild(controls);
+    }
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+/**
+ * Send a simulator command for a payment
+ * @param {number} paymentId Payment ID
+ * @param {string} outcome 'approve', 'decline' or 'timeout'
+ * @returns {Promise<Object>} Server response
+ */
+async function simulatePayment(paymentId, outcome) {
+    const response = await fetch(`/api/payments/${paymentId}/simulate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcome: outcome })
+    });
+    return response.json();
+}
+
+/**
+ * Take payment for the current session
+ * Shows the waiting/QR overlay and resolves once the payment is final.
+ * A paid result stores paymentId/paymentStatus in the session.
+ * @param {Object} options
+ * @param {number} options.amount Amount to charge in Rupiah
+ * @returns {Promise<{status: string, payment: Object|null}>} Final payment status
+ */
+async function startPayment(options = {}) {
+    const text = getPaymentText();
+    let session = getSession();
+    if (!session || !session.orderNumber) {
+        session = updateSession({ orderNumber: generateOrderNumber() });
+    }
+
+    let payment;
+    try {
+        const response = await fetch('/api/payments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                orderNumber: session.orderNumber,
+                sessionId: session.sessionId,
+                amount: options.amount
+            })
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        payment = data.payment;
+    } catch (error) {
+        console.error('Failed to start payment:', error);
+        alert(text.error);
+        return { status: 'error', payment: null };
+    }
+
+    updateSession({ paymentId: payment.id, paymentStatus: payment.status });
+    // The customer may be paying on their phone without touching the screen
+    if (typeof pauseIdle === 'function') pauseIdle();
+    const overlay = createPaymentOverlay(payment);
+    const statusEl = overlay.querySelector('#payment-status');
+    const countdownEl = overlay.querySelector('#payment-countdown');
+
+    return new Promise(resolve => {
+        let finished = false;
+
+        const finish = (status, finalPayment) => {
+            if (finished) return;
+            finished = true;
+            clearInterval(pollTimer);
+            clearInterval(countdownTimer);
+            updateSession({ paymentStatus: status });
+            if (typeof resumeIdle === 'function') resumeIdle();
+
+            statusEl.textContent = text[status] || text.error;
+            overlay.querySelector('#payment-cancel').style.display = 'none';
+            setTimeout(() => {
+                overlay.remove();
+                resolve({ status: status, payment: finalPayment });
+            }, status === 'paid' ? 800 : PAYMENT_RESULT_DELAY_MS);
+        };
+
+        const poll = async () => {
+            try {
+                const response = await fetch(`/api/payments/${payment.id}`);
+                const data = await response.json();
+                if (data.success && data.payment.status !== 'pending') {
+                    finish(data.payment.status, data.payment);
+                }
+            } catch (error) {
+                console.error('Payment poll failed:', error);
+            }
+        };
+
+        const updateCountdown = () => {
+            if (!payment.expiresAt) return;
+            const seconds = Math.max(0, Math.round((new Date(payment.expiresAt) - Date.now()) / 1000));
+            countdownEl.textContent = `${text.expiresIn} ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        const pollTimer = setInterval(poll, PAYMENT_POLL_INTERVAL_MS);
+        const countdownTimer = setInterval(updateCountdown, 1000);
+        updateCountdown();
+
+        overlay.querySelector('#payment-cancel').onclick = async () => {
+            try {
+                const response = await fetch(`/api/payments/${payment.id}/cancel`, { method: 'POST' });
+                const data = await response.json();
+                finish(data.success ? data.payment.status : 'cancelled', data.payment || payment);
+            } catch (error) {
+                console.error('Payment cancel failed:', error);
+                finish('cancelled', payment);
+            }
+        };
+    });
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { startPayment, simulatePayment };
+}
@@ -0,0 +1,303 @@
+/**
+ * Receipt Printer - prints the page's .print-receipt block
+ * In the kiosk shell the receipt is sent as a structured object to the thermal
+ * printer (window.kioskPrinter, see electron-preload.js); in a browser the
+ * print dialog is used instead. When the printer is out of paper or offline the
+ * customer is shown their order number and asked to see the cashier.
+ * The line item sections are rendered from the session's cart (renderCartReceipt()).
+ * The thermal printer only has a code page for Latin text (WPC1252, see printer/escpos.js), so a
+ * receipt in a language written in other characters (e.g. zh, ko) is printed in RECEIPT_FALLBACK_LANGUAGE.
+ * Requires session-manager.js, language.js and currency.js to be loaded first.
+ */
+
+// Language of printed receipts when the page language cannot be printed
+const RECEIPT_FALLBACK_LANGUAGE = 'en';
+
+const receiptPrinterStyles = document.createElement('style');
+receiptPrinterStyles.id = 'receipt-printer-styles';
+receiptPrinterStyles.textContent = `
+    .receipt-problem-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99998;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+        padding: 0 80px;
+        box-sizing: border-box;
+    }
+
+    .receipt-problem-title {
+        font-size: 48px;
+        color: #ff3b6b;
+        margin-bottom: 40px;
+    }
+
+    .receipt-problem-text {
+        font-size: 32px;
+    }
+
+    .receipt-problem-order {
+        margin-top: 24px;
+        font-size: 72px;
+        color: #ffd700;
+        word-break: break-all;
+    }
+
+    .receipt-problem-ok {
+        margin-top: 64px;
+        padding: 20px 100px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 36px;
+        color: #fff;
+        background: transparent;
+        border: 3px solid #00ffff;
+        border-radius: 48px;
+    }
+`;
+document.head.appendChild(receiptPrinterStyles);
+
+/**
+ * Get receipt printer translations for the current language
+ * @returns {Object} Translation strings
+ */
+function getReceiptPrinterText() {
+    return getTranslations('receiptPrinter');
+}
+
+/**
+ * Name of a cart line type in the current language, e.g. 'Top-up Package' for 'topup'
+ * @param {string} type Cart line item type
+ * @returns {string}
+ */
+function getCartItemLabel(type) {
+    return getTranslations('cart')[type] || type;
+}
+
+/**
+ * Render one .print-section per cart line into a receipt
+ * @param {HTMLElement} container Element holding the line item sections (e.g. #print-cart-lines)
+ * @param {Array<Object>} [cart] Line items (default: the session's cart)
+ */
+function renderCartReceipt(container, cart = getCart()) {
+    const text = getTranslations('cart');
+    const row = (label, value) => {
+        const el = document.createElement('div');
+        el.className = 'print-row';
+        [label, value].forEach(cell => {
+            const span = document.createElement('span');
+            span.textContent = cell;
+            el.appendChild(span);
+        });
+        return el;
+    };
+
+    container.innerHTML = '';
+    cart.forEach(item => {
+        const line = getCartLineTotals(item);
+        const section = document.createElement('div');
+        section.className = 'print-section';
+
+        const title = document.createElement('div');
+        title.className = 'print-section-title';
+        title.textContent = getCartItemLabel(item.type);
+        section.appendChild(title);
+
+        if (item.quantity > 1) {
+            section.appendChild(row(text.quantityLabel, `${item.quantity} x ${formatCurrency(item.amount)}`));
+        }
+        if (item.type === 'voucher') {
+            section.appendChild(row(text.codeLabel, item.details));
+        }
+        if (line.amount > 0) {
+            section.appendChild(row(text.amountLabel, formatCurrency(line.amount)));
+        } else if (line.amount < 0) {
+            section.appendChild(row(text.discountLabel, `-${formatCurrency(-line.amount)}`));
+        }
+        if (line.tizo > 0) {
+            section.appendChild(row(text.tizoLabel, `${line.tizo} Tizo`));
+        }
+        if (item.details && item.details !== '-' && item.type !== 'voucher') {
+            section.appendChild(row(item.type === 'gift' ? text.giftLabel : text.bonusLabel, item.details));
+        }
+        container.appendChild(section);
+    });
+}
+
+/**
+ * Check whether an element of the receipt block is hidden with style="display: none"
+ * @param {HTMLElement} el Element
+ * @param {HTMLElement} root Receipt block
+ * @returns {boolean}
+ */
+function isHiddenInReceipt(el, root) {
+    for (let node = el; node && node !== root; node = node.parentElement) {
+        if (node.style.display === 'none') return true;
+    }
+    return false;
+}
+
+/**
+ * Build the structured receipt (see printer/escpos.js) from a page's .print-receipt block
+ * Only sections and rows the page has left visible are included.
+ * @param {HTMLElement} [root] Receipt block (default: the page's .print-receipt)
+ * @returns {Object} Receipt
+ */
+function buildReceipt(root = document.querySelector('.print-receipt')) {
+    const text = el => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+    const find = selector => root.querySelector(selector);
+    const visible = (scope, selector) => Array.from(scope.querySelectorAll(selector))
+        .filter(el => !isHiddenInReceipt(el, root));
+    const toRow = row => {
+        const cells = row.querySelectorAll('span');
+        return { label: text(cells[0]), value: text(cells[cells.length - 1]) };
+    };
+
+    const sections = visible(root, '.print-section').map(section => {
+        const note = section.querySelector('p');
+        return {
+            title: text(section.querySelector('.print-section-title')),
+            rows: visible(section, '.print-row').map(toRow),
+            note: note && !isHiddenInReceipt(note, root) ? text(note) : null
+        };
+    });
+
+    const highlight = find('.print-tizo-total');
+
+    return {
+        logo: text(find('.print-logo')),
+        website: text(find('.print-website')),
+        venue: text(find('.print-location-name')),
+        date: text(find('.print-location-date')),
+        message: text(find('.print-message')),
+        orderNumber: text(find('.print-order-number')),
+        sections: sections,
+        totals: visible(root, '.print-total-section .print-total-row').map(toRow),
+        highlight: highlight ? {
+            label: text(highlight.querySelector('.print-tizo-label')),
+            value: text(highlight.querySelector('.print-tizo-label + div'))
+        } : null,
+        footer: text(find('.print-footer'))
+    };
+}
+
+/**
+ * Check whether every text of a receipt can be printed (WPC1252 covers Latin-1)
+ * @param {Object} receipt Structured receipt
+ * @returns {boolean}
+ */
+function isPrintableReceipt(receipt) {
+    return /^[\x00-\xff]*$/.test(JSON.stringify(receipt));
+}
+
+/**
+ * Translate a receipt block again in the current catalog: its data-i18n texts and its cart lines
+ * @param {HTMLElement} root Receipt block
+ */
+function translateReceipt(root) {
+    applyTranslations(root);
+    const cartLines = root.querySelector('#print-cart-lines');
+    if (cartLines) {
+        renderCartReceipt(cartLines);
+    }
+}
+
+/**
+ * Build the structured receipt in a language the printer can print
+ * A receipt with characters outside the printer's code page is built again in
+ * RECEIPT_FALLBACK_LANGUAGE; the block itself is left in the page language.
+ * @param {HTMLElement} [root] Receipt block (default: the page's .print-receipt)
+ * @returns {Promise<Object>} Receipt
+ */
+async function buildPrintableReceipt(root = document.querySelector('.print-receipt')) {
+    const receipt = buildReceipt(root);
+    if (isPrintableReceipt(receipt)) return receipt;
+
+    let printable = receipt;
+    try {
+        printable = await withLanguage(RECEIPT_FALLBACK_LANGUAGE, () => {
+            translateReceipt(root);
+            return buildReceipt(root);
+        });
+    } catch (error) {
+        console.error(`Receipt texts in ${RECEIPT_FALLBACK_LANGUAGE} unavailable:`, error);
+    }
+    translateReceipt(root);
+
+    // The day name is written by the page in its own language
+    if (!isPrintableReceipt({ date: printable.date })) {
+        const now = new Date();
+        const locale = getCurrencyConfig().locale;
+        const day = now.toLocaleDateString(RECEIPT_FALLBACK_LANGUAGE, { weekday: 'long' });
+        printable.date = `${day}, ${now.toLocaleDateString(locale)} ${now.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    return printable;
+}
+
+/**
+ * Tell the customer the receipt could not be printed and wait until they tap OK
+ * @param {string} status 'paper_out' or 'offline'
+ * @param {string} orderNumber Order number to show the cashier
+ * @returns {Promise<void>}
+ */
+function showReceiptProblem(status, orderNumber) {
+    const text = getReceiptPrinterText();
+    const overlay = document.createElement('div');
+    overlay.className = 'receipt-problem-overlay';
+    overlay.innerHTML = `
+        <div class="receipt-problem-title">${text[status] || text.offline}</div>
+        <div class="receipt-problem-text">${text.showCashier}</div>
+        <div class="receipt-problem-order"></div>
+        <button class="receipt-problem-ok">${text.ok}</button>
+    `;
+    overlay.querySelector('.receipt-problem-order').textContent = orderNumber;
+    document.body.appendChild(overlay);
+
+    return new Promise(resolve => {
+        overlay.querySelector('.receipt-problem-ok').onclick = () => {
+            overlay.remove();
+            resolve();
+        };
+    });
+}
+
+/**
+ * Print the page's receipt
+ * Resolves once the receipt has been printed, or once the customer has
+ * acknowledged that it could not be.
+ * @returns {Promise<{success: boolean, status: string}>} status is the printer status ('browser' for the print dialog)
+ */
+async function printReceipt() {
+    if (!window.kioskPrinter) {
+        window.print();
+        return { success: true, status: 'browser' };
+    }
+
+    const receipt = await buildPrintableReceipt();
+    let result;
+    try {
+        result = await window.kioskPrinter.printReceipt(receipt);
+    } catch (error) {
+        console.error('Receipt printing failed:', error);
+        result = { success: false, status: 'offline', error: error.message };
+    }
+
+    if (!result.success) {
+        trackEvent('print_failed', { orderNumber: receipt.orderNumber, status: result.status, error: result.error });
+        await showReceiptProblem(result.status, receipt.orderNumber);
+    }
+    return result;
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getCartItemLabel, renderCartReceipt, buildReceipt, buildPrintableReceipt, printReceipt };
+}
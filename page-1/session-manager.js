@@ -2,11 +2,27 @@
  * Session Manager for Tizo Kiosk
  * Maintains unified session state from welcome page through print page
  * Session is stored in localStorage and persists across page navigations
+ * Sessions the customer has engaged with are mirrored to the server (POST/PATCH /api/sessions/:id)
+ * so an unfinished one can be resumed after a kiosk restart (see session-resume.js) and staff can
+ * see active and abandoned sessions per kiosk.
+ * What the customer pays for is the cart: typed line items changed with setCartItem(),
+ * addCartItem(), removeCartItem() and setCartItemQuantity(). totalCost/totalTizo always
+ * come from calculateCartTotals(), and the bill, the receipt and the recorded transaction
+ * are built from the same lines.
  */
 
 const SESSION_STORAGE_KEY = 'tizo_session';
 const SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes timeout
 
+// Cart line item types (the item types of POST /api/transactions)
+// topup: the chosen top-up, scratch: scratch card bonus, ood/ooh: offer of the day/hour,
+// card_fee: price of a new card, gift: free gift that comes with an offer (no amount),
+// voucher: promo code from the bill summary - details is the code, a discount is a negative amount
+const CART_ITEM_TYPES = ['topup', 'scratch', 'ood', 'ooh', 'card_fee', 'gift', 'voucher'];
+
+// Session waiting to be mirrored - saves made in the same tick are sent once
+let pendingSessionMirror = null;
+
 /**
  * Default session structure
  */
@@ -14,6 +30,7 @@ const DEFAULT_SESSION = {
     sessionId: null,
     createdAt: null,
     lastActivity: null,
+    revision: 0, // Incremented on every save; the server keeps the highest revision it has seen
 
     // User flow state
     currentPage: 'welcome',
@@ -25,8 +42,14 @@ const DEFAULT_SESSION = {
     // Card selection
     selectedCard: null, // 'red', 'blue', 'gold', 'silver'
     cardQuantity: 1,
+    memberCardNumber: null, // Existing player's card from the member lookup - its TIZO is credited to it
+    memberName: null,
+
+    // Cart - line items { id, type, offerId, amount, tizo, quantity, details }
+    // amount and tizo are per unit; a line costs amount x quantity
+    cart: [],
 
-    // Offer selection
+    // Offer selection (what was offered - the cart holds what is bought)
     selectedOffer: null,
     offerCost: 0,
     offerTizo: 0,
@@ -35,6 +58,8 @@ const DEFAULT_SESSION = {
     // Scratch card
     scratchCardRevealed: false,
     scratchPrize: 0,
+    scratchOfferId: null, // Offer drawn by POST /api/scratch-card/draw (null = default prize)
+    scratchDrawn: false, // Prize already drawn for this session - never draw again
 
     // Prize/Bonus
     bonusAccepted: null, // true = accepted, false = rejected
@@ -44,10 +69,14 @@ const DEFAULT_SESSION = {
     bonusGift: null, // Gift label (e.g., "FREE GAMES", "HADIAH TAMBAHAN")
     bonusGiftDetails: null, // Gift details (e.g., "5 Games", "1 Keychain")
 
-    // Totals
+    // Totals - calculated from the cart, never set directly
     totalCost: 0,
     totalTizo: 0,
 
+    // Payment
+    paymentId: null,
+    paymentStatus: null,
+
     // Transaction
     orderNumber: null,
     transactionComplete: false
@@ -102,15 +131,78 @@ function getSession() {
 }
 
 /**
- * Save session to localStorage
+ * Save session to localStorage and mirror it to the server
  * @param {Object} session Session object to save
  */
 function saveSession(session) {
     try {
         session.lastActivity = Date.now();
+        session.revision = (session.revision || 0) + 1;
         localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
     } catch (e) {
         console.error('Error saving session:', e);
+        return;
+    }
+    mirrorSession(session);
+}
+
+/**
+ * Check whether the customer has engaged with a session (chose new or existing player)
+ * Sessions still on the attract screen are not mirrored or counted as abandoned.
+ * @param {Object} session Session object
+ * @returns {boolean}
+ */
+function isEngagedSession(session) {
+    return session !== null && session.isNewPlayer !== null && session.isNewPlayer !== undefined;
+}
+
+/**
+ * Mirror a saved session to the server at the end of the current tick
+ * @param {Object} session Saved session
+ */
+function mirrorSession(session) {
+    if (!isEngagedSession(session)) return;
+
+    const scheduled = pendingSessionMirror !== null;
+    pendingSessionMirror = session;
+    if (!scheduled) {
+        queueMicrotask(() => {
+            const latest = pendingSessionMirror;
+            pendingSessionMirror = null;
+            syncSession(latest);
+        });
+    }
+}
+
+/**
+ * Send a session (and optionally a status change) to the server
+ * PATCH /api/sessions/:id updates the server's copy; a session the server does not have yet is created with POST.
+ * Uses keepalive so the request survives a navigation.
+ * @param {Object} session Session object
+ * @param {Object} [change] Status change: { status: 'abandoned', reason } or { status: 'active' } to resume
+ * @returns {Promise<Object|null>} Server response or null on failure
+ */
+async function syncSession(session, change = {}) {
+    const send = method => fetch(`/api/sessions/${encodeURIComponent(session.sessionId)}`, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...change, revision: session.revision || 0, data: session }),
+        keepalive: true
+    });
+
+    try {
+        let response = await send('PATCH');
+        if (response.status === 404) {
+            response = await send('POST');
+        }
+        const data = await response.json();
+        if (!data.success) {
+            console.error('Failed to mirror session:', data.error);
+        }
+        return data;
+    } catch (e) {
+        console.error('Error mirroring session:', e);
+        return null;
     }
 }
 
@@ -156,19 +248,184 @@ function updateSession(updates) {
         session = startNewSession(true);
     }
 
-    // Merge updates
+    // Merge updates - the totals always follow the cart
     Object.assign(session, updates);
+    const totals = calculateCartTotals(session.cart);
+    session.totalCost = totals.amount;
+    session.totalTizo = totals.tizo;
+
+    saveSession(session);
+    return session;
+}
 
-    // Recalculate totals if relevant fields changed
-    if ('offerCost' in updates || 'bonusCost' in updates || 'bonusAccepted' in updates) {
-        session.totalCost = session.offerCost + (session.bonusAccepted ? session.bonusCost : 0);
+/**
+ * Get the cart of the current session
+ * @returns {Array<Object>} Line items (empty without a session)
+ */
+function getCart() {
+    const session = getSession();
+    return (session && session.cart) || [];
+}
+
+/**
+ * Find the first cart line of a type
+ * @param {string} type Line item type, e.g. 'topup'
+ * @returns {Object|null} Line item or null if the cart has none
+ */
+function findCartItem(type) {
+    return getCart().find(item => item.type === type) || null;
+}
+
+/**
+ * Amount and TIZO of one cart line (unit values times quantity)
+ * @param {Object} item Line item
+ * @returns {{amount: number, tizo: number}}
+ */
+function getCartLineTotals(item) {
+    const quantity = item.quantity || 1;
+    return {
+        amount: (parseFloat(item.amount) || 0) * quantity,
+        tizo: (parseFloat(item.tizo) || 0) * quantity
+    };
+}
+
+/**
+ * Totals of a cart - the only place the order total is calculated
+ * @param {Array<Object>} cart Line items
+ * @returns {{amount: number, tizo: number, quantity: number}} Amount to pay, TIZO and number of items
+ */
+function calculateCartTotals(cart) {
+    return (cart || []).reduce((totals, item) => {
+        const line = getCartLineTotals(item);
+        totals.amount += line.amount;
+        totals.tizo += line.tizo;
+        totals.quantity += item.quantity || 1;
+        return totals;
+    }, { amount: 0, tizo: 0, quantity: 0 });
+}
+
+/**
+ * Build a cart line item
+ * @param {string} type One of CART_ITEM_TYPES
+ * @param {Object} fields { offerId, amount, tizo, quantity, details } - amount and tizo per unit
+ * @returns {Object} Line item
+ * @throws {Error} If the type is unknown
+ */
+function createCartItem(type, fields) {
+    if (!CART_ITEM_TYPES.includes(type)) {
+        throw new Error(`Unknown cart item type: ${type}`);
     }
-    if ('offerTizo' in updates || 'bonusTizo' in updates || 'bonusAccepted' in updates) {
-        session.totalTizo = session.offerTizo + (session.bonusAccepted ? session.bonusTizo : 0);
+    return {
+        id: `${type}-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+        type: type,
+        offerId: fields.offerId || null,
+        amount: parseFloat(fields.amount) || 0,
+        tizo: parseFloat(fields.tizo) || 0,
+        quantity: Math.max(1, parseInt(fields.quantity) || 1),
+        details: fields.details || null
+    };
+}
+
+/**
+ * Change the cart of the current session and save it (totals included)
+ * @param {function(Array<Object>): Array<Object>} change Gets a copy of the cart, returns the new cart
+ * @returns {Object} Updated session
+ */
+function changeCart(change) {
+    return updateSession({ cart: change(getCart().slice()) });
+}
+
+/**
+ * Add a line to the cart
+ * @param {string} type One of CART_ITEM_TYPES
+ * @param {Object} fields { offerId, amount, tizo, quantity, details } - amount and tizo per unit
+ * @returns {Object} The added line item
+ */
+function addCartItem(type, fields) {
+    const item = createCartItem(type, fields);
+    changeCart(cart => cart.concat(item));
+    return item;
+}
+
+/**
+ * Set the cart lines of several types at once, e.g. the selected add-ons
+ * Each type ends up with exactly one line, or none when its value is null. A replaced
+ * line keeps its place in the cart; new lines are added at the end.
+ * @param {Object} lines { [type]: fields or null }, e.g. { scratch: { amount, tizo }, ood: null }
+ * @returns {Object} Updated session
+ */
+function setCartItems(lines) {
+    return changeCart(cart => {
+        const placed = new Set();
+        const next = [];
+        cart.forEach(item => {
+            if (!(item.type in lines)) {
+                next.push(item);
+            } else if (!placed.has(item.type)) {
+                placed.add(item.type);
+                if (lines[item.type]) next.push(createCartItem(item.type, lines[item.type]));
+            }
+        });
+        Object.entries(lines)
+            .filter(([type, fields]) => fields && !placed.has(type))
+            .forEach(([type, fields]) => next.push(createCartItem(type, fields)));
+        return next;
+    });
+}
+
+/**
+ * Set the single cart line of a type (the top-up, the scratch bonus, ...)
+ * @param {string} type One of CART_ITEM_TYPES
+ * @param {Object|null} fields { offerId, amount, tizo, quantity, details }, or null to remove the line
+ * @returns {Object} Updated session
+ */
+function setCartItem(type, fields) {
+    return setCartItems({ [type]: fields });
+}
+
+/**
+ * Remove a line from the cart
+ * @param {string} id Line item ID
+ * @returns {Object} Updated session
+ */
+function removeCartItem(id) {
+    return changeCart(cart => cart.filter(item => item.id !== id));
+}
+
+/**
+ * Change how many of a cart line are bought
+ * @param {string} id Line item ID
+ * @param {number} quantity New quantity - 0 removes the line
+ * @returns {Object} Updated session
+ */
+function setCartItemQuantity(id, quantity) {
+    const count = Math.max(0, parseInt(quantity) || 0);
+    if (count === 0) return removeCartItem(id);
+    return changeCart(cart => cart.map(item => (item.id === id ? { ...item, quantity: count } : item)));
+}
+
+/**
+ * Charge the price of the new cards a new player buys as the 'card_fee' line
+ * The fee is the card's card_fee from /api/card-info; a free card (or one the server
+ * does not know) leaves no line.
+ * @param {string} cardId card_offers ID, e.g. 'red'
+ * @param {number} [quantity] Number of cards bought
+ * @returns {Promise<Object>} Updated session
+ */
+async function setCardFeeItem(cardId, quantity = 1) {
+    let card = null;
+    try {
+        const response = await fetch(`/api/card-info?cardId=${encodeURIComponent(cardId)}`);
+        const data = await response.json();
+        card = data.success ? data.card || null : null;
+    } catch (e) {
+        console.error('Error loading card fee:', e);
     }
 
-    saveSession(session);
-    return session;
+    const fee = card ? parseFloat(card.card_fee) || 0 : 0;
+    return setCartItem('card_fee', fee > 0
+        ? { offerId: card.id, amount: fee, quantity: quantity, details: card.card_name }
+        : null);
 }
 
 /**
@@ -215,21 +472,159 @@ function goHome() {
  */
 function setCurrentPage(pageName) {
     updateSession({ currentPage: pageName });
+    trackEvent('page_view');
 }
 
 /**
  * Complete the transaction and generate order number
+ * The sale is also sent to the server so it is recorded in the database
  * @returns {string} Order number
  */
 function completeTransaction() {
-    const orderNumber = generateOrderNumber();
-    updateSession({
+    const existing = getSession();
+    const orderNumber = (existing && existing.orderNumber) || generateOrderNumber();
+    const session = updateSession({
         orderNumber: orderNumber,
         transactionComplete: true
     });
+    recordTransaction(session);
+    trackEvent('printed', { orderNumber: orderNumber, totalCost: session.totalCost });
     return orderNumber;
 }
 
+/**
+ * Build the POST /api/transactions payload from a session
+ * Every cart line is one transaction item, with the line's amount and TIZO (times its quantity).
+ * @param {Object} session Session object
+ * @returns {Object} Transaction payload with line items
+ */
+function buildTransactionPayload(session) {
+    let selectedOfferData = null;
+    try {
+        selectedOfferData = JSON.parse(localStorage.getItem('selectedOfferData'));
+    } catch (e) {
+        selectedOfferData = null;
+    }
+
+    const offerId = session.selectedOffer || (selectedOfferData && selectedOfferData.offerId) || null;
+    const customAmount = session.customAmount || localStorage.getItem('customTopUpAmount') || null;
+
+    const items = (session.cart || []).map(item => ({
+        type: item.type,
+        offerId: item.offerId,
+        quantity: item.quantity || 1,
+        ...getCartLineTotals(item),
+        details: item.details
+    }));
+
+    return {
+        orderNumber: session.orderNumber,
+        sessionId: session.sessionId,
+        cardType: session.selectedCard,
+        cardQuantity: session.cardQuantity,
+        isNewPlayer: session.isNewPlayer,
+        offerId: offerId,
+        customAmount: customAmount,
+        language: session.language,
+        paymentId: session.paymentId || null,
+        cardNumber: session.memberCardNumber || null,
+        items: items
+    };
+}
+
+/**
+ * Send a completed session to the server
+ * Uses keepalive so the request survives the navigation to feedback.html
+ * @param {Object} session Completed session
+ * @returns {Promise<Object|null>} Server response or null on failure
+ */
+async function recordTransaction(session) {
+    try {
+        const response = await fetch('/api/transactions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(buildTransactionPayload(session)),
+            keepalive: true
+        });
+        const data = await response.json();
+        if (!data.success) {
+            console.error('Failed to record transaction:', data.error);
+        }
+        return data;
+    } catch (e) {
+        console.error('Error recording transaction:', e);
+        return null;
+    }
+}
+
+/**
+ * Send the customer's satisfaction rating for the current session
+ * Uses keepalive so the request survives the navigation to enjoy.html
+ * @param {number} rating Rating from 1 (highly dissatisfied) to 4 (very satisfied)
+ * @returns {Promise<Object|null>} Server response or null on failure
+ */
+async function submitFeedback(rating) {
+    const session = getSession() || {};
+    try {
+        const response = await fetch('/api/feedback', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                rating: rating,
+                sessionId: session.sessionId || null,
+                orderNumber: session.orderNumber || null,
+                cardType: session.selectedCard || null,
+                language: typeof getCurrentLanguage === 'function' ? getCurrentLanguage() : session.language
+            }),
+            keepalive: true
+        });
+        const data = await response.json();
+        if (!data.success) {
+            console.error('Failed to submit feedback:', data.error);
+        }
+        return data;
+    } catch (e) {
+        console.error('Error submitting feedback:', e);
+        return null;
+    }
+}
+
+/**
+ * Send a funnel analytics event for the current session (fire and forget)
+ * Page views are sent by setCurrentPage(); pages call this for key actions:
+ * card_chosen, offer_chosen, scratch_revealed, bonus_accepted, bonus_rejected, printed, abandoned
+ * @param {string} type Event type
+ * @param {Object} [data] Extra details stored with the event
+ */
+function trackEvent(type, data = {}) {
+    const session = getSession();
+    fetch('/api/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            type: type,
+            sessionId: session ? session.sessionId : null,
+            page: session ? session.currentPage : null,
+            data: data,
+            timestamp: Date.now()
+        }),
+        keepalive: true
+    }).catch(e => console.error('Error tracking event:', type, e));
+}
+
+/**
+ * Record that the current session was abandoned (e.g. by the idle timeout)
+ * The funnel gets an 'abandoned' event and the mirrored session is marked abandoned.
+ * Sessions still on the attract screen (no new/existing player choice yet) are not counted.
+ * @param {string} reason Why the session ended, e.g. 'idle'
+ */
+function trackAbandonment(reason) {
+    const session = getSession();
+    if (!session || session.transactionComplete || !isEngagedSession(session)) return;
+    trackEvent('abandoned', { reason: reason });
+    syncSession(session, { status: 'abandoned', reason: reason });
+}
+
 /**
  * Check if there's an active (non-completed) session
  * @returns {boolean}
@@ -241,28 +636,40 @@ function hasActiveSession() {
 
 /**
  * Get session summary for display/printing
+ * Amounts are formatted with formatCurrency() from currency.js.
  * @returns {Object} Summary object with formatted values
  */
 function getSessionSummary() {
     const session = getSession();
     if (!session) return null;
 
+    const cart = session.cart || [];
+    const lineTotals = type => calculateCartTotals(cart.filter(item => item.type === type));
+    const topup = lineTotals('topup');
+    const bonus = lineTotals('scratch');
+
     return {
         sessionId: session.sessionId,
         orderNumber: session.orderNumber || generateOrderNumber(),
         cardType: session.selectedCard,
         cardQuantity: session.cardQuantity,
 
+        // Cart lines with their amounts (times quantity)
+        items: cart.map(item => {
+            const line = getCartLineTotals(item);
+            return { ...item, lineAmount: line.amount, lineAmountFormatted: formatCurrency(line.amount), lineTizo: line.tizo };
+        }),
+
         // Top-up details
-        topupAmount: session.offerCost,
-        topupAmountFormatted: formatCurrency(session.offerCost),
-        topupTizo: session.offerTizo,
+        topupAmount: topup.amount,
+        topupAmountFormatted: formatCurrency(topup.amount),
+        topupTizo: topup.tizo,
 
         // Bonus/Scratch card details
-        bonusAccepted: session.bonusAccepted,
-        bonusAmount: session.bonusCost,
-        bonusAmountFormatted: formatCurrency(session.bonusCost),
-        bonusTizo: session.bonusTizo,
+        bonusAccepted: bonus.quantity > 0,
+        bonusAmount: bonus.amount,
+        bonusAmountFormatted: formatCurrency(bonus.amount),
+        bonusTizo: bonus.tizo,
 
         // Totals
         totalCost: session.totalCost,
@@ -276,12 +683,23 @@ function getSessionSummary() {
 }
 
 /**
- * Format currency in Indonesian Rupiah
- * @param {number} amount Amount to format
- * @returns {string} Formatted currency string
+ * Load this kiosk's identity from the server and show its venue on the receipt
+ * @returns {Promise<Object|null>} { kioskId, venueName } or null if unavailable
  */
-function formatCurrency(amount) {
-    return 'Rp' + parseInt(amount).toLocaleString('id-ID');
+async function loadKioskInfo() {
+    try {
+        const response = await fetch('/api/kiosk');
+        const data = await response.json();
+        if (!data.success) return null;
+
+        document.querySelectorAll('.print-location-name').forEach(el => {
+            el.textContent = data.venueName;
+        });
+        return { kioskId: data.kioskId, venueName: data.venueName };
+    } catch (e) {
+        console.error('Error loading kiosk info:', e);
+        return null;
+    }
 }
 
 /**
@@ -324,17 +742,35 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         getSession,
         saveSession,
+        isEngagedSession,
+        syncSession,
         startNewSession,
         updateSession,
+        CART_ITEM_TYPES,
+        getCart,
+        findCartItem,
+        getCartLineTotals,
+        calculateCartTotals,
+        addCartItem,
+        setCartItems,
+        setCartItem,
+        removeCartItem,
+        setCartItemQuantity,
+        setCardFeeItem,
         getSessionValue,
         setSessionValue,
         clearSession,
         goHome,
         setCurrentPage,
         completeTransaction,
+        buildTransactionPayload,
+        recordTransaction,
+        submitFeedback,
+        trackEvent,
+        trackAbandonment,
         hasActiveSession,
         getSessionSummary,
-        formatCurrency,
+        loadKioskInfo,
         migrateOldData,
         generateOrderNumber
     };
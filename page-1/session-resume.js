@@ -0,0 +1,175 @@
+/**
+ * Session Resume - offers to continue an unfinished session after a kiosk restart
+ * On the first page the kiosk window opens (welcome.html), this kiosk's latest unfinished,
+ * unpaid session is looked up on the server (GET /api/sessions/resumable), or in localStorage
+ * if the server has none or cannot be reached. The customer can continue on the page they
+ * were on or start over; an unanswered prompt counts as starting over.
+ * Requires session-manager.js and language.js to be loaded first.
+ */
+
+// sessionStorage flag - set on the first page of the kiosk window, so the prompt only follows a restart
+const APP_STARTED_KEY = 'tizo_app_started';
+
+// The prompt is closed as "start over" after this long without an answer
+const RESUME_PROMPT_TIMEOUT_MS = 30000;
+
+// Sessions with one of these payment states are never resumed (same as the server)
+const UNRESUMABLE_PAYMENT_STATUSES = ['paid', 'pending'];
+
+const sessionResumeStyles = document.createElement('style');
+sessionResumeStyles.id = 'session-resume-styles';
+sessionResumeStyles.textContent = `
+    .session-resume-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99998;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+        padding: 0 80px;
+        box-sizing: border-box;
+    }
+
+    .session-resume-title {
+        font-size: 56px;
+        color: #00ffff;
+        margin-bottom: 40px;
+    }
+
+    .session-resume-text {
+        font-size: 32px;
+    }
+
+    .session-resume-buttons {
+        margin-top: 64px;
+        display: flex;
+        gap: 40px;
+    }
+
+    .session-resume-buttons button {
+        padding: 20px 60px;
+        font-family: 'Nulshock', sans-serif;
+        font-size: 36px;
+        color: #fff;
+        background: transparent;
+        border: 3px solid #00ffff;
+        border-radius: 48px;
+    }
+
+    .session-resume-buttons .session-resume-continue {
+        background: #00b3b3;
+    }
+`;
+document.head.appendChild(sessionResumeStyles);
+
+/**
+ * Check whether a session can be resumed: engaged, not completed, unpaid and not expired
+ * @param {Object} session Session object
+ * @returns {boolean}
+ */
+function isResumableSession(session) {
+    return isEngagedSession(session)
+        && !session.transactionComplete
+        && !UNRESUMABLE_PAYMENT_STATUSES.includes(session.paymentStatus)
+        && Boolean(session.currentPage) && session.currentPage !== 'welcome'
+        && Date.now() - session.lastActivity <= SESSION_TIMEOUT_MS;
+}
+
+/**
+ * Find the session to offer: the server's or the local one, whichever was active last
+ * @returns {Promise<Object|null>} Session object, or null if there is nothing to resume
+ */
+async function findResumableSession() {
+    const candidates = [getSession()];
+    try {
+        const response = await fetch('/api/sessions/resumable');
+        const data = await response.json();
+        if (data.success && data.session) {
+            candidates.push(data.session.data);
+        }
+    } catch (error) {
+        console.warn('Resumable session lookup failed, checking this kiosk only:', error.message);
+    }
+
+    return candidates
+        .filter(session => session && isResumableSession(session))
+        .reduce((latest, session) => {
+            if (!latest) return session;
+            if (session.sessionId === latest.sessionId) {
+                return (session.revision || 0) > (latest.revision || 0) ? session : latest;
+            }
+            return session.lastActivity > latest.lastActivity ? session : latest;
+        }, null);
+}
+
+/**
+ * Ask the customer whether to continue the session
+ * @returns {Promise<boolean>} True to continue, false to start over (or no answer)
+ */
+function askToResume() {
+    const text = getTranslations('sessionResume');
+    const overlay = document.createElement('div');
+    overlay.className = 'session-resume-overlay';
+    overlay.innerHTML = `
+        <div class="session-resume-title">${text.title}</div>
+        <div class="session-resume-text">${text.text}</div>
+        <div class="session-resume-buttons">
+            <button class="session-resume-restart">${text.startOver}</button>
+            <button class="session-resume-continue">${text.continue}</button>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    return new Promise(resolve => {
+        const answer = resume => {
+            clearTimeout(timer);
+            overlay.remove();
+            resolve(resume);
+        };
+        const timer = setTimeout(() => answer(false), RESUME_PROMPT_TIMEOUT_MS);
+        overlay.querySelector('.session-resume-continue').onclick = () => answer(true);
+        overlay.querySelector('.session-resume-restart').onclick = () => answer(false);
+    });
+}
+
+/**
+ * Offer to resume an unfinished session if the kiosk has just started
+ * Continuing restores the session and opens the page it was on; starting over marks it abandoned.
+ * @returns {Promise<boolean>} True if the kiosk is navigating to the resumed session
+ */
+async function offerSessionResume() {
+    if (sessionStorage.getItem(APP_STARTED_KEY)) return false;
+    sessionStorage.setItem(APP_STARTED_KEY, 'true');
+
+    const session = await findResumableSession();
+    if (!session) return false;
+
+    if (await askToResume()) {
+        saveSession({ ...session });
+        syncSession(getSession(), { status: 'active' });
+        console.log('Resuming session after restart:', session.sessionId);
+        window.location.href = `${session.currentPage}.html`;
+        return true;
+    }
+
+    syncSession(session, { status: 'abandoned', reason: 'not_resumed' });
+    const local = getSession();
+    if (local && local.sessionId === session.sessionId) {
+        clearSession();
+    }
+    console.log('Session not resumed:', session.sessionId);
+    return false;
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { isResumableSession, findResumableSession, offerSessionResume };
+}
@@ -0,0 +1,155 @@
+/**
+ * TIZO Pricing - the one implementation of the custom top-up formula
+ * Loaded by the kiosk pages (<script src="tizo-pricing.js">) and required by server.js,
+ * so the amount on screen, on the receipt and in GET /api/quote always agree.
+ *
+ * Formula (values come from the settings and upsell_offers tables):
+ * Step 1: Use the base unit (600 Rb) as many times as possible, each × baseMultiplier (2.0)
+ * Step 2: For the remainder, use upsell_offers tiers below the base unit (greedy, largest first)
+ * Step 3: Anything below the smallest tier is credited 1:1
+ *
+ * Example: 1790 Rb
+ * - (2 x 600rb x 2.0) = 2400
+ * - (1 x 550rb x 1.85) = 1020
+ * - (40rb x 1.0) = 40
+ * - Total = 3460 TIZO
+ */
+
+const DEFAULT_PRICING_CONFIG = {
+    baseUnitRb: 600,
+    baseMultiplier: 2,
+    tiers: []
+};
+
+// Config loaded from GET /api/pricing (browser only)
+let pricingConfig = null;
+
+/**
+ * Format a multiplier the way the receipt shows it (2 -> "2.0", 1.7 -> "1.7", 1.855 -> "1.85")
+ * @param {number} multiplier Multiplier
+ * @returns {string} Formatted multiplier
+ */
+function formatMultiplier(multiplier) {
+    return multiplier.toFixed(2).replace(/0$/, '');
+}
+
+/**
+ * Calculate TIZO for an amount with an itemised breakdown
+ * @param {number} amountRb Amount in Rb (e.g. 1790 for 1,790,000 Rp)
+ * @param {Object} [config] Pricing config { baseUnitRb, baseMultiplier, tiers: [{ topup_rb, tizo_value }] }
+ * @param {string} [unitLabel] Unit written after the amounts in breakdownString (the venue's display unit)
+ * @returns {{amountRb: number, totalTizo: number, breakdown: Array<Object>, breakdownString: string}} Quote
+ */
+function calculateTizoQuote(amountRb, config, unitLabel = 'rb') {
+    const baseUnitRb = Number((config && config.baseUnitRb) || DEFAULT_PRICING_CONFIG.baseUnitRb);
+    const baseMultiplier = Number((config && config.baseMultiplier) || DEFAULT_PRICING_CONFIG.baseMultiplier);
+    const tiers = (config && config.tiers) || DEFAULT_PRICING_CONFIG.tiers;
+
+    const breakdown = [];
+    let remaining = Math.max(0, Math.floor(Number(amountRb) || 0));
+    let totalTizo = 0;
+
+    // Step 1: Base unit as many times as possible
+    const baseCount = Math.floor(remaining / baseUnitRb);
+    if (baseCount > 0) {
+        const tizo = Math.round(baseCount * baseUnitRb * baseMultiplier);
+        breakdown.push({ kind: 'base', count: baseCount, rb: baseUnitRb, multiplier: baseMultiplier, tizo: tizo });
+        totalTizo += tizo;
+        remaining = remaining % baseUnitRb;
+    }
+
+    // Step 2: Tiers below the base unit (greedy, largest first)
+    if (remaining > 0) {
+        const validTiers = tiers
+            .map(t => ({ rb: Number(t.topup_rb), tizo: Number(t.tizo_value) }))
+            .filter(t => t.rb > 0 && t.rb < baseUnitRb)
+            .sort((a, b) => b.rb - a.rb);
+
+        for (const tier of validTiers) {
+            const count = Math.floor(remaining / tier.rb);
+            if (count > 0) {
+                breakdown.push({ kind: 'tier', count: count, rb: tier.rb, multiplier: tier.tizo / tier.rb, tizo: count * tier.tizo });
+                totalTizo += count * tier.tizo;
+                remaining = remaining % tier.rb;
+            }
+        }
+    }
+
+    // Step 3: Remainder 1:1
+    if (remaining > 0) {
+        breakdown.push({ kind: 'remainder', count: 1, rb: remaining, multiplier: 1, tizo: remaining });
+        totalTizo += remaining;
+    }
+
+    const parts = breakdown.map(item => item.kind === 'remainder'
+        ? `(${item.rb}${unitLabel} x ${formatMultiplier(item.multiplier)})`
+        : `(${item.count} x ${item.rb}${unitLabel} x ${formatMultiplier(item.multiplier)})`);
+
+    return {
+        amountRb: Math.max(0, Math.floor(Number(amountRb) || 0)),
+        totalTizo: totalTizo,
+        breakdown: breakdown,
+        breakdownString: `${parts.join(' + ') || '0'} = ${totalTizo}`
+    };
+}
+
+/**
+ * Load the pricing config from the server (browser)
+ * Falls back to the defaults (no tiers) if the server is unreachable.
+ * @returns {Promise<Object>} Pricing config
+ */
+async function loadPricingConfig() {
+    if (pricingConfig) return pricingConfig;
+
+    try {
+        const response = await fetch('/api/pricing');
+        const data = await response.json();
+        if (data.success) {
+            pricingConfig = data.pricing;
+            console.log('✅ Loaded TIZO pricing:', pricingConfig.tiers.length, 'tiers');
+            return pricingConfig;
+        }
+    } catch (error) {
+        console.error('❌ Failed to load TIZO pricing:', error);
+    }
+    return DEFAULT_PRICING_CONFIG;
+}
+
+/**
+ * Quote an amount with the loaded pricing config (browser, synchronous)
+ * Call loadPricingConfig() first.
+ * @param {number} amountRb Amount in Rb
+ * @returns {Object} Quote, see calculateTizoQuote
+ */
+function getTizoQuote(amountRb) {
+    const unitLabel = typeof getDisplayUnitLabel === 'function' ? getDisplayUnitLabel().toLowerCase() : undefined;
+    return calculateTizoQuote(amountRb, pricingConfig || DEFAULT_PRICING_CONFIG, unitLabel);
+}
+
+/**
+ * Fetch the authoritative quote for an amount from GET /api/quote (browser)
+ * @param {number} amountRb Amount in Rb
+ * @returns {Promise<Object|null>} Quote or null if unavailable
+ */
+async function fetchTizoQuote(amountRb) {
+    try {
+        const response = await fetch(`/api/quote?rb=${encodeURIComponent(amountRb)}`);
+        const data = await response.json();
+        if (data.success) return data.quote;
+    } catch (error) {
+        console.error('❌ Failed to fetch TIZO quote:', error);
+    }
+    return null;
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_PRICING_CONFIG,
+        calculateTizoQuote,
+        formatMultiplier,
+        loadPricingConfig,
+        getTizoQuote,
+        fetchTizoQuote
+    };
+}
@@ -0,0 +1,274 @@
+/**
+ * Voucher Keypad - promo and voucher codes on the bill summary
+ * openVoucherKeypad() shows an on-screen keypad; the code is checked against the cart with
+ * POST /api/vouchers/validate and, if it can be used, added to the cart as a 'voucher' line
+ * (a discount is a negative amount, extra TIZO is its tizo). The code is redeemed on the server
+ * when the sale is recorded. refreshVoucher() checks an applied code again, e.g. after the
+ * customer went back and changed the order.
+ * Requires session-manager.js and language.js to be loaded first.
+ */
+
+const VOUCHER_CODE_MAX_LENGTH = 32;
+const VOUCHER_KEYS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-'.split('');
+
+// Catalog key (voucher group) of the message for each reason the server gives
+const VOUCHER_REASON_MESSAGES = {
+    not_found: 'notFound',
+    wrong_venue: 'wrongVenue',
+    not_started: 'notStarted',
+    expired: 'expired',
+    used_up: 'usedUp',
+    order_too_small: 'orderTooSmall',
+    too_many_attempts: 'tooManyAttempts',
+    offline: 'offline'
+};
+
+// Reasons that say nothing about the code itself - an applied code is kept
+const VOUCHER_RETRY_REASONS = ['offline', 'too_many_attempts'];
+
+const voucherKeypadStyles = document.createElement('style');
+voucherKeypadStyles.id = 'voucher-keypad-styles';
+voucherKeypadStyles.textContent = `
+    .voucher-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.92);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 99990;
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        text-align: center;
+        padding: 0 60px;
+        box-sizing: border-box;
+    }
+
+    .voucher-title {
+        font-size: 48px;
+        color: #00ffff;
+        margin-bottom: 32px;
+    }
+
+    .voucher-code {
+        width: 100%;
+        max-width: 900px;
+        min-height: 110px;
+        line-height: 110px;
+        font-size: 64px;
+        letter-spacing: 6px;
+        background: rgba(255, 255, 255, 0.08);
+        border: 3px solid #00ffff;
+        border-radius: 24px;
+    }
+
+    .voucher-message {
+        min-height: 48px;
+        margin: 20px 0;
+        font-size: 28px;
+        color: #ffd700;
+    }
+
+    .voucher-keys {
+        display: grid;
+        grid-template-columns: repeat(8, 1fr);
+        gap: 12px;
+        width: 100%;
+        max-width: 900px;
+    }
+
+    .voucher-keys button,
+    .voucher-actions button {
+        font-family: 'Nulshock', sans-serif;
+        color: #fff;
+        border: 3px solid #00ffff;
+        background: transparent;
+    }
+
+    .voucher-keys button {
+        height: 90px;
+        font-size: 40px;
+        border-radius: 16px;
+    }
+
+    .voucher-keys button:active {
+        background: #00b3b3;
+    }
+
+    .voucher-actions {
+        margin-top: 48px;
+        display: flex;
+        gap: 32px;
+    }
+
+    .voucher-actions button {
+        padding: 20px 48px;
+        font-size: 32px;
+        border-radius: 48px;
+    }
+
+    .voucher-actions .voucher-apply {
+        background: #00b3b3;
+    }
+
+    .voucher-actions button:disabled {
+        opacity: 0.5;
+    }
+`;
+document.head.appendChild(voucherKeypadStyles);
+
+/**
+ * Totals of the cart without its voucher line - what a voucher is worked out on
+ * @returns {{amount: number, tizo: number}}
+ */
+function getVoucherOrderTotals() {
+    const totals = calculateCartTotals(getCart().filter(item => item.type !== 'voucher'));
+    return { amount: totals.amount, tizo: totals.tizo };
+}
+
+/**
+ * Message for a code that cannot be used
+ * @param {string} reason Reason from the server ('not_found', 'expired', ...)
+ * @returns {string} Translated message
+ */
+function getVoucherMessage(reason) {
+    const text = getTranslations('voucher');
+    return text[VOUCHER_REASON_MESSAGES[reason]] || text.error;
+}
+
+/**
+ * Check a code against the cart and add it as the cart's voucher line
+ * @param {string} code Code as typed
+ * @returns {Promise<{success: boolean, reason?: string, voucher?: Object, benefit?: Object}>}
+ *          reason is set when the code cannot be used ('error' if the server could not be asked)
+ */
+async function applyVoucherCode(code) {
+    let data;
+    try {
+        const response = await fetch('/api/vouchers/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: code, ...getVoucherOrderTotals() })
+        });
+        data = await response.json();
+    } catch (error) {
+        console.error('Voucher check failed:', error);
+        return { success: false, reason: 'offline' };
+    }
+
+    if (!data.success) {
+        return { success: false, reason: data.reason || 'error' };
+    }
+
+    setCartItem('voucher', {
+        amount: -data.benefit.discount,
+        tizo: data.benefit.bonusTizo,
+        details: data.voucher.code
+    });
+    return data;
+}
+
+/**
+ * Take the voucher off the order
+ */
+function removeVoucher() {
+    setCartItem('voucher', null);
+}
+
+/**
+ * Check the applied code again against the current cart
+ * A code that can no longer be used is taken off; while the server cannot be reached or refuses checks it is kept.
+ * @returns {Promise<Object|null>} Result of applyVoucherCode, or null if no code is applied
+ */
+async function refreshVoucher() {
+    const item = findCartItem('voucher');
+    if (!item) return null;
+
+    const result = await applyVoucherCode(item.details);
+    if (!result.success && !VOUCHER_RETRY_REASONS.includes(result.reason)) {
+        trackEvent('voucher_removed', { code: item.details, reason: result.reason });
+        removeVoucher();
+    }
+    return result;
+}
+
+/**
+ * Show the keypad and apply the code the customer types
+ * @returns {Promise<boolean>} True once a code has been applied, false if cancelled
+ */
+function openVoucherKeypad() {
+    const text = getTranslations('voucher');
+    const overlay = document.createElement('div');
+    overlay.className = 'voucher-overlay';
+    overlay.innerHTML = `
+        <div class="voucher-title">${text.title}</div>
+        <div class="voucher-code"></div>
+        <div class="voucher-message"></div>
+        <div class="voucher-keys">
+            ${VOUCHER_KEYS.map(key => `<button data-key="${key}">${key}</button>`).join('')}
+            <button data-key="backspace">&#9003;</button>
+            <button data-key="clear" style="grid-column: span 2; font-size: 28px;">${text.clear}</button>
+        </div>
+        <div class="voucher-actions">
+            <button class="voucher-cancel">${text.cancel}</button>
+            <button class="voucher-apply">${text.apply}</button>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const codeEl = overlay.querySelector('.voucher-code');
+    const messageEl = overlay.querySelector('.voucher-message');
+    const applyBtn = overlay.querySelector('.voucher-apply');
+    let code = '';
+
+    const render = () => {
+        codeEl.textContent = code;
+        applyBtn.disabled = code.length === 0;
+    };
+    render();
+
+    overlay.querySelector('.voucher-keys').onclick = event => {
+        const key = event.target.dataset.key;
+        if (!key) return;
+        if (key === 'backspace') {
+            code = code.slice(0, -1);
+        } else if (key === 'clear') {
+            code = '';
+        } else if (code.length < VOUCHER_CODE_MAX_LENGTH) {
+            code += key;
+        }
+        messageEl.textContent = '';
+        render();
+    };
+
+    return new Promise(resolve => {
+        overlay.querySelector('.voucher-cancel').onclick = () => {
+            overlay.remove();
+            resolve(false);
+        };
+        applyBtn.onclick = async () => {
+            applyBtn.disabled = true;
+            messageEl.textContent = text.checking;
+
+            const result = await applyVoucherCode(code);
+            if (!result.success) {
+                messageEl.textContent = getVoucherMessage(result.reason);
+                applyBtn.disabled = false;
+                return;
+            }
+
+            trackEvent('voucher_applied', { code: result.voucher.code, type: result.voucher.type });
+            overlay.remove();
+            resolve(true);
+        };
+    });
+}
+
+// Export for use in other scripts (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { applyVoucherCode, removeVoucher, refreshVoucher, openVoucherKeypad };
+}
@@ -0,0 +1,82 @@
+/**
+ * Payment Providers for Tizo Kiosk
+ * Every provider implements the same interface so the server routes never
+ * depend on a specific gateway (QRIS, EDC, ...):
+ *
+ *   initiate({ paymentId, orderNumber, amount })
+ *       → { providerRef, status, qrString, qrImageUrl, expiresAt }
+ *   getStatus(providerRef)          → { status }
+ *   cancel(providerRef)             → { status }
+ *   refund(providerRef, amount)     → { status, refundedAmount }   (amount omitted = whatever is left)
+ *
+ * status is always one of PAYMENT_STATUS. Select the provider with the
+ * PAYMENT_PROVIDER environment variable (default: simulator).
+ */
+
+const simulatorProvider = require('./simulator-provider');
+
+const PAYMENT_STATUS = {
+    PENDING: 'pending',
+    PAID: 'paid',
+    DECLINED: 'declined',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded'
+};
+
+// Statuses after which a payment can no longer change (except paid → partially_refunded → refunded)
+const FINAL_STATUSES = [
+    PAYMENT_STATUS.PAID,
+    PAYMENT_STATUS.DECLINED,
+    PAYMENT_STATUS.EXPIRED,
+    PAYMENT_STATUS.CANCELLED,
+    PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    PAYMENT_STATUS.REFUNDED
+];
+
+// Statuses of a payment that can still be refunded
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+const providers = {
+    simulator: simulatorProvider
+};
+
+/**
+ * Get a payment provider by name
+ * @param {string} name Provider name (defaults to PAYMENT_PROVIDER env or 'simulator')
+ * @returns {Object} Provider implementing initiate/getStatus/cancel/refund
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'simulator') {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * Whether the simulator can be driven through POST /api/payments/:id/simulate
+ * Only when it is the configured provider and NODE_ENV is not 'production'.
+ * @returns {boolean}
+ */
+function isSimulatorEnabled() {
+    return (process.env.PAYMENT_PROVIDER || 'simulator') === 'simulator' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Check whether a payment status can still change
+ * @param {string} status Payment status
+ * @returns {boolean}
+ */
+function isFinalStatus(status) {
+    return FINAL_STATUSES.includes(status);
+}
+
+module.exports = {
+    PAYMENT_STATUS,
+    REFUNDABLE_STATUSES,
+    getPaymentProvider,
+    isSimulatorEnabled,
+    isFinalStatus
+};
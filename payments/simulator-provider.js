@@ -0,0 +1,146 @@
+/**
+ * Simulator Payment Provider
+ * Local stand-in for a QRIS/EDC gateway. Payments stay pending until they are
+ * approved, declined or timed out through simulate(), or until they expire.
+ *
+ * Environment:
+ *   PAYMENT_TIMEOUT_MS           - how long a payment stays payable (default 120000)
+ *   PAYMENT_SIMULATOR_AUTO       - 'approve', 'decline' or 'timeout' to resolve payments automatically
+ *   PAYMENT_SIMULATOR_DELAY_MS   - delay before the automatic outcome (default 5000)
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('../router/response');
+
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.PAYMENT_TIMEOUT_MS) || 2 * 60 * 1000;
+const AUTO_OUTCOME = process.env.PAYMENT_SIMULATOR_AUTO || null;
+const AUTO_DELAY_MS = parseInt(process.env.PAYMENT_SIMULATOR_DELAY_MS) || 5000;
+
+const SIMULATOR_OUTCOMES = ['approve', 'decline', 'timeout'];
+
+// providerRef -> { amount, refundedAmount, status, createdAt, expiresAt }
+const payments = new Map();
+
+/**
+ * Look up a simulated payment, applying expiry
+ * @param {string} providerRef Simulator reference
+ * @returns {Object} Simulated payment
+ * @throws {HttpError} 404 if the simulator does not know it (its payments are lost on a restart)
+ */
+function findPayment(providerRef) {
+    const payment = payments.get(providerRef);
+    if (!payment) {
+        throw new HttpError(404, `Unknown simulator payment: ${providerRef}`);
+    }
+    if (payment.status === 'pending' && Date.now() > payment.expiresAt) {
+        payment.status = 'expired';
+    }
+    return payment;
+}
+
+async function initiate({ paymentId, orderNumber, amount }) {
+    const providerRef = `SIM-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const expiresAt = Date.now() + PAYMENT_TIMEOUT_MS;
+
+    payments.set(providerRef, {
+        amount: amount,
+        refundedAmount: 0,
+        status: 'pending',
+        createdAt: Date.now(),
+        expiresAt: expiresAt
+    });
+
+    if (AUTO_OUTCOME) {
+        setTimeout(() => {
+            try {
+                simulate(providerRef, AUTO_OUTCOME);
+            } catch (err) {
+                console.error('Simulator auto outcome failed:', err.message);
+            }
+        }, AUTO_DELAY_MS);
+    }
+
+    console.log(`💳 Simulator payment ${providerRef} created for order ${orderNumber} (payment #${paymentId})`);
+
+    return {
+        providerRef: providerRef,
+        status: 'pending',
+        qrString: `SIMULATOR|${providerRef}|${orderNumber}|${amount}`,
+        qrImageUrl: null,
+        expiresAt: new Date(expiresAt)
+    };
+}
+
+async function getStatus(providerRef) {
+    return { status: findPayment(providerRef).status };
+}
+
+async function cancel(providerRef) {
+    const payment = findPayment(providerRef);
+    if (payment.status === 'pending') {
+        payment.status = 'cancelled';
+    }
+    return { status: payment.status };
+}
+
+/**
+ * Refund a paid payment, in full or in parts
+ * @param {string} providerRef Simulator reference
+ * @param {number} [amount] Amount to refund (default: all that has not been refunded yet)
+ * @returns {{status: string, refundedAmount: number}} 'partially_refunded' until the whole amount is refunded
+ * @throws {HttpError} 409 if the payment is not paid, 400 if the amount is more than is left to refund
+ */
+async function refund(providerRef, amount) {
+    const payment = findPayment(providerRef);
+    if (!['paid', 'partially_refunded'].includes(payment.status)) {
+        throw new HttpError(409, `Cannot refund a ${payment.status} payment`);
+    }
+    const remaining = payment.amount - payment.refundedAmount;
+    const refunded = amount === undefined ? remaining : amount;
+    if (refunded > remaining + 0.005) {
+        throw new HttpError(400, `Refund amount exceeds the ${remaining} left to refund`);
+    }
+
+    payment.refundedAmount += refunded;
+    payment.status = payment.refundedAmount >= payment.amount - 0.005 ? 'refunded' : 'partially_refunded';
+    console.log(`💳 Simulator payment ${providerRef} → ${payment.status} (${payment.refundedAmount} of ${payment.amount})`);
+    return { status: payment.status, refundedAmount: payment.refundedAmount };
+}
+
+/**
+ * Resolve a pending simulated payment
+ * @param {string} providerRef Simulator reference
+ * @param {string} outcome 'approve', 'decline' or 'timeout'
+ * @returns {{status: string}} New status
+ */
+function simulate(providerRef, outcome) {
+    if (!SIMULATOR_OUTCOMES.includes(outcome)) {
+        throw new Error(`outcome must be one of: ${SIMULATOR_OUTCOMES.join(', ')}`);
+    }
+
+    const payment = findPayment(providerRef);
+    if (payment.status !== 'pending') {
+        return { status: payment.status };
+    }
+
+    if (outcome === 'approve') {
+        payment.status = 'paid';
+    } else if (outcome === 'decline') {
+        payment.status = 'declined';
+    } else {
+        payment.expiresAt = Date.now();
+        payment.status = 'expired';
+    }
+
+    console.log(`💳 Simulator payment ${providerRef} → ${payment.status}`);
+    return { status: payment.status };
+}
+
+module.exports = {
+    name: 'simulator',
+    initiate,
+    getStatus,
+    cancel,
+    refund,
+    simulate
+};
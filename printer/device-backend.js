@@ -0,0 +1,46 @@
+/**
+ * Device Printer Backend
+ * Writes receipts straight to a local printer device: a USB printer port
+ * (/dev/usb/lp0), a serial port or a shared Windows printer (\\localhost\TM-T82).
+ * These connections are write-only, so the state reported is only online
+ * (the device can be opened) or offline - paper sensors need the network backend.
+ *
+ * Environment:
+ *   PRINTER_DEVICE   - device path (required)
+ */
+
+const fs = require('fs');
+
+const PRINTER_DEVICE = process.env.PRINTER_DEVICE || null;
+
+async function getStatus() {
+    if (!PRINTER_DEVICE) {
+        return { online: false, detail: 'PRINTER_DEVICE is not set' };
+    }
+
+    try {
+        fs.accessSync(PRINTER_DEVICE, fs.constants.W_OK);
+        return { online: true, detail: null };
+    } catch (err) {
+        return { online: false, detail: `Cannot open ${PRINTER_DEVICE}: ${err.message}` };
+    }
+}
+
+/**
+ * Send a receipt to the device
+ * @param {Buffer} data ESC/POS byte stream
+ * @returns {Promise<Object>}
+ */
+async function write(data) {
+    if (!PRINTER_DEVICE) {
+        throw new Error('PRINTER_DEVICE is not set');
+    }
+    await fs.promises.appendFile(PRINTER_DEVICE, data);
+    return {};
+}
+
+module.exports = {
+    name: 'device',
+    getStatus,
+    write
+};
@@ -0,0 +1,260 @@
+/**
+ * ESC/POS receipt renderer
+ * Turns a structured receipt into the byte stream understood by ESC/POS
+ * thermal printers (Epson TM series and compatibles):
+ *
+ *   {
+ *       logo: 'TIMEZONE', website: 'www.timezonegames.com',
+ *       venue, date, message, orderNumber,
+ *       sections: [{ title, rows: [{ label, value }], note }],
+ *       totals: [{ label, value }],
+ *       highlight: { label, value },
+ *       footer
+ *   }
+ *
+ * Every field is optional. Text is printed in code page WPC1252; characters
+ * outside it are printed as '?', so the kiosk sends receipts in languages written
+ * in other scripts (zh, ko) in English (see page-1/receipt-printer.js).
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const EOT = 0x04;
+const LF = 0x0a;
+
+const COMMANDS = {
+    INIT: [ESC, 0x40],
+    CODE_PAGE_WPC1252: [ESC, 0x74, 16],
+    ALIGN_LEFT: [ESC, 0x61, 0],
+    ALIGN_CENTER: [ESC, 0x61, 1],
+    BOLD_ON: [ESC, 0x45, 1],
+    BOLD_OFF: [ESC, 0x45, 0],
+    SIZE_NORMAL: [GS, 0x21, 0x00],
+    SIZE_DOUBLE: [GS, 0x21, 0x11],
+    FEED_AND_CUT: [GS, 0x56, 66, 4]
+};
+
+// Real-time status requests (DLE EOT n) - each is answered with one status byte
+const STATUS_REQUESTS = {
+    PRINTER: [DLE, EOT, 1],
+    OFFLINE_CAUSE: [DLE, EOT, 2],
+    PAPER: [DLE, EOT, 4]
+};
+
+// Characters per line in font A: 48 on 80 mm paper, 32 on 58 mm paper
+const DEFAULT_COLUMNS = 48;
+
+/**
+ * Encode text for the printer, dropping control characters so receipt
+ * content can never inject printer commands
+ * @param {*} text Text to encode
+ * @returns {Buffer} WPC1252 bytes
+ */
+function encodeText(text) {
+    const clean = String(text === undefined || text === null ? '' : text)
+        .replace(/[\x00-\x1f\x7f]/g, ' ')
+        .replace(/[^\x20-\xff]/g, '?');
+    return Buffer.from(clean, 'latin1');
+}
+
+/**
+ * Break text into lines of at most `columns` characters, on word boundaries where possible
+ * @param {string} text Text to wrap
+ * @param {number} columns Line width
+ * @returns {string[]} Lines
+ */
+function wrapText(text, columns) {
+    const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+        while (word.length > columns) {
+            if (line) {
+                lines.push(line);
+                line = '';
+            }
+            lines.push(word.slice(0, columns));
+            word = word.slice(columns);
+        }
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= columns) {
+            line += ' ' + word;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    });
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Lay out a label on the left and a value on the right of one line
+ * A pair that does not fit is split over two lines (value right-aligned on the second).
+ * @param {string} label Left text
+ * @param {string} value Right text
+ * @param {number} columns Line width
+ * @returns {string[]} Lines
+ */
+function formatRow(label, value, columns) {
+    label = String(label || '').trim();
+    value = String(value || '').trim();
+    if (label.length + value.length + 1 <= columns) {
+        return [label + ' '.repeat(columns - label.length - value.length) + value];
+    }
+    return [
+        ...wrapText(label, columns),
+        ...wrapText(value, columns).map(line => line.padStart(columns))
+    ];
+}
+
+/**
+ * CODE128 barcode command (GS k, function B) for an order number
+ * @param {string} data Barcode content (printable ASCII)
+ * @param {number} columns Line width - narrow paper gets narrower bars
+ * @returns {number[]} Command bytes
+ */
+function barcodeCommand(data, columns) {
+    const content = Buffer.from('{B' + String(data).replace(/[^\x20-\x7e]/g, ''), 'ascii');
+    return [
+        GS, 0x68, 80,                      // height in dots
+        GS, 0x77, columns >= 48 ? 2 : 1,   // module width
+        GS, 0x48, 0,                       // no human-readable text (the number is printed above)
+        GS, 0x6b, 73, content.length,
+        ...content
+    ];
+}
+
+/**
+ * Render a receipt to ESC/POS bytes
+ * @param {Object} receipt Structured receipt (see the top of this file)
+ * @param {Object} [options]
+ * @param {number} [options.columns] Characters per line (default 48)
+ * @returns {Buffer} Byte stream ready to send to the printer
+ */
+function renderReceipt(receipt, options = {}) {
+    const columns = parseInt(options.columns) || DEFAULT_COLUMNS;
+    const chunks = [];
+    const command = bytes => chunks.push(Buffer.from(bytes));
+    const line = (text = '') => {
+        chunks.push(encodeText(text));
+        command([LF]);
+    };
+    const wrapped = (text, width = columns) => wrapText(text, width).forEach(part => line(part));
+    const divider = () => line('-'.repeat(columns));
+
+    command(COMMANDS.INIT);
+    command(COMMANDS.CODE_PAGE_WPC1252);
+
+    // Header
+    command(COMMANDS.ALIGN_CENTER);
+    if (receipt.logo) {
+        command(COMMANDS.SIZE_DOUBLE);
+        command(COMMANDS.BOLD_ON);
+        wrapped(receipt.logo, Math.floor(columns / 2));
+        command(COMMANDS.BOLD_OFF);
+        command(COMMANDS.SIZE_NORMAL);
+    }
+    if (receipt.website) {
+        wrapped(receipt.website);
+    }
+    line();
+    if (receipt.venue) {
+        command(COMMANDS.BOLD_ON);
+        wrapped(receipt.venue);
+        command(COMMANDS.BOLD_OFF);
+    }
+    if (receipt.date) {
+        wrapped(receipt.date);
+    }
+    divider();
+
+    if (receipt.message) {
+        wrapped(receipt.message);
+        line();
+    }
+    if (receipt.orderNumber) {
+        command(COMMANDS.SIZE_DOUBLE);
+        command(COMMANDS.BOLD_ON);
+        wrapped(receipt.orderNumber, Math.floor(columns / 2));
+        command(COMMANDS.BOLD_OFF);
+        command(COMMANDS.SIZE_NORMAL);
+        command(barcodeCommand(receipt.orderNumber, columns));
+        line();
+    }
+    divider();
+
+    // Line items
+    command(COMMANDS.ALIGN_LEFT);
+    (receipt.sections || []).forEach(section => {
+        if (section.title) {
+            command(COMMANDS.BOLD_ON);
+            wrapped(section.title);
+            command(COMMANDS.BOLD_OFF);
+        }
+        (section.rows || []).forEach(row => formatRow(row.label, row.value, columns).forEach(text => line(text)));
+        if (section.note) {
+            wrapped(section.note);
+        }
+        line();
+    });
+
+    if (receipt.totals && receipt.totals.length > 0) {
+        divider();
+        command(COMMANDS.BOLD_ON);
+        receipt.totals.forEach(row => formatRow(row.label, row.value, columns).forEach(text => line(text)));
+        command(COMMANDS.BOLD_OFF);
+    }
+
+    if (receipt.highlight) {
+        command(COMMANDS.ALIGN_CENTER);
+        line();
+        wrapped(receipt.highlight.label);
+        command(COMMANDS.SIZE_DOUBLE);
+        command(COMMANDS.BOLD_ON);
+        wrapped(receipt.highlight.value, Math.floor(columns / 2));
+        command(COMMANDS.BOLD_OFF);
+        command(COMMANDS.SIZE_NORMAL);
+    }
+
+    if (receipt.footer) {
+        command(COMMANDS.ALIGN_CENTER);
+        line();
+        wrapped(receipt.footer);
+    }
+
+    command(COMMANDS.FEED_AND_CUT);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Interpret the answers to the DLE EOT status requests
+ * @param {Object} bytes Status bytes (missing ones are ignored)
+ * @param {number} [bytes.printer] Answer to DLE EOT 1
+ * @param {number} [bytes.offlineCause] Answer to DLE EOT 2
+ * @param {number} [bytes.paper] Answer to DLE EOT 4
+ * @returns {{online: boolean, coverOpen: boolean, paperOut: boolean, paperLow: boolean}}
+ */
+function parseStatus(bytes) {
+    const has = (value, mask) => typeof value === 'number' && (value & mask) !== 0;
+    return {
+        online: !has(bytes.printer, 0x08),
+        coverOpen: has(bytes.offlineCause, 0x04),
+        paperOut: has(bytes.paper, 0x60) || has(bytes.offlineCause, 0x20),
+        paperLow: has(bytes.paper, 0x0c)
+    };
+}
+
+module.exports = {
+    STATUS_REQUESTS,
+    DEFAULT_COLUMNS,
+    renderReceipt,
+    parseStatus,
+    wrapText,
+    formatRow
+};
@@ -0,0 +1,69 @@
+/**
+ * File Printer Backend
+ * Writes each receipt's ESC/POS byte stream to a .bin file instead of a
+ * printer, so printing can be tested (and the output inspected) without hardware.
+ *
+ * Environment:
+ *   PRINTER_FILE_DIR      - where receipts are written (default OFFLINE_DATA_DIR/receipts, as the
+ *                           app directory is read-only in the packaged kiosk)
+ *   PRINTER_FILE_STATUS   - simulated printer state: 'ready' (default), 'paper_low', 'paper_out' or 'offline'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../offline/snapshot');
+
+const FILE_DIR = process.env.PRINTER_FILE_DIR || path.join(DATA_DIR, 'receipts');
+
+const SIMULATED_STATES = ['ready', 'paper_low', 'paper_out', 'offline'];
+
+let simulatedState = process.env.PRINTER_FILE_STATUS || 'ready';
+
+async function getStatus() {
+    try {
+        fs.mkdirSync(FILE_DIR, { recursive: true });
+        fs.accessSync(FILE_DIR, fs.constants.W_OK);
+    } catch (err) {
+        return { online: false, detail: `Cannot write to ${FILE_DIR}: ${err.message}` };
+    }
+
+    return {
+        online: simulatedState !== 'offline',
+        paperOut: simulatedState === 'paper_out',
+        paperLow: simulatedState === 'paper_low',
+        detail: simulatedState === 'ready' ? null : `Simulated ${simulatedState}`
+    };
+}
+
+/**
+ * Write a receipt to FILE_DIR/receipt-<order number>-<timestamp>.bin
+ * @param {Buffer} data ESC/POS byte stream
+ * @param {Object} receipt Receipt being printed
+ * @returns {Promise<{file: string}>} Path of the written file
+ */
+async function write(data, receipt) {
+    const orderNumber = String(receipt.orderNumber || 'receipt').replace(/[^\w-]/g, '');
+    const file = path.join(FILE_DIR, `receipt-${orderNumber}-${Date.now()}.bin`);
+    fs.mkdirSync(FILE_DIR, { recursive: true });
+    fs.writeFileSync(file, data);
+    return { file: file };
+}
+
+/**
+ * Change the simulated printer state
+ * @param {string} state 'ready', 'paper_low', 'paper_out' or 'offline'
+ */
+function simulate(state) {
+    if (!SIMULATED_STATES.includes(state)) {
+        throw new Error(`state must be one of: ${SIMULATED_STATES.join(', ')}`);
+    }
+    simulatedState = state;
+    console.log(`🖨️ File printer → ${state}`);
+}
+
+module.exports = {
+    name: 'file',
+    getStatus,
+    write,
+    simulate
+};
@@ -0,0 +1,112 @@
+/**
+ * Receipt Printer for Tizo Kiosk
+ * Used by the Electron shell (electron-main.js) to print receipts on a
+ * thermal printer. A receipt object is rendered to ESC/POS (escpos.js) and
+ * handed to a backend, which all implement the same interface:
+ *
+ *   getStatus()            → { online, coverOpen, paperOut, paperLow, detail }
+ *   write(data, receipt)   → { file }   (file backend only)
+ *
+ * Select the backend with the PRINTER_BACKEND environment variable and the paper
+ * width with PRINTER_COLUMNS (48 for 80 mm, 32 for 58 mm). There is no default
+ * backend, so a kiosk never prints to files by mistake: while PRINTER_BACKEND is
+ * not set the printer is reported offline.
+ */
+
+const { renderReceipt, DEFAULT_COLUMNS } = require('./escpos');
+const fileBackend = require('./file-backend');
+const networkBackend = require('./network-backend');
+const deviceBackend = require('./device-backend');
+
+const PRINTER_COLUMNS = parseInt(process.env.PRINTER_COLUMNS) || DEFAULT_COLUMNS;
+
+const PRINTER_STATUS = {
+    READY: 'ready',
+    PAPER_LOW: 'paper_low',
+    PAPER_OUT: 'paper_out',
+    OFFLINE: 'offline'
+};
+
+const backends = {
+    file: fileBackend,
+    network: networkBackend,
+    device: deviceBackend
+};
+
+/**
+ * Get a printer backend by name
+ * @param {string} [name] Backend name (defaults to the PRINTER_BACKEND env)
+ * @returns {Object} Backend implementing getStatus/write
+ * @throws {Error} If no backend is configured or the name is unknown
+ */
+function getPrinterBackend(name = process.env.PRINTER_BACKEND) {
+    if (!name) {
+        throw new Error(`No printer configured - set PRINTER_BACKEND to ${Object.keys(backends).join(', ')}`);
+    }
+    const backend = backends[name];
+    if (!backend) {
+        throw new Error(`Unknown printer backend: ${name}`);
+    }
+    return backend;
+}
+
+/**
+ * Read the printer state
+ * @returns {Promise<{status: string, detail: string|null, backend: string}>} status is one of PRINTER_STATUS
+ */
+async function getPrinterStatus() {
+    let backend;
+    try {
+        backend = getPrinterBackend();
+    } catch (err) {
+        return { status: PRINTER_STATUS.OFFLINE, detail: err.message, backend: null };
+    }
+    const state = await backend.getStatus();
+
+    let status = PRINTER_STATUS.READY;
+    if (!state.online || state.coverOpen) {
+        status = PRINTER_STATUS.OFFLINE;
+    } else if (state.paperOut) {
+        status = PRINTER_STATUS.PAPER_OUT;
+    } else if (state.paperLow) {
+        status = PRINTER_STATUS.PAPER_LOW;
+    }
+
+    return {
+        status: status,
+        detail: state.detail || (state.coverOpen ? 'Cover open' : null),
+        backend: backend.name
+    };
+}
+
+/**
+ * Print a receipt
+ * Nothing is sent while the printer is offline or out of paper; the result
+ * then carries that status so the kiosk can tell the customer.
+ * @param {Object} receipt Structured receipt (see escpos.js)
+ * @returns {Promise<Object>} { success, status, detail, bytes, file } or { success: false, status, error }
+ */
+async function printReceipt(receipt) {
+    const state = await getPrinterStatus();
+    if (state.status === PRINTER_STATUS.OFFLINE || state.status === PRINTER_STATUS.PAPER_OUT) {
+        console.warn(`⚠️ Receipt ${receipt.orderNumber} not printed: printer ${state.status}${state.detail ? ` (${state.detail})` : ''}`);
+        return { success: false, status: state.status, error: state.detail || `Printer ${state.status}` };
+    }
+
+    const data = renderReceipt(receipt, { columns: PRINTER_COLUMNS });
+    try {
+        const written = await getPrinterBackend().write(data, receipt);
+        console.log(`🧾 Receipt ${receipt.orderNumber} printed (${data.length} bytes, ${state.backend})`);
+        return { success: true, status: state.status, detail: state.detail, bytes: data.length, ...written };
+    } catch (err) {
+        console.error(`❌ Receipt ${receipt.orderNumber} failed to print:`, err.message);
+        return { success: false, status: PRINTER_STATUS.OFFLINE, error: err.message };
+    }
+}
+
+module.exports = {
+    PRINTER_STATUS,
+    getPrinterBackend,
+    getPrinterStatus,
+    printReceipt
+};
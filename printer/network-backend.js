@@ -0,0 +1,92 @@
+/**
+ * Network Printer Backend
+ * Sends receipts to an Ethernet thermal printer on its raw TCP port and reads
+ * its state with the DLE EOT real-time status requests.
+ *
+ * Environment:
+ *   PRINTER_HOST         - printer IP address or host name (required)
+ *   PRINTER_PORT         - raw printing port (default 9100)
+ *   PRINTER_TIMEOUT_MS   - connect/response timeout (default 3000)
+ */
+
+const net = require('net');
+const { STATUS_REQUESTS, parseStatus } = require('./escpos');
+
+const PRINTER_HOST = process.env.PRINTER_HOST || null;
+const PRINTER_PORT = parseInt(process.env.PRINTER_PORT) || 9100;
+const PRINTER_TIMEOUT_MS = parseInt(process.env.PRINTER_TIMEOUT_MS) || 3000;
+
+/**
+ * Open a connection to the printer
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect() {
+    if (!PRINTER_HOST) {
+        return Promise.reject(new Error('PRINTER_HOST is not set'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: PRINTER_HOST, port: PRINTER_PORT });
+        socket.setTimeout(PRINTER_TIMEOUT_MS);
+        socket.once('connect', () => resolve(socket));
+        socket.once('timeout', () => {
+            socket.destroy();
+            reject(new Error(`No answer from printer at ${PRINTER_HOST}:${PRINTER_PORT}`));
+        });
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Send the status requests and collect one answer byte per request
+ * @param {net.Socket} socket Connected socket
+ * @returns {Promise<number[]>} Answer bytes in request order
+ */
+function requestStatus(socket) {
+    const requests = [STATUS_REQUESTS.PRINTER, STATUS_REQUESTS.OFFLINE_CAUSE, STATUS_REQUESTS.PAPER];
+
+    return new Promise((resolve, reject) => {
+        let answers = [];
+        socket.on('data', chunk => {
+            answers = answers.concat([...chunk]);
+            if (answers.length >= requests.length) {
+                resolve(answers.slice(0, requests.length));
+            }
+        });
+        socket.once('timeout', () => reject(new Error('Printer did not answer the status request')));
+        socket.once('error', reject);
+        socket.write(Buffer.from(requests.flat()));
+    });
+}
+
+async function getStatus() {
+    let socket;
+    try {
+        socket = await connect();
+        const [printer, offlineCause, paper] = await requestStatus(socket);
+        return { ...parseStatus({ printer, offlineCause, paper }), detail: null };
+    } catch (err) {
+        return { online: false, detail: err.message };
+    } finally {
+        if (socket) socket.destroy();
+    }
+}
+
+/**
+ * Send a receipt to the printer
+ * @param {Buffer} data ESC/POS byte stream
+ * @returns {Promise<Object>} Resolves once the data has been handed to the printer
+ */
+async function write(data) {
+    const socket = await connect();
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.end(data, () => resolve({}));
+    });
+}
+
+module.exports = {
+    name: 'network',
+    getStatus,
+    write
+};
@@ -0,0 +1,183 @@
+/**
+ * Router for the Tizo kiosk server
+ * Routes match on exact method + path; ":name" segments become req.params.
+ * Every request runs through the shared middleware (see middleware.js), then the
+ * route's own middleware (e.g. requireAdmin), then its query/params/body schema
+ * (see validation.js), then the handler. Handlers may be async - anything they
+ * throw is turned into a JSON error response.
+ *
+ *   router.get('/api/quote', { query: { rb: { type: 'integer', required: true, min: 1 } } },
+ *       async (req, res) => sendJson(res, 200, { success: true, quote: ... }));
+ */
+
+const { HttpError, sendJson } = require('./response');
+const { validateRequest } = require('./validation');
+
+/**
+ * Compile a path pattern like /api/payments/:id/cancel into a matcher
+ * @param {string} pattern Path pattern
+ * @returns {{regex: RegExp, keys: string[]}} Matcher
+ */
+function compilePath(pattern) {
+    const keys = [];
+    const source = pattern.split('/').map(segment => {
+        if (segment.startsWith(':')) {
+            keys.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return { regex: new RegExp(`^${source}$`), keys: keys };
+}
+
+/**
+ * Create a router
+ * @returns {Object} Router with use/get/post/put/patch/delete/fallback and handle(req, res)
+ */
+function createRouter() {
+    const routes = [];
+    const middleware = [];
+    let fallbackHandler = null;
+
+    /**
+     * Register a route
+     * @param {string} method HTTP method
+     * @param {string} pattern Path pattern
+     * @param {Object|Function} options { query, params, body, middleware } or the handler
+     * @param {Function} [handler] async (req, res) => {}
+     */
+    function add(method, pattern, options, handler) {
+        if (typeof options === 'function') {
+            handler = options;
+            options = {};
+        }
+        routes.push({ method: method, pattern: pattern, options: options, handler: handler, ...compilePath(pattern) });
+    }
+
+    /**
+     * Decode a :name path segment
+     * @throws {HttpError} 400 if the segment is not valid percent-encoding (e.g. %E0%A4%A)
+     */
+    function decodeParam(key, value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (err) {
+            throw new HttpError(400, `Invalid ${key} in path`);
+        }
+    }
+
+    /**
+     * Find the route for a path
+     * @returns {{route: Object|null, params: Object, pathMatched: boolean}} Match
+     */
+    function match(method, pathname) {
+        let pathMatched = false;
+        for (const route of routes) {
+            const found = route.regex.exec(pathname);
+            if (!found) continue;
+            pathMatched = true;
+            if (route.method !== method) continue;
+
+            const params = {};
+            route.keys.forEach((key, i) => params[key] = decodeParam(key, found[i + 1]));
+            return { route: route, params: params, pathMatched: true };
+        }
+        return { route: null, params: {}, pathMatched: pathMatched };
+    }
+
+    /**
+     * Run middleware in order until one ends the response
+     * @returns {Promise<boolean>} True if the response was ended
+     */
+    async function runMiddleware(list, req, res) {
+        for (const fn of list) {
+            await fn(req, res);
+            if (res.writableEnded) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Parse a request target (origin form '/api/...' or absolute form 'http://host/...')
+     * @param {string} target req.url
+     * @returns {URL}
+     * @throws {HttpError} 400 if it is not a valid URL (e.g. 'http://[')
+     */
+    function parseRequestUrl(target) {
+        try {
+            return new URL(target, 'http://localhost');
+        } catch (err) {
+            throw new HttpError(400, 'Invalid request URL');
+        }
+    }
+
+    /**
+     * Handle a request (use as the http.createServer callback)
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    async function handle(req, res) {
+        req.path = req.url;
+        req.query = {};
+        req.params = {};
+
+        try {
+            const url = parseRequestUrl(req.url);
+            req.path = url.pathname;
+            req.query = Object.fromEntries(url.searchParams);
+
+            if (await runMiddleware(middleware, req, res)) return;
+
+            const { route, params, pathMatched } = match(req.method, req.path);
+            if (!route) {
+                if (pathMatched) throw new HttpError(405, 'Method not allowed');
+                if (req.path.startsWith('/api/') || !fallbackHandler) throw new HttpError(404, 'Not found');
+                await fallbackHandler(req, res);
+                return;
+            }
+
+            req.params = params;
+            req.route = route.pattern;
+            if (await runMiddleware(route.options.middleware || [], req, res)) return;
+
+            validateRequest(req, route.options);
+            await route.handler(req, res);
+        } catch (err) {
+            handleError(err, req, res);
+        }
+    }
+
+    /**
+     * Turn an error into a JSON response
+     * HttpErrors keep their status; anything else is logged and answered with 500.
+     */
+    function handleError(err, req, res) {
+        const status = err instanceof HttpError ? err.status : 500;
+        if (status >= 500) {
+            console.error(`❌ ${req.method} ${req.path} failed:`, err);
+        }
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        sendJson(res, status, { success: false, error: err.message, ...(err.details || {}) });
+    }
+
+    return {
+        use: (...fns) => middleware.push(...fns),
+        get: (pattern, options, handler) => add('GET', pattern, options, handler),
+        post: (pattern, options, handler) => add('POST', pattern, options, handler),
+        put: (pattern, options, handler) => add('PUT', pattern, options, handler),
+        patch: (pattern, options, handler) => add('PATCH', pattern, options, handler),
+        delete: (pattern, options, handler) => add('DELETE', pattern, options, handler),
+        fallback: handler => fallbackHandler = handler,
+        routes: () => routes.map(route => `${route.method} ${route.pattern}`),
+        handle: handle
+    };
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    createRouter
+};
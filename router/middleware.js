@@ -0,0 +1,92 @@
+/**
+ * Shared middleware for every request
+ * Each middleware is (req, res) => {} (optionally async); ending the response stops the chain.
+ */
+
+const { HttpError } = require('./response');
+
+// Largest JSON body accepted (offer images are sent as base64 data URLs)
+const MAX_BODY_BYTES = parseInt(process.env.MAX_BODY_BYTES) || 20 * 1024 * 1024;
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Log API requests with their status and duration once the response is sent
+ */
+function timing(req, res) {
+    if (!req.path.startsWith('/api/')) return;
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const ms = Number(process.hrtime.bigint() - started) / 1e6;
+        console.log(`${req.method} ${req.path} → ${res.statusCode} (${ms.toFixed(1)} ms)`);
+    });
+}
+
+/**
+ * Allow the kiosk pages and admin panel to call the API from any origin
+ */
+function cors(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Disable caching for API requests
+ */
+function noCache(req, res) {
+    if (!req.path.startsWith('/api/')) return;
+
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+}
+
+/**
+ * Answer CORS preflight requests
+ */
+function preflight(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200);
+        res.end();
+    }
+}
+
+/**
+ * Parse JSON request bodies into req.body (an empty body becomes {})
+ * @throws {HttpError} 400 for invalid JSON, 413 for oversized bodies
+ */
+function jsonBody(req, res) {
+    if (!BODY_METHODS.includes(req.method)) return;
+
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) body += chunk;
+        });
+        req.on('error', reject);
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            try {
+                req.body = body.trim() ? JSON.parse(body) : {};
+                resolve();
+            } catch (err) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+    });
+}
+
+module.exports = {
+    timing,
+    cors,
+    noCache,
+    preflight,
+    jsonBody
+};
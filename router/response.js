@@ -0,0 +1,37 @@
+/**
+ * Response helpers shared by the router, middleware and route modules
+ */
+
+/**
+ * Error with an HTTP status, thrown by handlers and middleware
+ * The router's error handler answers with { success: false, error: message, ...details }.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status HTTP status code
+     * @param {string} message Error message sent to the client
+     * @param {Object} [details] Extra fields for the JSON response (e.g. { errors: [...] })
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res Response
+ * @param {number} status HTTP status code
+ * @param {Object} body Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = {
+    HttpError,
+    sendJson
+};
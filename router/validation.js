@@ -0,0 +1,115 @@
+/**
+ * Request validation for routes
+ * A route can declare schemas for req.query, req.params and req.body:
+ *
+ *   { query: { from: { type: 'date' }, kiosk: { type: 'string' } },
+ *     params: { id: { type: 'integer', min: 1 } },
+ *     body: { rating: { type: 'integer', required: true, oneOf: [1, 2, 3, 4] } } }
+ *
+ * Supported types: string, integer, number, boolean, date (YYYY-MM-DD).
+ * Rules: required, min, max, oneOf, message (replaces the generated error).
+ * Query and params values arrive as strings and are coerced to their declared type;
+ * body values must already have the right JSON type (integers may be numeric strings).
+ */
+
+const { HttpError } = require('./response');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Coerce and check one value
+ * @param {*} value Raw value
+ * @param {Object} rule Field rule
+ * @param {boolean} fromString True for query/params values
+ * @returns {{value: *, error: string|null}} Coerced value or error
+ */
+function checkValue(value, rule, fromString) {
+    let coerced = value;
+
+    switch (rule.type) {
+        case 'integer':
+            coerced = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+            if (!Number.isInteger(coerced)) return { error: 'must be a whole number' };
+            break;
+        case 'number':
+            coerced = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof coerced !== 'number' || !Number.isFinite(coerced)) return { error: 'must be a number' };
+            break;
+        case 'boolean':
+            if (fromString) coerced = value === 'true' ? true : value === 'false' ? false : value;
+            if (typeof coerced !== 'boolean') return { error: 'must be true or false' };
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+                return { error: 'must be a date (YYYY-MM-DD)' };
+            }
+            break;
+        case 'string':
+        default:
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            break;
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(coerced)) return { error: `must be one of ${rule.oneOf.join(', ')}` };
+    if (rule.min !== undefined && coerced < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && coerced > rule.max) return { error: `must be at most ${rule.max}` };
+
+    return { value: coerced, error: null };
+}
+
+/**
+ * Validate one part of the request against its schema, coercing values in place
+ * @param {Object} source req.query, req.params or req.body
+ * @param {Object} schema Field rules
+ * @param {boolean} fromString True for query/params values
+ * @returns {string[]} Error messages
+ */
+function validateFields(source, schema, fromString) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = source[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(rule.message || `${field} is required`);
+            continue;
+        }
+
+        const result = checkValue(value, rule, fromString);
+        if (result.error) {
+            errors.push(rule.message || `${field} ${result.error}`);
+        } else {
+            source[field] = result.value;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a request against the route's schemas
+ * @param {http.IncomingMessage} req Request (query/params/body already parsed)
+ * @param {Object} options Route options { query, params, body }
+ * @throws {HttpError} 400 with { errors } if anything is invalid
+ */
+function validateRequest(req, options) {
+    const errors = [];
+    if (options.params) errors.push(...validateFields(req.params, options.params, true));
+    if (options.query) errors.push(...validateFields(req.query, options.query, true));
+    if (options.body) {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            errors.push('Request body must be a JSON object');
+        } else {
+            errors.push(...validateFields(req.body, options.body, false));
+        }
+    }
+
+    if (errors.length > 0) {
+        // Fields sharing a custom message (e.g. from / to) report it once
+        const unique = [...new Set(errors)];
+        throw new HttpError(400, unique.join('; '), { errors: unique });
+    }
+}
+
+module.exports = {
+    validateRequest
+};
@@ -0,0 +1,125 @@
+/**
+ * Admin routes - login and offer management for the admin panel (admin/index.html)
+ * Everything except login requires the bearer token returned by POST /api/admin/login.
+ */
+
+const pool = require('../db');
+const { sendJson, HttpError } = require('../router');
+const { checkAdminPassword, beginLoginAttempt, endLoginAttempt, createToken } = require('../auth');
+const { requireAdmin } = require('../auth/middleware');
+const { getClientAddress } = require('../auth/attempts');
+const { CARD_TYPES, CATEGORIES, IMAGE_COLUMNS, OFFER_COLUMNS, validateOffer } = require('../offers/validation');
+
+const OFFER_ID_PARAMS = { id: { type: 'integer', min: 1 } };
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Admin login - exchange the admin password for a bearer token
+    // Failed attempts lock the admin account out for the client that made them, like staff logins
+    // (shared with 'admin' on POST /api/staff/login)
+    router.post('/api/admin/login', async (req, res) => {
+        const client = getClientAddress(req);
+        const accountKey = `admin@${client}`;
+        if (!beginLoginAttempt(accountKey, client)) {
+            throw new HttpError(429, 'Too many failed attempts - try again in a few minutes');
+        }
+
+        const succeeded = checkAdminPassword(req.body.password);
+        endLoginAttempt(accountKey, client, succeeded);
+        if (!succeeded) {
+            console.warn('❌ Failed admin login attempt');
+            throw new HttpError(401, 'Invalid password');
+        }
+
+        const { token, expiresAt } = createToken('admin');
+        sendJson(res, 200, { success: true, token: token, expiresAt: expiresAt });
+    });
+
+    // API: Admin - list every venue referenced by offers (for the venue multi-select)
+    router.get('/api/admin/venues', { middleware: [requireAdmin] }, async (req, res) => {
+        const result = await pool.query('SELECT DISTINCT unnest(venue) AS venue FROM offers ORDER BY venue');
+        sendJson(res, 200, {
+            success: true,
+            venues: result.rows.map(row => row.venue),
+            cardTypes: CARD_TYPES,
+            categories: CATEGORIES
+        });
+    });
+
+    // API: Admin - list every offer (active or not) without image data
+    router.get('/api/admin/offers', { middleware: [requireAdmin] }, async (req, res) => {
+        const listColumns = ['id', ...OFFER_COLUMNS.filter(c => !IMAGE_COLUMNS.includes(c)), 'created_at', 'updated_at'];
+        const result = await pool.query(`SELECT ${listColumns.join(', ')}, (offer_card_image IS NOT NULL) AS has_image
+            FROM offers ORDER BY card_type, cost DESC`);
+        sendJson(res, 200, { success: true, offers: result.rows, count: result.rows.length });
+    });
+
+    // API: Admin - get one offer with its images
+    router.get('/api/admin/offers/:id', { middleware: [requireAdmin], params: OFFER_ID_PARAMS }, async (req, res) => {
+        const result = await pool.query('SELECT * FROM offers WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Offer not found');
+        }
+        sendJson(res, 200, { success: true, offer: result.rows[0] });
+    });
+
+    // API: Admin - create an offer
+    router.post('/api/admin/offers', { middleware: [requireAdmin] }, async (req, res) => {
+        const { errors, values } = validateOffer(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const placeholders = OFFER_COLUMNS.map((column, i) => `$${i + 1}`);
+        const result = await pool.query(
+            `INSERT INTO offers (${OFFER_COLUMNS.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            OFFER_COLUMNS.map(column => values[column])
+        );
+
+        console.log('✅ Offer created:', result.rows[0].id, result.rows[0].product_name);
+        sendJson(res, 201, { success: true, offer: result.rows[0] });
+    });
+
+    // API: Admin - update an offer
+    // Updates may be partial (e.g. only is_active) - the merged row is validated
+    router.put('/api/admin/offers/:id', { middleware: [requireAdmin], params: OFFER_ID_PARAMS }, async (req, res) => {
+        const offerId = req.params.id;
+        const existing = await pool.query('SELECT * FROM offers WHERE id = $1', [offerId]);
+        if (existing.rows.length === 0) {
+            throw new HttpError(404, 'Offer not found');
+        }
+
+        const { errors, values } = validateOffer({ ...existing.rows[0], ...req.body });
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const params = OFFER_COLUMNS.map(column => values[column]);
+        const assignments = OFFER_COLUMNS.map((column, i) => `${column} = $${i + 1}`);
+        params.push(offerId);
+        const result = await pool.query(
+            `UPDATE offers SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+            params
+        );
+
+        console.log('✅ Offer updated:', result.rows[0].id, result.rows[0].product_name);
+        sendJson(res, 200, { success: true, offer: result.rows[0] });
+    });
+
+    // API: Admin - delete an offer
+    router.delete('/api/admin/offers/:id', { middleware: [requireAdmin], params: OFFER_ID_PARAMS }, async (req, res) => {
+        const result = await pool.query('DELETE FROM offers WHERE id = $1 RETURNING id, product_name', [req.params.id]);
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Offer not found');
+        }
+
+        console.log('🗑️  Offer deleted:', req.params.id, result.rows[0].product_name);
+        sendJson(res, 200, { success: true, offer: result.rows[0] });
+    });
+}
+
+module.exports = {
+    register
+};
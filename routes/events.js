@@ -0,0 +1,143 @@
+/**
+ * Event routes - kiosk funnel analytics (see trackEvent() in session-manager.js)
+ */
+
+const pool = require('../db');
+const { sendJson, HttpError } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { REPORT_QUERY, reportConditions } = require('./reporting');
+const { requireAdmin } = require('../auth/middleware');
+
+// Event types accepted by POST /api/events (page views come from setCurrentPage())
+const EVENT_TYPES = ['page_view', 'card_chosen', 'offer_chosen', 'scratch_revealed',
+    'bonus_accepted', 'bonus_rejected', 'voucher_applied', 'voucher_removed', 'printed', 'print_failed', 'abandoned'];
+
+// Most events accepted in one POST /api/events batch (6 bind parameters each, well under PostgreSQL's 65535)
+const MAX_EVENT_BATCH = 500;
+
+// Funnel report stages, in order; a stage is reached when any of its pages is viewed
+const FUNNEL_STAGES = [
+    { stage: 'welcome', pages: ['welcome'] },
+    { stage: 'card-selection', pages: ['card-selection', 'welcomeredcard'] },
+    { stage: 'offers', pages: ['offers-selection', 'chosen-offer', 'custom-topup', 'custom-topup-upsell',
+        'welcome-newuser', 'welcome-gold', 'welcome-platinum'] },
+    { stage: 'scratch-card', pages: ['scratch-card'] },
+    { stage: 'bill-summary', pages: ['bill-summary', 'accept-scratchcard', 'reject-scratchcard'] },
+    { stage: 'feedback', pages: ['feedback'] }
+];
+
+/**
+ * Build the funnel report from the pages each session viewed
+ * A session counts for every stage up to the furthest one it reached, so a
+ * new player who skips card-selection.html is not shown as dropping off there.
+ * @param {Array<{pages: string[]}>} sessions Pages viewed per session
+ * @returns {Array<Object>} Stages with sessions, conversion and drop-off (%)
+ */
+function buildFunnel(sessions) {
+    const furthest = sessions.map(session => FUNNEL_STAGES.reduce(
+        (max, stage, index) => stage.pages.some(page => session.pages.includes(page)) ? index : max,
+        -1
+    ));
+
+    return FUNNEL_STAGES.map((stage, index) => {
+        const reached = furthest.filter(stageIndex => stageIndex >= index).length;
+        const previous = index === 0 ? reached : furthest.filter(stageIndex => stageIndex >= index - 1).length;
+        const top = furthest.filter(stageIndex => stageIndex >= 0).length;
+        return {
+            stage: stage.stage,
+            pages: stage.pages,
+            sessions: reached,
+            conversion: top > 0 ? Math.round((reached / top) * 1000) / 10 : null,
+            dropOff: previous > 0 ? Math.round(((previous - reached) / previous) * 1000) / 10 : null
+        };
+    });
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Record a funnel analytics event (or a batch of up to MAX_EVENT_BATCH in { events: [...] })
+    router.post('/api/events', async (req, res) => {
+        const data = req.body;
+        const events = Array.isArray(data.events) ? data.events : [data];
+        const invalidEvent = events.find(event => !event || !EVENT_TYPES.includes(event.type));
+        if (events.length > MAX_EVENT_BATCH) {
+            throw new HttpError(400, `At most ${MAX_EVENT_BATCH} events can be sent at once`);
+        }
+        if (events.length === 0 || invalidEvent) {
+            throw new HttpError(400, `Unknown event type: ${invalidEvent ? invalidEvent.type : ''}`);
+        }
+
+        const values = [];
+        const params = [];
+        events.forEach(event => {
+            const occurredAt = new Date(event.timestamp || Date.now());
+            params.push(
+                event.sessionId || null,
+                KIOSK_ID,
+                event.type,
+                event.page || null,
+                event.data ? JSON.stringify(event.data) : null,
+                isNaN(occurredAt) ? new Date() : occurredAt
+            );
+            const offset = params.length - 6;
+            values.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`);
+        });
+
+        const result = await pool.query(
+            `INSERT INTO events (session_id, kiosk_id, event_type, page, data, occurred_at)
+            VALUES ${values.join(', ')}`,
+            params
+        );
+        sendJson(res, 201, { success: true, count: result.rowCount });
+    });
+
+    // API: Admin - funnel report - sessions reaching each stage from welcome.html to feedback.html
+    // Optional filters: from / to (YYYY-MM-DD, inclusive) and kiosk
+    router.get('/api/events/funnel', {
+        middleware: [requireAdmin],
+        query: REPORT_QUERY
+    }, async (req, res) => {
+        const { conditions, params } = reportConditions(req.query, 'occurred_at', 'kiosk_id');
+
+        const [sessions, actions] = await Promise.all([
+            pool.query(
+                `SELECT session_id, array_agg(DISTINCT page) AS pages
+                FROM events
+                WHERE session_id IS NOT NULL AND ${conditions} AND event_type = 'page_view' AND page IS NOT NULL
+                GROUP BY session_id`,
+                params
+            ),
+            pool.query(
+                `SELECT event_type, COALESCE(page, 'unknown') AS page, COUNT(*) AS count
+                FROM events
+                WHERE session_id IS NOT NULL AND ${conditions} AND event_type <> 'page_view'
+                GROUP BY event_type, page
+                ORDER BY event_type, page`,
+                params
+            )
+        ]);
+
+        const actionTotals = {};
+        const abandonedByPage = {};
+        actions.rows.forEach(row => {
+            actionTotals[row.event_type] = (actionTotals[row.event_type] || 0) + parseInt(row.count);
+            if (row.event_type === 'abandoned') {
+                abandonedByPage[row.page] = parseInt(row.count);
+            }
+        });
+
+        sendJson(res, 200, {
+            success: true,
+            sessions: sessions.rows.length,
+            funnel: buildFunnel(sessions.rows),
+            actions: actionTotals,
+            abandonedByPage: abandonedByPage
+        });
+    });
+}
+
+module.exports = {
+    register
+};
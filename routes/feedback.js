@@ -0,0 +1,131 @@
+/**
+ * Feedback routes - customer satisfaction ratings from feedback.html and the CSAT summary
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { requireAdmin } = require('../auth/middleware');
+const { REPORT_QUERY, reportConditions } = require('./reporting');
+
+// Ratings on feedback.html (1 = Highly Dissatisfied ... 4 = Very Satisfied)
+const FEEDBACK_RATINGS = [1, 2, 3, 4];
+
+/**
+ * Store a customer satisfaction rating
+ * @param {Object} data Validated POST /api/feedback body
+ * @param {Date} [createdAt] Time of the rating (set when replaying the offline outbox)
+ * @returns {Promise<Object>} Stored feedback row
+ */
+async function saveFeedback(data, createdAt = new Date()) {
+    const result = await pool.query(
+        `INSERT INTO feedback (session_id, order_number, kiosk_id, card_type, rating, language, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+            data.sessionId || null,
+            data.orderNumber || null,
+            KIOSK_ID,
+            data.cardType || null,
+            Number(data.rating),
+            data.language || null,
+            createdAt
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Summarise feedback counts into average, distribution and CSAT per group
+ * CSAT is the share of ratings that are 3 (Satisfied) or 4 (Very Satisfied).
+ * @param {Array<Object>} rows Rows of { group key..., rating, count }
+ * @param {string|null} key Column to group by, or null for a single overall summary
+ * @returns {Array<Object>} One summary per group value
+ */
+function summarizeFeedback(rows, key) {
+    const groups = new Map();
+
+    for (const row of rows) {
+        const groupValue = key ? row[key] : null;
+        if (!groups.has(groupValue)) {
+            const distribution = {};
+            FEEDBACK_RATINGS.forEach(rating => distribution[rating] = 0);
+            groups.set(groupValue, { count: 0, total: 0, distribution: distribution });
+        }
+
+        const group = groups.get(groupValue);
+        const count = parseInt(row.count);
+        group.count += count;
+        group.total += row.rating * count;
+        group.distribution[row.rating] += count;
+    }
+
+    return Array.from(groups.entries()).map(([groupValue, group]) => {
+        const satisfied = group.distribution[3] + group.distribution[4];
+        const summary = key ? { [key]: groupValue } : {};
+        return Object.assign(summary, {
+            count: group.count,
+            average: Math.round((group.total / group.count) * 100) / 100,
+            csat: Math.round((satisfied / group.count) * 1000) / 10,
+            distribution: group.distribution
+        });
+    });
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Record a customer satisfaction rating from feedback.html (queued in the outbox while offline)
+    router.post('/api/feedback', {
+        body: {
+            rating: {
+                type: 'integer', required: true, oneOf: FEEDBACK_RATINGS,
+                message: `rating must be one of ${FEEDBACK_RATINGS.join(', ')}`
+            }
+        }
+    }, async (req, res) => {
+        const data = req.body;
+        const result = await offline.writeOrQueue('feedback', data, saveFeedback);
+        if (result.queued) {
+            sendJson(res, 202, { success: true, queued: true, ...offline.cachedFlag() });
+            return;
+        }
+
+        console.log('✅ Feedback recorded:', data.rating, 'for order', data.orderNumber || '-');
+        sendJson(res, 201, { success: true, feedback: result });
+    });
+
+    // API: Admin - feedback summary (average, distribution and CSAT) overall, per kiosk, per day and per card type
+    // Optional filters: from / to (YYYY-MM-DD, inclusive) and kiosk
+    router.get('/api/feedback/summary', {
+        middleware: [requireAdmin],
+        query: REPORT_QUERY
+    }, async (req, res) => {
+        const { conditions, params } = reportConditions(req.query, 'created_at', 'kiosk_id');
+
+        const result = await pool.query(
+            `SELECT kiosk_id, to_char(created_at, 'YYYY-MM-DD') AS day,
+                COALESCE(card_type, 'unknown') AS card_type, rating, COUNT(*) AS count
+            FROM feedback
+            WHERE ${conditions}
+            GROUP BY kiosk_id, day, card_type, rating`,
+            params
+        );
+
+        const overall = summarizeFeedback(result.rows, null);
+        sendJson(res, 200, {
+            success: true,
+            overall: overall[0] || { count: 0, average: null, csat: null, distribution: { 1: 0, 2: 0, 3: 0, 4: 0 } },
+            byKiosk: summarizeFeedback(result.rows, 'kiosk_id'),
+            byDay: summarizeFeedback(result.rows, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+            byCardType: summarizeFeedback(result.rows, 'card_type')
+        });
+    });
+}
+
+module.exports = {
+    saveFeedback,
+    register
+};
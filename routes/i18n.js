@@ -0,0 +1,84 @@
+/**
+ * Translation routes - the catalogs page-1/language.js translates the pages with,
+ * and the missing-key report.
+ */
+
+const { sendJson, HttpError } = require('../router');
+const { requireAdmin } = require('../auth/middleware');
+const i18n = require('../i18n');
+
+// A page reports at most this many missing keys at once
+const MAX_KEYS_PER_REPORT = 100;
+
+/**
+ * Check a language code from the request
+ * @param {string} lang Language code
+ * @returns {string} The code
+ * @throws {HttpError} 400 if it is not a language code
+ */
+function parseLanguage(lang) {
+    if (!i18n.LANGUAGE_PATTERN.test(lang)) {
+        throw new HttpError(400, 'lang must be a language code such as "en" or "zh"');
+    }
+    return lang;
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Languages with a catalog, for the language menu
+    router.get('/api/i18n', async (req, res) => {
+        sendJson(res, 200, {
+            success: true,
+            languages: await i18n.listLanguages(),
+            baseLanguage: i18n.BASE_LANGUAGE
+        });
+    });
+
+    // API: Report keys a page asked for that its catalog does not have
+    router.post('/api/i18n/missing', {
+        body: {
+            lang: { type: 'string', required: true, message: 'lang is required' },
+            page: { type: 'string' }
+        }
+    }, async (req, res) => {
+        const lang = parseLanguage(req.body.lang);
+        const keys = req.body.keys;
+        if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_KEYS_PER_REPORT
+            || keys.some(key => typeof key !== 'string' || key.length === 0 || key.length > 200)) {
+            throw new HttpError(400, `keys must be a list of 1-${MAX_KEYS_PER_REPORT} translation keys`);
+        }
+
+        i18n.recordMissingKeys(lang, req.body.page ? String(req.body.page).slice(0, 100) : null, keys);
+        sendJson(res, 202, { success: true, recorded: keys.length });
+    });
+
+    // API: Catalog for a language, with the base language filling any gaps
+    // missing lists the keys that fell back to the base language
+    router.get('/api/i18n/:lang', async (req, res) => {
+        const lang = parseLanguage(req.params.lang);
+        const result = await i18n.getCatalog(lang);
+        if (!result) {
+            throw new HttpError(404, `No translations for language "${lang}"`);
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            lang: lang,
+            baseLanguage: i18n.BASE_LANGUAGE,
+            catalog: result.catalog,
+            missing: result.missing
+        });
+    });
+
+    // API: Admin - keys each language is missing and keys the pages reported
+    router.get('/api/admin/i18n/missing', { middleware: [requireAdmin] }, async (req, res) => {
+        const report = await i18n.missingKeyReport();
+        sendJson(res, 200, { success: true, baseLanguage: i18n.BASE_LANGUAGE, ...report });
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,88 @@
+/**
+ * Kiosk routes - health check, kiosk identity, TIZO pricing and currency format
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson } = require('../router');
+const { KIOSK_ID, VENUE_NAME } = require('../config');
+const { loadPricingConfig, loadCurrencyConfig } = require('../settings');
+const { calculateTizoQuote } = require('../page-1/tizo-pricing');
+const { getDisplayUnitLabel } = require('../page-1/currency');
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Health check - test database connection
+    router.get('/api/health', async (req, res) => {
+        try {
+            const result = await pool.query('SELECT NOW() as time, current_database() as database');
+            sendJson(res, 200, {
+                success: true,
+                status: 'connected',
+                database: result.rows[0].database,
+                serverTime: result.rows[0].time,
+                offline: !offline.isOnline(),
+                snapshotAt: offline.hasSnapshot() ? offline.getSnapshot().takenAt : null,
+                outbox: offline.outboxSize(),
+                outboxFailed: offline.outboxFailedSize(),
+                message: '✅ Database connection successful!'
+            });
+        } catch (err) {
+            console.error('Database connection error:', err);
+            if (offline.isConnectionError(err)) {
+                offline.markOffline(err);
+            }
+            sendJson(res, 500, {
+                success: false,
+                status: 'disconnected',
+                error: err.message,
+                offline: !offline.isOnline(),
+                snapshotAt: offline.hasSnapshot() ? offline.getSnapshot().takenAt : null,
+                outbox: offline.outboxSize(),
+                outboxFailed: offline.outboxFailedSize(),
+                message: '❌ Database connection failed!'
+            });
+        }
+    });
+
+    // API: Kiosk identity (kiosk ID used for venue-scoped offers and the venue printed on receipts)
+    router.get('/api/kiosk', async (req, res) => {
+        sendJson(res, 200, {
+            success: true,
+            kioskId: KIOSK_ID,
+            venueName: VENUE_NAME
+        });
+    });
+
+    // API: Get the TIZO pricing config (base unit, multiplier and tiers) for tizo-pricing.js
+    router.get('/api/pricing', async (req, res) => {
+        const pricing = await loadPricingConfig();
+        sendJson(res, 200, { success: true, pricing: pricing });
+    });
+
+    // API: Quote TIZO for an amount in Rb with the itemised breakdown printed on the receipt
+    router.get('/api/quote', {
+        query: {
+            rb: {
+                type: 'integer', required: true, min: 1,
+                message: 'rb must be a positive whole number (amount in Rb, e.g., 1790 for 1,790,000 Rp)'
+            }
+        }
+    }, async (req, res) => {
+        const [pricing, currency] = await Promise.all([loadPricingConfig(), loadCurrencyConfig()]);
+        const quote = calculateTizoQuote(req.query.rb, pricing, getDisplayUnitLabel(currency).toLowerCase());
+        sendJson(res, 200, { success: true, quote: quote });
+    });
+
+    // API: Get this venue's currency format (symbol, decimals, grouping and display unit) for currency.js
+    router.get('/api/currency', async (req, res) => {
+        const currency = await loadCurrencyConfig();
+        sendJson(res, 200, { success: true, currency: currency });
+    });
+}
+
+module.exports = {
+    register
+};
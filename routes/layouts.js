@@ -0,0 +1,329 @@
+/**
+ * Layout routes - edit-mode layouts per page, version history, rollback and the edit audit log
+ * A layout is the element state edit-mode.js keeps for a page (positions, sizes, fonts, colours
+ * and added elements). initEditMode({ pageId }) applies it at runtime, so page-1/*.html is never
+ * rewritten. Layouts are stored for every kiosk ('*') or for this kiosk only, which takes precedence.
+ * Saving requires a staff (PIN) or admin token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { BASE_DIR, KIOSK_ID } = require('../config');
+const { requireAdmin, requireStaff } = require('../auth/middleware');
+const { REPORT_QUERY, reportConditions } = require('./reporting');
+
+// Versions kept per page and venue; older ones are deleted on save
+const MAX_LAYOUT_VERSIONS = parseInt(process.env.MAX_LAYOUT_VERSIONS) || 50;
+
+// A page ID is the name of a page-1/*.html file without the extension (e.g. 'welcome-gold')
+const PAGE_ID_PATTERN = /^[\w-]+$/;
+
+const PAGE_ID_PARAMS = { pageId: { type: 'string', required: true } };
+
+// 'kiosk' = this kiosk only, 'all' = the default for every kiosk
+const SCOPE_FIELD = { type: 'string', oneOf: ['kiosk', 'all'] };
+
+/**
+ * Venue a layout is stored under for a scope
+ * @param {string} [scope] 'kiosk' (default) or 'all'
+ * @returns {string} KIOSK_ID or '*'
+ */
+function scopeVenue(scope) {
+    return scope === 'all' ? '*' : KIOSK_ID;
+}
+
+/**
+ * Check the :pageId parameter names an existing kiosk page
+ * @param {string} pageId Page ID from the URL
+ * @returns {string} Page ID
+ * @throws {HttpError} 404 if there is no page-1/<pageId>.html
+ */
+function findPage(pageId) {
+    if (!PAGE_ID_PATTERN.test(pageId) || !fs.existsSync(path.join(BASE_DIR, 'page-1', `${pageId}.html`))) {
+        throw new HttpError(404, 'Page not found');
+    }
+    return pageId;
+}
+
+/**
+ * Page ID of an audit log page, also accepting the file form used before layouts ('page-1/welcome.html')
+ * @param {string} page Page ID or file path
+ * @returns {string} Page ID (e.g. 'welcome')
+ */
+function normalisePageId(page) {
+    return String(page).replace(/^\/?page-1\//, '').replace(/\.html$/, '');
+}
+
+/**
+ * Check a layout document sent by edit mode
+ * @param {*} layout Request body layout
+ * @returns {{elements: Object}} Layout to store
+ * @throws {HttpError} 400 if it is not { elements: { <data-id>: {...} } }
+ */
+function parseLayout(layout) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(layout) || !isObject(layout.elements) || !Object.values(layout.elements).every(isObject)) {
+        throw new HttpError(400, 'layout must be { elements: { <element id>: { ...state } } }');
+    }
+    return { elements: layout.elements };
+}
+
+/**
+ * Store an edit audit entry
+ * @param {Object} entry { userName, role, action, page, version, restoredVersion, bytes }
+ * @param {Date} [createdAt] Time of the edit (set when replaying the offline outbox)
+ * @param {Object} [db] pg Pool or client (the client of an open transaction)
+ * @returns {Promise<Object>} Stored edit_audit row
+ */
+async function saveEditAudit(entry, createdAt = new Date(), db = pool) {
+    const result = await db.query(
+        `INSERT INTO edit_audit (kiosk_id, user_name, role, action, page, version, restored_version, bytes, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *`,
+        [
+            KIOSK_ID,
+            entry.userName,
+            entry.role,
+            entry.action,
+            normalisePageId(entry.page),
+            entry.version || null,
+            entry.restoredVersion || null,
+            entry.bytes || null,
+            createdAt
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Store a page layout as its next version and record the edit in the audit log
+ * @param {Object} data { pageId, venue, layout, userName, role, action, restoredVersion }
+ * @param {Date} [createdAt] Time of the save (set when replaying the offline outbox)
+ * @returns {Promise<Object>} Stored page_layouts row
+ */
+async function saveLayout(data, createdAt = new Date()) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // The version is taken in the same statement that locks the page's row, so concurrent
+        // saves of one page wait for each other and get consecutive versions
+        const saved = await client.query(
+            `INSERT INTO page_layouts (page_id, venue, layout, version, updated_by)
+            VALUES ($1::varchar, $2::varchar, $3, (SELECT COALESCE(MAX(version), 0) + 1
+                FROM page_layout_versions WHERE page_id = $1::varchar AND venue = $2::varchar), $4)
+            ON CONFLICT (page_id, venue) DO UPDATE SET
+                layout = EXCLUDED.layout, version = page_layouts.version + 1, updated_by = EXCLUDED.updated_by
+            RETURNING *`,
+            [data.pageId, data.venue, data.layout, data.userName]
+        );
+        const version = saved.rows[0].version;
+
+        await client.query(
+            `INSERT INTO page_layout_versions (page_id, venue, version, layout, saved_by, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)`,
+            [data.pageId, data.venue, version, data.layout, data.userName, createdAt]
+        );
+        await client.query(
+            'DELETE FROM page_layout_versions WHERE page_id = $1 AND venue = $2 AND version <= $3',
+            [data.pageId, data.venue, version - MAX_LAYOUT_VERSIONS]
+        );
+
+        await saveEditAudit({
+            userName: data.userName,
+            role: data.role,
+            action: data.action,
+            page: data.pageId,
+            version: String(version),
+            restoredVersion: data.restoredVersion ? String(data.restoredVersion) : null,
+            bytes: Buffer.byteLength(JSON.stringify(data.layout), 'utf8')
+        }, createdAt, client);
+
+        await client.query('COMMIT');
+        console.log(`📝 ${data.action === 'rollback' ? 'Rolled back' : 'Saved'} layout ${data.pageId} (${data.venue}) by ${data.userName} → v${version}`);
+        return saved.rows[0];
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        if (err.code === '23505') {
+            throw new HttpError(409, 'The layout was saved from somewhere else at the same time - try again');
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Shape a page_layouts row for API responses
+ * @param {Object} row Row from page_layouts
+ * @returns {Object} Layout as returned to edit mode
+ */
+function formatLayout(row) {
+    return {
+        pageId: row.page_id,
+        venue: row.venue,
+        version: row.version,
+        layout: row.layout,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Layout applied to a page on this kiosk (this kiosk's layout, else the '*' default)
+    // Public - every page loads it in initEditMode(); falls back to the offline snapshot
+    router.get('/api/layouts/:pageId', { params: PAGE_ID_PARAMS }, async (req, res) => {
+        const pageId = findPage(req.params.pageId);
+        const result = await offline.readQuery(
+            `SELECT * FROM page_layouts WHERE page_id = $1 AND venue IN ($2, '*')
+             ORDER BY (venue = '*') LIMIT 1`,
+            [pageId, KIOSK_ID],
+            tables => (tables.page_layouts || [])
+                .filter(row => row.page_id === pageId && (row.venue === KIOSK_ID || row.venue === '*'))
+                .sort((a, b) => (a.venue === '*') - (b.venue === '*'))
+                .slice(0, 1)
+        );
+
+        sendJson(res, 200, {
+            success: true,
+            ...(result.rows.length > 0 ? formatLayout(result.rows[0]) : { pageId: pageId, layout: null, version: null }),
+            ...(result.cached ? offline.cachedFlag() : {})
+        });
+    });
+
+    // API: Save a page layout from edit mode as a new version ({ layout, scope })
+    // While the database is unreachable the save is queued in the offline outbox (202)
+    router.put('/api/layouts/:pageId', {
+        middleware: [requireStaff],
+        params: PAGE_ID_PARAMS,
+        body: { scope: SCOPE_FIELD }
+    }, async (req, res) => {
+        const pageId = findPage(req.params.pageId);
+        const data = {
+            pageId: pageId,
+            venue: scopeVenue(req.body.scope),
+            layout: parseLayout(req.body.layout),
+            userName: req.user.sub,
+            role: req.user.role,
+            action: 'save'
+        };
+
+        const result = await offline.writeOrQueue('layout', data, saveLayout);
+        if (result.queued) {
+            sendJson(res, 202, { success: true, queued: true, pageId: pageId, venue: data.venue, ...offline.cachedFlag() });
+            return;
+        }
+        sendJson(res, 200, { success: true, ...formatLayout(result) });
+    });
+
+    // API: List the stored versions of a page layout, newest first (?scope=kiosk|all)
+    router.get('/api/layouts/:pageId/versions', {
+        middleware: [requireStaff],
+        params: PAGE_ID_PARAMS,
+        query: { scope: SCOPE_FIELD }
+    }, async (req, res) => {
+        const pageId = findPage(req.params.pageId);
+        const venue = scopeVenue(req.query.scope);
+        const result = await pool.query(
+            `SELECT version, saved_by, created_at, octet_length(layout::text) AS bytes
+            FROM page_layout_versions WHERE page_id = $1 AND venue = $2 ORDER BY version DESC`,
+            [pageId, venue]
+        );
+
+        const versions = result.rows.map(row => ({
+            version: row.version,
+            savedBy: row.saved_by,
+            savedAt: row.created_at,
+            bytes: parseInt(row.bytes)
+        }));
+        sendJson(res, 200, { success: true, pageId: pageId, venue: venue, versions: versions, count: versions.length });
+    });
+
+    // API: Get one stored layout version (for preview before a rollback)
+    router.get('/api/layouts/:pageId/versions/:version', {
+        middleware: [requireStaff],
+        params: { ...PAGE_ID_PARAMS, version: { type: 'integer', min: 1 } },
+        query: { scope: SCOPE_FIELD }
+    }, async (req, res) => {
+        const pageId = findPage(req.params.pageId);
+        const venue = scopeVenue(req.query.scope);
+        const result = await pool.query(
+            'SELECT * FROM page_layout_versions WHERE page_id = $1 AND venue = $2 AND version = $3',
+            [pageId, venue, req.params.version]
+        );
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Version not found');
+        }
+
+        const row = result.rows[0];
+        sendJson(res, 200, {
+            success: true,
+            pageId: pageId,
+            venue: venue,
+            version: row.version,
+            layout: row.layout,
+            savedBy: row.saved_by,
+            savedAt: row.created_at
+        });
+    });
+
+    // API: Roll a page layout back to a stored version (saved again as a new version)
+    router.post('/api/layouts/:pageId/rollback', {
+        middleware: [requireStaff],
+        params: PAGE_ID_PARAMS,
+        body: {
+            version: { type: 'integer', required: true, min: 1 },
+            scope: SCOPE_FIELD
+        }
+    }, async (req, res) => {
+        const pageId = findPage(req.params.pageId);
+        const venue = scopeVenue(req.body.scope);
+        const result = await pool.query(
+            'SELECT layout FROM page_layout_versions WHERE page_id = $1 AND venue = $2 AND version = $3',
+            [pageId, venue, req.body.version]
+        );
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Version not found');
+        }
+
+        const saved = await saveLayout({
+            pageId: pageId,
+            venue: venue,
+            layout: result.rows[0].layout,
+            userName: req.user.sub,
+            role: req.user.role,
+            action: 'rollback',
+            restoredVersion: req.body.version
+        });
+        sendJson(res, 200, { success: true, ...formatLayout(saved), restoredVersion: req.body.version });
+    });
+
+    // API: Admin - edit audit log (who saved or rolled back which page layout, and when)
+    // Optional filters: from / to (YYYY-MM-DD, inclusive), kiosk and page
+    router.get('/api/admin/edit-audit', {
+        middleware: [requireAdmin],
+        query: { ...REPORT_QUERY, page: { type: 'string' } }
+    }, async (req, res) => {
+        const { conditions, params } = reportConditions(req.query, 'created_at', 'kiosk_id');
+        let query = `SELECT * FROM edit_audit WHERE ${conditions}`;
+        if (req.query.page) {
+            params.push(normalisePageId(req.query.page));
+            query += ` AND page = $${params.length}`;
+        }
+
+        const result = await pool.query(`${query} ORDER BY created_at DESC LIMIT 500`, params);
+        sendJson(res, 200, { success: true, entries: result.rows, count: result.rows.length });
+    });
+}
+
+module.exports = {
+    saveEditAudit,
+    saveLayout,
+    register
+};
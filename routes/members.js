@@ -0,0 +1,65 @@
+/**
+ * Member routes - look up an existing player's card by its number
+ * card-selection.html uses the lookup to pick the card type for the player
+ * (keypad entry or a keyboard-wedge barcode/RFID reader) instead of asking them.
+ */
+
+const pool = require('../db');
+const { sendJson, HttpError } = require('../router');
+
+// Card numbers are letters and digits; readers may add spaces or dashes, which are ignored
+const CARD_NUMBER_PATTERN = /^[A-Z0-9]{4,32}$/;
+
+/**
+ * Normalise a card number as typed or scanned
+ * @param {string} cardNumber Card number from the URL
+ * @returns {string} Upper-case card number without spaces or dashes
+ * @throws {HttpError} 400 if it is not a valid card number
+ */
+function parseCardNumber(cardNumber) {
+    const normalized = String(cardNumber).replace(/[\s-]/g, '').toUpperCase();
+    if (!CARD_NUMBER_PATTERN.test(normalized)) {
+        throw new HttpError(400, 'cardNumber must be 4-32 letters or digits');
+    }
+    return normalized;
+}
+
+/**
+ * Shape a members row for API responses
+ * @param {Object} row Row from the members table
+ * @returns {Object} Member as returned to the kiosk
+ */
+function formatMember(row) {
+    return {
+        cardNumber: row.card_number,
+        tier: row.tier,
+        name: row.name,
+        balance: parseFloat(row.balance)
+    };
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Look up an active member card (404 if the card is unknown or deactivated)
+    router.get('/api/members/:cardNumber', {
+        params: { cardNumber: { type: 'string', required: true } }
+    }, async (req, res) => {
+        const cardNumber = parseCardNumber(req.params.cardNumber);
+        const result = await pool.query(
+            'SELECT * FROM members WHERE card_number = $1 AND is_active = true',
+            [cardNumber]
+        );
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Member not found');
+        }
+
+        sendJson(res, 200, { success: true, member: formatMember(result.rows[0]) });
+    });
+}
+
+module.exports = {
+    parseCardNumber,
+    register
+};
@@ -0,0 +1,352 @@
+/**
+ * Offer routes - offers, card info and upsell offers read by the kiosk pages
+ * Every read falls back to the offline snapshot and is flagged { cached: true } when it does.
+ */
+
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { loadPricingConfig } = require('../settings');
+const { calculateTizoQuote } = require('../page-1/tizo-pricing');
+const { toDbCardType, toDbCategory, venueCondition, snapshotOffers } = require('../offers/catalog');
+const { localClock, scheduleCondition, isOfferInSchedule, hasSchedule, nextScheduleChange } = require('../offers/schedule');
+
+// Query parameter for the upsell endpoints: amount in Rb (e.g. 1790 for 1,790,000 Rp), truncated to whole Rb
+const RB_QUERY = { rb: { type: 'number', required: true, message: 'rb parameter is required' } };
+
+// Offer lookup filters shared by /api/offers and /api/offers/:cardType
+const OFFER_QUERY = {
+    cardType: { type: 'string' },
+    category: { type: 'string' },
+    offerId: { type: 'integer' }
+};
+
+/**
+ * Fields telling the UI a response was served from the offline snapshot
+ * @param {{cached: boolean}} result readQuery result
+ * @returns {Object} Cache fields (empty when served from the database)
+ */
+function cacheFields(result) {
+    return result.cached ? offline.cachedFlag() : {};
+}
+
+/**
+ * Find offers for this kiosk by ID, or the active ones by category and/or card type
+ * @param {{offerId?: number, category?: string, cardType?: string}} filters Lookup filters
+ * @returns {Promise<{rows: Array, cached: boolean}>} Offers (most expensive first)
+ */
+function findOffers({ offerId, category, cardType }) {
+    // Filter by offer ID if provided (for fetching specific offer with icons)
+    if (offerId) {
+        return offline.readQuery(
+            `SELECT * FROM offers WHERE ${venueCondition(1)} AND id = $2`,
+            [KIOSK_ID, offerId],
+            tables => snapshotOffers(tables).filter(o => o.id === offerId)
+        );
+    }
+
+    const dbCategory = toDbCategory(category);
+    const dbCardType = toDbCardType(cardType);
+    const clock = localClock();
+
+    // Build query with filters for this kiosk's venue, is_active, date range and time window
+    let query = `SELECT * FROM offers WHERE ${venueCondition(1)} AND is_active = true
+        AND (start_date IS NULL OR start_date <= CURRENT_DATE)
+        AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+        AND ${scheduleCondition(2, 3)}`;
+    const params = [KIOSK_ID, clock.time, clock.dayOfWeek];
+
+    // Filter by category if provided (for OOH/OOD screensaver)
+    if (dbCategory) {
+        params.push(dbCategory);
+        query += ` AND category = $${params.length}`;
+    }
+
+    if (dbCardType) {
+        params.push(dbCardType);
+        query += ` AND card_type = $${params.length}`;
+    }
+
+    query += ' ORDER BY cost DESC';
+
+    return offline.readQuery(query, params, tables => snapshotOffers(tables)
+        .filter(o => offline.isOfferCurrent(o) && isOfferInSchedule(o, clock)
+            && (!dbCategory || o.category === dbCategory)
+            && (!dbCardType || o.card_type === dbCardType))
+        .sort((a, b) => b.cost - a.cost));
+}
+
+/**
+ * How specific an offer's schedule is: a time window beats a day rule beats none
+ * @param {Object} offer Offer row
+ * @returns {number} Higher runs in preference to lower
+ */
+function scheduleRank(offer) {
+    return (offer.start_time || offer.end_time ? 2 : 0) + (offer.days_of_week && offer.days_of_week.length > 0 ? 1 : 0);
+}
+
+/**
+ * Find the offer running right now in a category at this kiosk
+ * When several run at once the most specific schedule wins (an Offer of the Hour
+ * window over an all-day offer), then the most expensive.
+ * @param {string} category Category name, e.g. 'ooh'
+ * @returns {Promise<{offer: Object|null, nextChangeAt: Date, cached: boolean}>} Running offer and when to ask again
+ */
+async function findActiveOffer(category) {
+    const dbCategory = toDbCategory(category);
+    const now = new Date();
+    const clock = localClock(now);
+
+    // Every offer running today, so the next window start or end can be reported too
+    const result = await offline.readQuery(
+        `SELECT * FROM offers WHERE ${venueCondition(1)} AND is_active = true
+            AND (start_date IS NULL OR start_date <= CURRENT_DATE)
+            AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+            AND category = $2`,
+        [KIOSK_ID, dbCategory],
+        tables => snapshotOffers(tables).filter(o => offline.isOfferCurrent(o) && o.category === dbCategory)
+    );
+
+    const running = result.rows
+        .filter(o => isOfferInSchedule(o, clock))
+        .sort((a, b) => scheduleRank(b) - scheduleRank(a) || b.cost - a.cost);
+
+    return {
+        offer: running[0] || null,
+        nextChangeAt: nextScheduleChange(result.rows.filter(hasSchedule), now),
+        cached: result.cached
+    };
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Get layout config based on card type count
+    router.get('/api/layout-config', {
+        query: { cardType: { type: 'string', required: true, message: 'cardType parameter is required' } }
+    }, async (req, res) => {
+        const dbCardType = toDbCardType(req.query.cardType);
+        const clock = localClock();
+
+        // Count only active offers within valid date range and time window for this kiosk
+        const countQuery = `SELECT COUNT(*) as count FROM offers
+            WHERE card_type = $1
+            AND is_active = true
+            AND (start_date IS NULL OR start_date <= CURRENT_DATE)
+            AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+            AND ${venueCondition(2)}
+            AND ${scheduleCondition(3, 4)}`;
+
+        const result = await offline.readQuery(countQuery, [dbCardType, KIOSK_ID, clock.time, clock.dayOfWeek], tables => [{
+            count: snapshotOffers(tables).filter(o => o.card_type === dbCardType
+                && offline.isOfferCurrent(o) && isOfferInSchedule(o, clock)).length
+        }]);
+
+        const count = parseInt(result.rows[0].count);
+        let layout;
+
+        if (count <= 3) {
+            layout = 3;
+        } else if (count === 4) {
+            layout = 4;
+        } else {
+            layout = 5;
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            layout: layout,
+            count: count,
+            cardType: dbCardType,
+            kioskId: KIOSK_ID,
+            message: `Found ${count} ${dbCardType} cards for ${KIOSK_ID}, using layout ${layout}`,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get card info from card_offers table
+    router.get('/api/card-info', { query: { cardId: { type: 'string' } } }, async (req, res) => {
+        const cardId = req.query.cardId ? req.query.cardId.toLowerCase() : null;
+
+        let query = 'SELECT * FROM card_offers WHERE is_active = true';
+        const params = [];
+
+        if (cardId) {
+            query += ' AND id = $1';
+            params.push(cardId);
+        }
+
+        query += ' ORDER BY id';
+
+        const result = await offline.readQuery(query, params, tables => tables.card_offers
+            .filter(card => card.is_active && (!cardId || card.id === cardId)));
+
+        if (cardId && result.rows.length > 0) {
+            // Single card requested
+            sendJson(res, 200, { success: true, card: result.rows[0], ...cacheFields(result) });
+            return;
+        }
+
+        // All cards or no match
+        sendJson(res, 200, {
+            success: true,
+            cards: result.rows,
+            count: result.rows.length,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get offers by card type OR category (for OOH/OOD screensaver) OR by ID
+    router.get('/api/offers', { query: OFFER_QUERY }, async (req, res) => {
+        const result = await findOffers(req.query);
+        sendJson(res, 200, {
+            success: true,
+            offers: result.rows,
+            count: result.rows.length,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: The offer running right now for a category (e.g. ?category=ooh), null if none
+    // nextChangeAt tells the kiosk when to ask again (the next window start/end, or midnight)
+    router.get('/api/active-offer', {
+        query: { category: { type: 'string', required: true, message: 'category parameter is required' } }
+    }, async (req, res) => {
+        const result = await findActiveOffer(req.query.category);
+        sendJson(res, 200, {
+            success: true,
+            offer: result.offer,
+            category: toDbCategory(req.query.category),
+            kioskId: KIOSK_ID,
+            nextChangeAt: result.nextChangeAt,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get offers for one card type, e.g. /api/offers/gold (optionally ?category=)
+    router.get('/api/offers/:cardType', { query: { category: OFFER_QUERY.category } }, async (req, res) => {
+        const result = await findOffers({ cardType: req.params.cardType, category: req.query.category });
+        sendJson(res, 200, {
+            success: true,
+            offers: result.rows,
+            count: result.rows.length,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get all upsell offers (for TIZO rate lookup)
+    router.get('/api/upsell-offers-all', async (req, res) => {
+        const result = await offline.readQuery('SELECT * FROM upsell_offers ORDER BY topup_rb', [], tables => tables.upsell_offers);
+        sendJson(res, 200, {
+            success: true,
+            offers: result.rows,
+            count: result.rows.length,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get upsell offer by RB value
+    router.get('/api/upsell-offer', { query: RB_QUERY }, async (req, res) => {
+        const rb = Math.trunc(req.query.rb);
+
+        // Find the upsell offer matching the RB value
+        const result = await offline.readQuery('SELECT * FROM upsell_offers WHERE topup_rb = $1', [rb],
+            tables => tables.upsell_offers.filter(o => o.topup_rb === rb));
+
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'No upsell offer found for this RB value');
+        }
+
+        sendJson(res, 200, { success: true, offer: result.rows[0], ...cacheFields(result) });
+    });
+
+    // API: Get next two larger upsell offers from database
+    router.get('/api/next-upsell-offers', { query: RB_QUERY }, async (req, res) => {
+        const rb = Math.trunc(req.query.rb);
+
+        // Find the next two offers with topup_rb greater than the current value
+        const result = await offline.readQuery('SELECT * FROM upsell_offers WHERE topup_rb > $1 ORDER BY topup_rb ASC LIMIT 2', [rb],
+            tables => tables.upsell_offers.filter(o => o.topup_rb > rb).slice(0, 2));
+
+        sendJson(res, 200, {
+            success: true,
+            offers: result.rows,
+            count: result.rows.length,
+            baseRb: rb,
+            ...cacheFields(result)
+        });
+    });
+
+    // API: Get custom topup upsell offers based on user's custom amount
+    // Returns the two upsell box values for the 2nd upsell screen
+    router.get('/api/custom-topup-upsell', {
+        query: {
+            rb: {
+                type: 'number', required: true,
+                message: 'rb parameter is required (amount in Rb, e.g., 1790 for 1,790,000 Rp)'
+            }
+        }
+    }, async (req, res) => {
+        const amountRb = Math.trunc(req.query.rb);
+
+        // Find the upsell offers for this custom topup range
+        const [pricing, result] = await Promise.all([
+            loadPricingConfig(),
+            offline.readQuery(
+                'SELECT * FROM custom_topup_upsell WHERE $1 BETWEEN range_min AND range_max LIMIT 1',
+                [amountRb],
+                tables => tables.custom_topup_upsell.filter(r => amountRb >= r.range_min && amountRb <= r.range_max).slice(0, 1)
+            )
+        ]);
+        const calculateCustomTizo = rb => calculateTizoQuote(rb, pricing).totalTizo;
+
+        if (result.rows.length > 0) {
+            const row = result.rows[0];
+
+            // Calculate TIZO for each upsell box using the tiered formula
+            sendJson(res, 200, {
+                success: true,
+                customAmount: amountRb,
+                customTizo: calculateCustomTizo(amountRb),
+                upsellBox1: {
+                    rb: row.upsell_box_1,
+                    tizo: calculateCustomTizo(row.upsell_box_1)
+                },
+                upsellBox2: {
+                    rb: row.upsell_box_2,
+                    tizo: calculateCustomTizo(row.upsell_box_2)
+                },
+                range: {
+                    min: row.range_min,
+                    max: row.range_max
+                },
+                ...cacheFields(result)
+            });
+            return;
+        }
+
+        // Fallback for amounts outside defined ranges
+        const roundedRb = Math.ceil(amountRb / 50) * 50;
+        sendJson(res, 200, {
+            success: true,
+            customAmount: amountRb,
+            customTizo: calculateCustomTizo(amountRb),
+            upsellBox1: {
+                rb: roundedRb,
+                tizo: calculateCustomTizo(roundedRb)
+            },
+            upsellBox2: {
+                rb: roundedRb + 50,
+                tizo: calculateCustomTizo(roundedRb + 50)
+            },
+            isFallback: true,
+            message: 'Using calculated fallback values',
+            ...cacheFields(result)
+        });
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,185 @@
+/**
+ * Payment routes - start, poll, cancel, refund and simulate payments
+ * Providers are configured in payments/ (PAYMENT_PROVIDER).
+ */
+
+const pool = require('../db');
+const { sendJson, HttpError } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { requireStaff } = require('../auth/middleware');
+const { PAYMENT_STATUS, REFUNDABLE_STATUSES, getPaymentProvider, isSimulatorEnabled, isFinalStatus } = require('../payments');
+const { reverseCredit } = require('./transactions');
+
+const PAYMENT_ID_PARAMS = { id: { type: 'integer', min: 1 } };
+
+/**
+ * Refresh a pending payment from its provider and persist any status change
+ * @param {Object} payment Row from the payments table
+ * @returns {Promise<Object>} Up-to-date payment row
+ */
+async function syncPaymentStatus(payment) {
+    if (isFinalStatus(payment.status)) {
+        return payment;
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    const { status } = await provider.getStatus(payment.provider_ref);
+    if (status === payment.status) {
+        return payment;
+    }
+
+    const result = await pool.query(
+        'UPDATE payments SET status = $1 WHERE id = $2 RETURNING *',
+        [status, payment.id]
+    );
+    console.log(`💳 Payment #${payment.id} (${payment.order_number}) → ${status}`);
+    return result.rows[0];
+}
+
+/**
+ * Shape a payments row for API responses
+ * @param {Object} payment Row from the payments table
+ * @returns {Object} Payment as returned to the kiosk
+ */
+function formatPayment(payment) {
+    return {
+        id: payment.id,
+        orderNumber: payment.order_number,
+        provider: payment.provider,
+        providerRef: payment.provider_ref,
+        amount: parseFloat(payment.amount),
+        refundedAmount: parseFloat(payment.refunded_amount) || 0,
+        status: payment.status,
+        qrString: payment.qr_string,
+        qrImageUrl: payment.qr_image_url,
+        expiresAt: payment.expires_at,
+        createdAt: payment.created_at
+    };
+}
+
+/**
+ * Load a payment and bring its status up to date
+ * @param {number} paymentId Payment ID
+ * @returns {Promise<Object>} Payment row
+ * @throws {HttpError} 404 if there is no such payment
+ */
+async function findPayment(paymentId) {
+    const result = await pool.query('SELECT * FROM payments WHERE id = $1', [paymentId]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Payment not found');
+    }
+    return syncPaymentStatus(result.rows[0]);
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Start a payment for an order through the configured payment provider
+    router.post('/api/payments', {
+        body: {
+            orderNumber: { type: 'string', required: true, message: 'orderNumber and a positive amount are required' },
+            amount: { type: 'number', required: true, min: 0.01, message: 'orderNumber and a positive amount are required' }
+        }
+    }, async (req, res) => {
+        const data = req.body;
+        const amount = data.amount;
+        const provider = getPaymentProvider();
+
+        const created = await pool.query(
+            `INSERT INTO payments (order_number, session_id, kiosk_id, provider, amount)
+            VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [data.orderNumber, data.sessionId || null, KIOSK_ID, provider.name, amount]
+        );
+        const payment = created.rows[0];
+
+        const initiated = await provider.initiate({
+            paymentId: payment.id,
+            orderNumber: payment.order_number,
+            amount: amount
+        });
+
+        const updated = await pool.query(
+            `UPDATE payments SET provider_ref = $1, status = $2, qr_string = $3, qr_image_url = $4, expires_at = $5
+            WHERE id = $6 RETURNING *`,
+            [initiated.providerRef, initiated.status, initiated.qrString || null,
+                initiated.qrImageUrl || null, initiated.expiresAt || null, payment.id]
+        );
+
+        sendJson(res, 201, { success: true, payment: formatPayment(updated.rows[0]) });
+    });
+
+    // API: Get a payment - polls the provider while the payment is still pending
+    router.get('/api/payments/:id', { params: PAYMENT_ID_PARAMS }, async (req, res) => {
+        const payment = await findPayment(req.params.id);
+        sendJson(res, 200, { success: true, payment: formatPayment(payment) });
+    });
+
+    // API: Cancel a pending payment
+    router.post('/api/payments/:id/cancel', { params: PAYMENT_ID_PARAMS }, async (req, res) => {
+        let payment = await findPayment(req.params.id);
+        await getPaymentProvider(payment.provider).cancel(payment.provider_ref);
+        payment = await syncPaymentStatus(payment);
+        sendJson(res, 200, { success: true, payment: formatPayment(payment) });
+    });
+
+    // API: Staff - refund a paid payment, in full or in parts ({ amount }, default: all that is left)
+    // A partial refund leaves the payment 'partially_refunded'; once all of it is refunded the credited
+    // TIZO is also taken back off the player's card
+    router.post('/api/payments/:id/refund', {
+        middleware: [requireStaff],
+        params: PAYMENT_ID_PARAMS,
+        body: { amount: { type: 'number', min: 0.01 } }
+    }, async (req, res) => {
+        const payment = await findPayment(req.params.id);
+        if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+            throw new HttpError(409, `Cannot refund a ${payment.status} payment`);
+        }
+        const remaining = parseFloat(payment.amount) - (parseFloat(payment.refunded_amount) || 0);
+        if (req.body.amount !== undefined && req.body.amount > remaining + 0.005) {
+            throw new HttpError(400, `Refund amount exceeds the ${remaining} left to refund`);
+        }
+
+        const { status, refundedAmount } = await getPaymentProvider(payment.provider).refund(payment.provider_ref, req.body.amount);
+        const refunded = await pool.query(
+            'UPDATE payments SET status = $1, refunded_amount = $2 WHERE id = $3 RETURNING *',
+            [status, refundedAmount, payment.id]
+        );
+
+        let creditReversal = null;
+        if (status === PAYMENT_STATUS.REFUNDED) {
+            try {
+                const transaction = await reverseCredit(payment.id);
+                creditReversal = transaction ? { success: true, creditStatus: transaction.credit_status } : null;
+            } catch (err) {
+                console.error(`❌ Could not reverse the card credit for payment #${payment.id}:`, err.message);
+                creditReversal = { success: false, error: err.message };
+            }
+        }
+        sendJson(res, 200, { success: true, payment: formatPayment(refunded.rows[0]), creditReversal: creditReversal });
+    });
+
+    // API: Settle a simulated payment with { outcome }
+    // Only registered while the simulator is the provider outside production (isSimulatorEnabled)
+    if (!isSimulatorEnabled()) return;
+    router.post('/api/payments/:id/simulate', { params: PAYMENT_ID_PARAMS }, async (req, res) => {
+        let payment = await findPayment(req.params.id);
+        const provider = getPaymentProvider(payment.provider);
+        if (typeof provider.simulate !== 'function') {
+            throw new HttpError(400, `Provider ${payment.provider} cannot be simulated`);
+        }
+
+        try {
+            provider.simulate(payment.provider_ref, req.body.outcome);
+        } catch (err) {
+            throw new HttpError(400, err.message);
+        }
+
+        payment = await syncPaymentStatus(payment);
+        sendJson(res, 200, { success: true, payment: formatPayment(payment) });
+    });
+}
+
+module.exports = {
+    register
+};
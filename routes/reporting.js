@@ -0,0 +1,47 @@
+/**
+ * Reporting filters shared by the transaction, feedback and funnel reports
+ * Every report accepts ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive) and ?kiosk=
+ */
+
+const DATE_MESSAGE = 'from and to must be dates in YYYY-MM-DD format';
+
+// Query schema for the reporting filters
+const REPORT_QUERY = {
+    from: { type: 'date', message: DATE_MESSAGE },
+    to: { type: 'date', message: DATE_MESSAGE },
+    kiosk: { type: 'string' }
+};
+
+/**
+ * Build the WHERE conditions for the from / to / kiosk filters
+ * @param {{from?: string, to?: string, kiosk?: string}} filters Validated REPORT_QUERY values
+ * @param {string} dateColumn Timestamp column compared with from / to
+ * @param {string} kioskColumn Column compared with kiosk
+ * @returns {{conditions: string, params: Array}} SQL conditions (joined with AND) and their parameters
+ */
+function reportConditions(filters, dateColumn, kioskColumn) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`${dateColumn} >= $${params.length}::date`);
+    }
+
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`${dateColumn} < ($${params.length}::date + 1)`);
+    }
+
+    if (filters.kiosk) {
+        params.push(filters.kiosk);
+        conditions.push(`${kioskColumn} = $${params.length}`);
+    }
+
+    return { conditions: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1', params: params };
+}
+
+module.exports = {
+    REPORT_QUERY,
+    reportConditions
+};
@@ -0,0 +1,267 @@
+/**
+ * Scratch card routes - draw the prize hidden under the scratch card
+ * The prize pool for a card type is its active 'Scratch Card' offers at this kiosk.
+ * Each offer is drawn with probability prize_weight / (sum of weights in the pool),
+ * using a cryptographically random number, until its daily_stock or total_stock runs out.
+ * The draw is recorded in scratch_draws against the kiosk session, so reloading
+ * scratch-card.html returns the same prize instead of drawing again.
+ */
+
+const crypto = require('crypto');
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { toDbCardType, venueCondition, snapshotOffers } = require('../offers/catalog');
+const { localClock, scheduleCondition, isOfferInSchedule } = require('../offers/schedule');
+
+// Prize when the pool is empty or out of stock (100 RIBU → 200 TIZO)
+const DEFAULT_PRIZE = {
+    id: null,
+    cost: 100000,
+    tizo_credit: 200,
+    category: 'Scratch Card',
+    free_games: null,
+    gift: null,
+    gift_details: null
+};
+
+const SESSION_ID_PARAM = { type: 'string', required: true };
+
+/**
+ * Check a session ID fits scratch_draws.session_id
+ * @param {string} sessionId Session ID from the request
+ * @returns {string} Session ID
+ * @throws {HttpError} 400 if it is empty or longer than 32 characters
+ */
+function parseSessionId(sessionId) {
+    if (sessionId.trim() === '' || sessionId.length > 32) {
+        throw new HttpError(400, 'sessionId must be 1-32 characters');
+    }
+    return sessionId;
+}
+
+/**
+ * Shape a prize for API responses
+ * @param {Object|null} offer Offer row, or null for the default prize
+ * @param {string|null} dbCardType Card type the prize was drawn for
+ * @returns {Object} Prize as returned to the kiosk
+ */
+function formatPrize(offer, dbCardType) {
+    if (!offer) {
+        return { ...DEFAULT_PRIZE, card_type: dbCardType || 'default' };
+    }
+    return {
+        id: offer.id,
+        cost: parseFloat(offer.cost),
+        tizo_credit: parseFloat(offer.tizo_credit),
+        card_type: offer.card_type,
+        category: offer.category,
+        free_games: offer.free_games || null,
+        gift: offer.gift || null,
+        gift_details: offer.gift_details || null
+    };
+}
+
+/**
+ * Pick one offer from a prize pool, weighted by prize_weight
+ * @param {Array<Object>} offers Offers with stock left
+ * @returns {Object|null} Drawn offer, or null if the pool is empty
+ */
+function pickWeighted(offers) {
+    const totalWeight = offers.reduce((sum, offer) => sum + (parseInt(offer.prize_weight) || 1), 0);
+    if (totalWeight === 0) return null;
+
+    let ticket = crypto.randomInt(totalWeight);
+    for (const offer of offers) {
+        ticket -= parseInt(offer.prize_weight) || 1;
+        if (ticket < 0) return offer;
+    }
+    return null;
+}
+
+/**
+ * Whether an offer still has prizes left today and overall
+ * @param {Object} offer Offer row with won_today and won_total counts
+ * @returns {boolean} True if it can still be drawn
+ */
+function hasStock(offer) {
+    if (offer.daily_stock !== null && offer.daily_stock !== undefined && parseInt(offer.won_today) >= offer.daily_stock) {
+        return false;
+    }
+    if (offer.total_stock !== null && offer.total_stock !== undefined && parseInt(offer.won_total) >= offer.total_stock) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Shape a recorded draw (joined with its offer) for API responses
+ * @param {Object} row scratch_draws row with the offer columns prefixed offer_
+ * @returns {Object} { draw, offer, isDefault }
+ */
+function formatDraw(row) {
+    const offer = row.offer_id ? {
+        id: row.offer_id,
+        cost: row.offer_cost,
+        tizo_credit: row.offer_tizo_credit,
+        card_type: row.offer_card_type,
+        category: row.offer_category,
+        free_games: row.offer_free_games,
+        gift: row.offer_gift,
+        gift_details: row.offer_gift_details
+    } : null;
+    return {
+        draw: {
+            id: row.id,
+            sessionId: row.session_id,
+            kioskId: row.kiosk_id,
+            createdAt: row.created_at
+        },
+        offer: formatPrize(offer, row.card_type),
+        isDefault: offer === null
+    };
+}
+
+// Recorded draw with the drawn offer's prize columns
+const DRAW_QUERY = `SELECT d.*, o.cost AS offer_cost, o.tizo_credit AS offer_tizo_credit,
+        o.card_type AS offer_card_type, o.category AS offer_category, o.free_games AS offer_free_games,
+        o.gift AS offer_gift, o.gift_details AS offer_gift_details
+    FROM scratch_draws d
+    LEFT JOIN offers o ON o.id = d.offer_id
+    WHERE d.session_id = $1`;
+
+/**
+ * Draw a prize for a session and record it, or return the session's earlier draw
+ * The pool's offers are locked while drawing so concurrent kiosks cannot exceed a stock cap.
+ * @param {string} sessionId Kiosk session ID
+ * @param {string|null} dbCardType Card type of the pool (null draws from every scratch card offer)
+ * @returns {Promise<Object>} { draw, offer, isDefault, duplicate }
+ */
+async function drawPrize(sessionId, dbCardType) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(DRAW_QUERY, [sessionId]);
+        if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return { ...formatDraw(existing.rows[0]), duplicate: true };
+        }
+
+        const clock = localClock();
+        let query = `SELECT o.*,
+                (SELECT COUNT(*) FROM scratch_draws d WHERE d.offer_id = o.id AND d.created_at >= CURRENT_DATE) AS won_today,
+                (SELECT COUNT(*) FROM scratch_draws d WHERE d.offer_id = o.id) AS won_total
+            FROM offers o
+            WHERE o.category = 'Scratch Card' AND o.is_active = true
+            AND (o.start_date IS NULL OR o.start_date <= CURRENT_DATE)
+            AND (o.end_date IS NULL OR o.end_date >= CURRENT_DATE)
+            AND ${venueCondition(1)}
+            AND ${scheduleCondition(2, 3, 'o')}`;
+        const params = [KIOSK_ID, clock.time, clock.dayOfWeek];
+        if (dbCardType) {
+            params.push(dbCardType);
+            query += ` AND o.card_type = $${params.length}`;
+        }
+        query += ' ORDER BY o.id FOR UPDATE OF o';
+
+        const prizePool = await client.query(query, params);
+        const winner = pickWeighted(prizePool.rows.filter(hasStock));
+
+        const inserted = await client.query(
+            `INSERT INTO scratch_draws (session_id, offer_id, kiosk_id, card_type)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (session_id) DO NOTHING
+            RETURNING id`,
+            [sessionId, winner ? winner.id : null, KIOSK_ID, dbCardType]
+        );
+        await client.query('COMMIT');
+
+        // Read the draw back; if another request for this session won the race, that draw is returned
+        const recorded = await pool.query(DRAW_QUERY, [sessionId]);
+        const result = { ...formatDraw(recorded.rows[0]), duplicate: inserted.rows.length === 0 };
+        if (!result.duplicate) {
+            console.log(`🎟️ Scratch draw for session ${sessionId}: ${winner ? `offer ${winner.id} (${winner.product_name})` : 'default prize'}`);
+        }
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Draw a prize from the offline snapshot
+ * Stock caps cannot be checked and the draw is not recorded, so the kiosk keeps it in its session.
+ * @param {string|null} dbCardType Card type of the pool
+ * @returns {Object} { draw, offer, isDefault, duplicate }
+ */
+function drawCachedPrize(dbCardType) {
+    const clock = localClock();
+    const prizePool = snapshotOffers(offline.getSnapshot().tables)
+        .filter(o => o.category === 'Scratch Card' && offline.isOfferCurrent(o) && isOfferInSchedule(o, clock)
+            && (!dbCardType || o.card_type === dbCardType));
+    const winner = pickWeighted(prizePool);
+    return { draw: null, offer: formatPrize(winner, dbCardType), isDefault: !winner, duplicate: false };
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Draw the scratch card prize for a session (repeat calls return the same prize)
+    router.post('/api/scratch-card/draw', {
+        body: {
+            sessionId: SESSION_ID_PARAM,
+            cardType: { type: 'string' }
+        }
+    }, async (req, res) => {
+        const sessionId = parseSessionId(req.body.sessionId);
+        const dbCardType = toDbCardType(req.body.cardType);
+
+        let result;
+        let cached = false;
+        if (!offline.isOnline() && offline.hasSnapshot()) {
+            result = drawCachedPrize(dbCardType);
+            cached = true;
+        } else {
+            try {
+                result = await drawPrize(sessionId, dbCardType);
+            } catch (err) {
+                if (!offline.isConnectionError(err) || !offline.hasSnapshot()) throw err;
+                offline.markOffline(err);
+                result = drawCachedPrize(dbCardType);
+                cached = true;
+            }
+        }
+
+        sendJson(res, 200, {
+            success: true,
+            ...result,
+            message: result.isDefault
+                ? 'No scratch card prize available - using default values (100 RIBU → 200 TIZO)'
+                : `Scratch card prize for ${dbCardType || 'default'}`,
+            ...(cached ? offline.cachedFlag() : {})
+        });
+    });
+
+    // API: Get the prize already drawn for a session (prize-summary.html)
+    router.get('/api/scratch-card/draws/:sessionId', {
+        params: { sessionId: SESSION_ID_PARAM }
+    }, async (req, res) => {
+        const result = await offline.readQuery(DRAW_QUERY, [parseSessionId(req.params.sessionId)], () => []);
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'No scratch card draw for this session');
+        }
+
+        sendJson(res, 200, { success: true, ...formatDraw(result.rows[0]) });
+    });
+}
+
+module.exports = {
+    pickWeighted,
+    register
+};
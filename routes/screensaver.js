@@ -0,0 +1,169 @@
+/**
+ * Screensaver routes - the attract-loop playlist played by page-1/screensaver.html
+ * and its management through the admin API.
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { requireAdmin } = require('../auth/middleware');
+const { KIOSK_ID } = require('../config');
+const { findCurrentPlaylist } = require('../screensaver');
+const { MEDIA_TYPES, OFFER_CATEGORIES, PLAYLIST_COLUMNS, validatePlaylist } = require('../screensaver/validation');
+
+const PLAYLIST_ID_PARAMS = { id: { type: 'integer', min: 1 } };
+
+/**
+ * Load a playlist with its items
+ * @param {Object} db Pool or transaction client
+ * @param {number} playlistId Playlist ID
+ * @returns {Promise<Object|null>} Playlist row with items, or null if it does not exist
+ */
+async function loadPlaylist(db, playlistId) {
+    const playlist = await db.query('SELECT * FROM screensaver_playlists WHERE id = $1', [playlistId]);
+    if (playlist.rows.length === 0) return null;
+
+    const items = await db.query(
+        'SELECT * FROM screensaver_items WHERE playlist_id = $1 ORDER BY "position", id',
+        [playlistId]
+    );
+    return { ...playlist.rows[0], items: items.rows };
+}
+
+/**
+ * Create or update a playlist and replace its items
+ * @param {Object} values Validated playlist columns
+ * @param {Array<Object>} items Validated items, in play order
+ * @param {number} [playlistId] Playlist to update (creates one when omitted)
+ * @returns {Promise<Object>} Stored playlist with items
+ */
+async function savePlaylist(values, items, playlistId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const params = PLAYLIST_COLUMNS.map(column => values[column]);
+        let saved;
+        if (playlistId) {
+            const assignments = PLAYLIST_COLUMNS.map((column, i) => `${column} = $${i + 1}`);
+            params.push(playlistId);
+            saved = await client.query(
+                `UPDATE screensaver_playlists SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING id`,
+                params
+            );
+            await client.query('DELETE FROM screensaver_items WHERE playlist_id = $1', [playlistId]);
+        } else {
+            const placeholders = PLAYLIST_COLUMNS.map((column, i) => `$${i + 1}`);
+            saved = await client.query(
+                `INSERT INTO screensaver_playlists (${PLAYLIST_COLUMNS.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING id`,
+                params
+            );
+        }
+
+        const id = saved.rows[0].id;
+        for (const [position, item] of items.entries()) {
+            await client.query(
+                `INSERT INTO screensaver_items (playlist_id, "position", media_type, src, category, duration_ms)
+                VALUES ($1, $2, $3, $4, $5, $6)`,
+                [id, position + 1, item.media_type, item.src, item.category, item.duration_ms]
+            );
+        }
+
+        const playlist = await loadPlaylist(client, id);
+        await client.query('COMMIT');
+        return playlist;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: The playlist to play at this kiosk right now
+    // nextChangeAt tells the screensaver when to ask again (a playlist's time window starting or ending, or midnight)
+    router.get('/api/screensaver/playlist', async (req, res) => {
+        const result = await findCurrentPlaylist();
+        sendJson(res, 200, {
+            success: true,
+            playlist: result.playlist,
+            isDefault: result.isDefault,
+            kioskId: KIOSK_ID,
+            nextChangeAt: result.nextChangeAt,
+            ...(result.cached ? offline.cachedFlag() : {})
+        });
+    });
+
+    // API: Admin - list every playlist with its items
+    router.get('/api/admin/screensaver/playlists', { middleware: [requireAdmin] }, async (req, res) => {
+        const playlists = await pool.query('SELECT * FROM screensaver_playlists ORDER BY venue, priority DESC, id');
+        const items = await pool.query('SELECT * FROM screensaver_items ORDER BY playlist_id, "position", id');
+        sendJson(res, 200, {
+            success: true,
+            playlists: playlists.rows.map(playlist => ({
+                ...playlist,
+                items: items.rows.filter(item => item.playlist_id === playlist.id)
+            })),
+            mediaTypes: MEDIA_TYPES,
+            offerCategories: OFFER_CATEGORIES
+        });
+    });
+
+    // API: Admin - get one playlist
+    router.get('/api/admin/screensaver/playlists/:id', { middleware: [requireAdmin], params: PLAYLIST_ID_PARAMS }, async (req, res) => {
+        const playlist = await loadPlaylist(pool, req.params.id);
+        if (!playlist) {
+            throw new HttpError(404, 'Playlist not found');
+        }
+        sendJson(res, 200, { success: true, playlist: playlist });
+    });
+
+    // API: Admin - create a playlist with its items
+    router.post('/api/admin/screensaver/playlists', { middleware: [requireAdmin] }, async (req, res) => {
+        const { errors, values, items } = validatePlaylist(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const playlist = await savePlaylist(values, items);
+        console.log('✅ Screensaver playlist created:', playlist.id, playlist.name);
+        sendJson(res, 201, { success: true, playlist: playlist });
+    });
+
+    // API: Admin - update a playlist
+    // Updates may be partial (e.g. only is_active); items, when given, replace the whole list
+    router.put('/api/admin/screensaver/playlists/:id', { middleware: [requireAdmin], params: PLAYLIST_ID_PARAMS }, async (req, res) => {
+        const existing = await loadPlaylist(pool, req.params.id);
+        if (!existing) {
+            throw new HttpError(404, 'Playlist not found');
+        }
+
+        const { errors, values, items } = validatePlaylist({ ...existing, ...req.body });
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const playlist = await savePlaylist(values, items, req.params.id);
+        console.log('✅ Screensaver playlist updated:', playlist.id, playlist.name);
+        sendJson(res, 200, { success: true, playlist: playlist });
+    });
+
+    // API: Admin - delete a playlist and its items
+    router.delete('/api/admin/screensaver/playlists/:id', { middleware: [requireAdmin], params: PLAYLIST_ID_PARAMS }, async (req, res) => {
+        const result = await pool.query('DELETE FROM screensaver_playlists WHERE id = $1 RETURNING id, name', [req.params.id]);
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Playlist not found');
+        }
+
+        console.log('🗑️  Screensaver playlist deleted:', req.params.id, result.rows[0].name);
+        sendJson(res, 200, { success: true, playlist: result.rows[0] });
+    });
+}
+
+module.exports = {
+    register
+};
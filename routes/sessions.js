@@ -0,0 +1,357 @@
+/**
+ * Session routes - kiosk sessions mirrored from page-1/session-manager.js, resuming an
+ * unfinished session after a kiosk restart, and the staff view of sessions per kiosk
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { requireStaff } = require('../auth/middleware');
+const { KIOSK_ID } = require('../config');
+const { REPORT_QUERY, reportConditions } = require('./reporting');
+
+const SESSION_STATUSES = ['active', 'completed', 'abandoned'];
+
+// Session IDs from generateSessionId() ("TZ" + base36 time and random part)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// An active session without activity for this long is reported as abandoned ('expired')
+// and is no longer offered for resuming - the same timeout session-manager.js applies
+const SESSION_TIMEOUT_MS = parseInt(process.env.SESSION_TIMEOUT_MS) || 30 * 60 * 1000;
+
+// Payment states that rule out resuming: already paid, or a payment the customer may still complete
+const UNRESUMABLE_PAYMENT_STATUSES = ['paid', 'pending'];
+
+// The staff view lists at most this many sessions (newest first)
+const MAX_LISTED_SESSIONS = 500;
+
+// Body of POST / PATCH /api/sessions/:id (data is the session object, checked in parseSessionUpdate)
+const SESSION_BODY = {
+    revision: { type: 'integer', min: 0, message: 'revision must be a whole number' },
+    status: { type: 'string', message: `status must be one of ${SESSION_STATUSES.join(', ')}` },
+    reason: { type: 'string' }
+};
+
+/**
+ * Check the session ID and body of a POST / PATCH /api/sessions/:id request
+ * @param {Object} req Request with validated params and body
+ * @returns {Object} Update for saveSessionUpdate()
+ * @throws {HttpError} 400 for an invalid ID, status or session object
+ */
+function parseSessionUpdate(req) {
+    const sessionId = req.params.id;
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+        throw new HttpError(400, 'Invalid session ID');
+    }
+
+    const { revision, status, reason, data } = req.body;
+    if (status !== undefined && !SESSION_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of ${SESSION_STATUSES.join(', ')}`);
+    }
+    if (data !== undefined) {
+        if (!data || typeof data !== 'object' || Array.isArray(data) || data.sessionId !== sessionId) {
+            throw new HttpError(400, 'data must be the session object of this session');
+        }
+        if (revision === undefined) {
+            throw new HttpError(400, 'revision is required with data');
+        }
+    }
+
+    return {
+        sessionId: sessionId,
+        revision: revision,
+        data: data,
+        status: status,
+        reason: reason ? String(reason).slice(0, 50) : null
+    };
+}
+
+/**
+ * Read a timestamp (ms) from the session object
+ * @param {*} value Timestamp stored by session-manager.js
+ * @param {Date} fallback Time to use if it is missing or invalid
+ * @returns {Date} Time
+ */
+function sessionTime(value, fallback) {
+    const time = new Date(value);
+    return value && !isNaN(time) ? time : fallback;
+}
+
+/**
+ * Work out a session's new row from its current row and an update
+ * The session object is only replaced by a newer revision. Completed is final; a status of
+ * 'active' reopens an abandoned session and counts as a resume.
+ * @param {Object} row Current row
+ * @param {Object} update Update from parseSessionUpdate()
+ * @param {Date} now Time of the update
+ * @returns {Object} New row values
+ */
+function applySessionUpdate(row, update, now) {
+    const next = { ...row };
+
+    if (update.data && update.revision > row.revision) {
+        next.data = update.data;
+        next.revision = update.revision;
+        next.current_page = update.data.currentPage ? String(update.data.currentPage).slice(0, 50) : null;
+        next.last_activity_at = sessionTime(update.data.lastActivity, now);
+        if (update.data.transactionComplete === true && row.status !== 'completed') {
+            next.status = 'completed';
+            next.abandon_reason = null;
+            next.ended_at = next.last_activity_at;
+        }
+    }
+
+    if (next.status === 'completed') return next;
+
+    if (update.status === 'completed') {
+        next.status = 'completed';
+        next.abandon_reason = null;
+        next.ended_at = now;
+    } else if (update.status === 'abandoned' && next.status === 'active') {
+        next.status = 'abandoned';
+        next.abandon_reason = update.reason;
+        next.ended_at = now;
+    } else if (update.status === 'active') {
+        next.status = 'active';
+        next.abandon_reason = null;
+        next.ended_at = null;
+        next.resume_count = row.resume_count + 1;
+    }
+    return next;
+}
+
+/**
+ * Create or update a mirrored session
+ * Safe to replay: a stale revision does not overwrite newer data.
+ * @param {Object} update Update from parseSessionUpdate()
+ * @param {Object} [options]
+ * @param {boolean} [options.create] Create the session if the server does not have it yet (needs data)
+ * @param {Date} [options.now] Time of the update (set when replaying the offline outbox)
+ * @returns {Promise<{session: Object, created: boolean}|null>} Stored session, or null if it
+ *          does not exist and was not created
+ */
+async function saveSessionUpdate(update, { create = false, now = new Date() } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query('SELECT * FROM kiosk_sessions WHERE session_id = $1 FOR UPDATE', [update.sessionId]);
+        if (existing.rows.length === 0) {
+            if (!create || !update.data) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const row = applySessionUpdate({
+                status: 'active',
+                revision: -1,
+                current_page: null,
+                abandon_reason: null,
+                resume_count: 0,
+                ended_at: null
+            }, update, now);
+            const inserted = await client.query(
+                `INSERT INTO kiosk_sessions (session_id, kiosk_id, status, current_page, revision, data,
+                    abandon_reason, resume_count, started_at, last_activity_at, ended_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                ON CONFLICT (session_id) DO NOTHING
+                RETURNING *`,
+                [
+                    update.sessionId,
+                    KIOSK_ID,
+                    row.status,
+                    row.current_page,
+                    row.revision,
+                    JSON.stringify(row.data),
+                    row.abandon_reason,
+                    row.resume_count,
+                    sessionTime(update.data.createdAt, now),
+                    row.last_activity_at,
+                    row.ended_at
+                ]
+            );
+            await client.query('COMMIT');
+
+            // Another request created it first - apply this update on top
+            if (inserted.rows.length === 0) {
+                return saveSessionUpdate(update, { create: false, now: now });
+            }
+            return { session: inserted.rows[0], created: true };
+        }
+
+        const row = applySessionUpdate(existing.rows[0], update, now);
+        const updated = await client.query(
+            `UPDATE kiosk_sessions SET status = $2, current_page = $3, revision = $4, data = $5,
+                abandon_reason = $6, resume_count = $7, last_activity_at = $8, ended_at = $9
+            WHERE session_id = $1
+            RETURNING *`,
+            [
+                update.sessionId,
+                row.status,
+                row.current_page,
+                row.revision,
+                JSON.stringify(row.data),
+                row.abandon_reason,
+                row.resume_count,
+                row.last_activity_at,
+                row.ended_at
+            ]
+        );
+        await client.query('COMMIT');
+        return { session: updated.rows[0], created: false };
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Replay a queued session update from the offline outbox
+ * The session is created if needed, since its POST may have been queued as a PATCH.
+ * @param {Object} update Queued update
+ * @param {Date} queuedAt Time it was queued
+ * @returns {Promise<Object|null>} Result of saveSessionUpdate()
+ */
+function replaySessionUpdate(update, queuedAt) {
+    return saveSessionUpdate(update, { create: true, now: queuedAt });
+}
+
+/**
+ * SQL for the sessions with their reported status: an active session idle for longer than
+ * SESSION_TIMEOUT_MS is reported as abandoned with reason 'expired'
+ * @param {string} conditions WHERE conditions on kiosk_sessions
+ * @param {number} cutoffParam Parameter number of the inactivity cutoff
+ * @returns {string} Subquery
+ */
+function reportedSessionsQuery(conditions, cutoffParam) {
+    const expired = `(status = 'active' AND last_activity_at < $${cutoffParam})`;
+    return `SELECT session_id, kiosk_id, current_page, revision, data, resume_count,
+            started_at, last_activity_at, created_at, updated_at,
+            CASE WHEN ${expired} THEN 'abandoned' ELSE status END AS status,
+            CASE WHEN ${expired} THEN 'expired' ELSE abandon_reason END AS abandon_reason,
+            CASE WHEN ${expired} THEN last_activity_at ELSE ended_at END AS ended_at
+        FROM kiosk_sessions
+        WHERE ${conditions}`;
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: This kiosk's latest unfinished, unpaid session, for the resume prompt after a restart
+    // Answers { session: null } if there is none
+    router.get('/api/sessions/resumable', async (req, res) => {
+        const result = await pool.query(
+            `SELECT * FROM kiosk_sessions
+            WHERE kiosk_id = $1 AND status = 'active' AND last_activity_at >= $2
+            AND COALESCE(data->>'transactionComplete', 'false') <> 'true'
+            AND NOT COALESCE(data->>'paymentStatus', '') = ANY($3)
+            AND current_page IS DISTINCT FROM 'welcome'
+            ORDER BY last_activity_at DESC
+            LIMIT 1`,
+            [KIOSK_ID, new Date(Date.now() - SESSION_TIMEOUT_MS), UNRESUMABLE_PAYMENT_STATUSES]
+        );
+        sendJson(res, 200, { success: true, session: result.rows[0] || null });
+    });
+
+    // API: Mirror a new session (or update it if the server already has it)
+    // Body: { revision, data } with data the session object; optional status / reason
+    router.post('/api/sessions/:id', { body: SESSION_BODY }, async (req, res) => {
+        const update = parseSessionUpdate(req);
+        if (!update.data) {
+            throw new HttpError(400, 'data is required');
+        }
+
+        const result = await offline.writeOrQueue('session', update, data => saveSessionUpdate(data, { create: true }));
+        if (result.queued) {
+            sendJson(res, 202, { success: true, queued: true, sessionId: update.sessionId });
+        } else {
+            sendJson(res, result.created ? 201 : 200, { success: true, session: result.session });
+        }
+    });
+
+    // API: Update a mirrored session - newer data ({ revision, data }) and/or a status change:
+    // 'abandoned' with a reason, 'active' to resume it, 'completed'
+    // 404 if the server does not have the session yet (the kiosk then POSTs it)
+    router.patch('/api/sessions/:id', { body: SESSION_BODY }, async (req, res) => {
+        const update = parseSessionUpdate(req);
+        if (!update.data && !update.status) {
+            throw new HttpError(400, 'data or status is required');
+        }
+
+        const result = await offline.writeOrQueue('session', update, data => saveSessionUpdate(data));
+        if (result === null) {
+            throw new HttpError(404, 'Session not found');
+        }
+        if (result.queued) {
+            sendJson(res, 202, { success: true, queued: true, sessionId: update.sessionId });
+        } else {
+            sendJson(res, 200, { success: true, session: result.session });
+        }
+    });
+
+    // API: Staff - sessions per kiosk, newest first, with counts per kiosk and status
+    // Optional filters: from / to (YYYY-MM-DD, inclusive, on the start time), kiosk and status
+    router.get('/api/staff/sessions', {
+        middleware: [requireStaff],
+        query: {
+            ...REPORT_QUERY,
+            status: { type: 'string', message: `status must be one of ${SESSION_STATUSES.join(', ')}` },
+            limit: { type: 'integer', min: 1, max: MAX_LISTED_SESSIONS, message: `limit must be 1-${MAX_LISTED_SESSIONS}` }
+        }
+    }, async (req, res) => {
+        const status = req.query.status;
+        if (status !== undefined && !SESSION_STATUSES.includes(status)) {
+            throw new HttpError(400, `status must be one of ${SESSION_STATUSES.join(', ')}`);
+        }
+
+        const { conditions, params } = reportConditions(req.query, 'started_at', 'kiosk_id');
+        params.push(new Date(Date.now() - SESSION_TIMEOUT_MS));
+        const sessionsQuery = reportedSessionsQuery(conditions, params.length);
+
+        const listParams = [...params];
+        let statusCondition = '';
+        if (status) {
+            listParams.push(status);
+            statusCondition = `WHERE status = $${listParams.length}`;
+        }
+        listParams.push(req.query.limit || MAX_LISTED_SESSIONS);
+
+        const [sessions, counts] = await Promise.all([
+            pool.query(
+                `SELECT * FROM (${sessionsQuery}) sessions ${statusCondition}
+                ORDER BY last_activity_at DESC
+                LIMIT $${listParams.length}`,
+                listParams
+            ),
+            pool.query(
+                `SELECT kiosk_id, status, COUNT(*) AS count
+                FROM (${sessionsQuery}) sessions
+                GROUP BY kiosk_id, status
+                ORDER BY kiosk_id`,
+                params
+            )
+        ]);
+
+        const kiosks = {};
+        counts.rows.forEach(row => {
+            kiosks[row.kiosk_id] = kiosks[row.kiosk_id] || { active: 0, completed: 0, abandoned: 0 };
+            kiosks[row.kiosk_id][row.status] = parseInt(row.count);
+        });
+
+        sendJson(res, 200, {
+            success: true,
+            sessions: sessions.rows,
+            count: sessions.rows.length,
+            kiosks: kiosks,
+            timeoutMinutes: SESSION_TIMEOUT_MS / 60000
+        });
+    });
+}
+
+module.exports = {
+    register,
+    replaySessionUpdate
+};
@@ -0,0 +1,186 @@
+/**
+ * Staff routes - name and PIN login for edit mode and staff management for admins
+ */
+
+const pool = require('../db');
+const { sendJson, HttpError } = require('../router');
+const { ROLES, checkAdminPassword, hashPin, verifyPin, beginLoginAttempt, endLoginAttempt, createToken } = require('../auth');
+const { requireAdmin } = require('../auth/middleware');
+const { getClientAddress } = require('../auth/attempts');
+
+// Staff PINs are 4-8 digits
+const PIN_PATTERN = /^\d{4,8}$/;
+
+const STAFF_COLUMNS = 'id, name, is_active, created_at, updated_at';
+
+// Name to log in with the admin password instead of a staff PIN
+const ADMIN_LOGIN_NAME = 'admin';
+
+/**
+ * Find the active staff member with this name and PIN
+ * Only that account's PIN hash is checked, so a login costs one scrypt whatever the size of the staff table.
+ * @param {string} name Name entered at the kiosk (case does not matter)
+ * @param {string} pin PIN entered at the kiosk
+ * @returns {Promise<Object|null>} Staff row or null
+ */
+async function findStaffByLogin(name, pin) {
+    const result = await pool.query(
+        'SELECT id, name, pin_hash FROM staff WHERE is_active = true AND lower(name) = lower($1) ORDER BY id',
+        [name]
+    );
+    for (const row of result.rows) {
+        if (await verifyPin(pin, row.pin_hash)) return row;
+    }
+    return null;
+}
+
+/**
+ * Check a new staff member's name: staff log in with it, so it must be unique (ignoring case)
+ * @param {string} name New name (trimmed)
+ * @param {number} [exceptId] Staff ID being updated
+ * @throws {HttpError} 400 for an empty or reserved name, 409 if it is taken
+ */
+async function checkNewName(name, exceptId = null) {
+    if (!name) {
+        throw new HttpError(400, 'name is required');
+    }
+    if (name.toLowerCase() === ADMIN_LOGIN_NAME) {
+        throw new HttpError(400, `${ADMIN_LOGIN_NAME} is reserved for the admin password`);
+    }
+    const existing = await pool.query(
+        'SELECT id FROM staff WHERE lower(name) = lower($1) AND id <> $2',
+        [name, exceptId || 0]
+    );
+    if (existing.rows.length > 0) {
+        throw new HttpError(409, `Staff member ${name} already exists`);
+    }
+}
+
+/**
+ * Check a new PIN's format
+ * @param {string} pin New PIN
+ * @throws {HttpError} 400 for a malformed PIN
+ */
+function checkNewPin(pin) {
+    if (!PIN_PATTERN.test(pin)) {
+        throw new HttpError(400, 'pin must be 4-8 digits');
+    }
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Staff login for edit mode - exchange a staff name and PIN (or 'admin' and the admin password) for a bearer token
+    // Failed attempts are counted per account and per client. The admin account is counted per client, so
+    // nobody can lock it out everywhere (the count is shared with POST /api/admin/login).
+    router.post('/api/staff/login', {
+        body: {
+            name: { type: 'string', required: true, message: 'name is required' },
+            pin: { type: 'string', required: true, message: 'pin is required' }
+        }
+    }, async (req, res) => {
+        const name = req.body.name.trim();
+        const isAdmin = name.toLowerCase() === ADMIN_LOGIN_NAME;
+        const client = getClientAddress(req);
+        const accountKey = isAdmin ? `${ADMIN_LOGIN_NAME}@${client}` : `staff:${name.toLowerCase()}`;
+        if (!beginLoginAttempt(accountKey, client)) {
+            throw new HttpError(429, 'Too many failed attempts - try again in a few minutes');
+        }
+
+        const pin = req.body.pin;
+        let login = null;
+        if (isAdmin) {
+            if (checkAdminPassword(pin)) {
+                login = createToken(ADMIN_LOGIN_NAME, ROLES.ADMIN);
+                login.name = ADMIN_LOGIN_NAME;
+            }
+        } else {
+            const staff = await findStaffByLogin(name, pin);
+            if (staff) {
+                login = createToken(staff.name, ROLES.STAFF);
+                login.name = staff.name;
+            }
+        }
+
+        endLoginAttempt(accountKey, client, login !== null);
+        if (!login) {
+            console.warn('❌ Failed staff login attempt for', name);
+            throw new HttpError(401, 'Invalid name or PIN');
+        }
+
+        console.log('✅ Edit mode unlocked by', login.name);
+        sendJson(res, 200, { success: true, token: login.token, expiresAt: login.expiresAt, name: login.name });
+    });
+
+    // API: Admin - list staff (PIN hashes are never returned)
+    router.get('/api/admin/staff', { middleware: [requireAdmin] }, async (req, res) => {
+        const result = await pool.query(`SELECT ${STAFF_COLUMNS} FROM staff ORDER BY name`);
+        sendJson(res, 200, { success: true, staff: result.rows, count: result.rows.length });
+    });
+
+    // API: Admin - add a staff member with their PIN
+    router.post('/api/admin/staff', {
+        middleware: [requireAdmin],
+        body: {
+            name: { type: 'string', required: true },
+            pin: { type: 'string', required: true }
+        }
+    }, async (req, res) => {
+        const name = req.body.name.trim();
+        checkNewPin(req.body.pin);
+        await checkNewName(name);
+
+        const result = await pool.query(
+            `INSERT INTO staff (name, pin_hash) VALUES ($1, $2) RETURNING ${STAFF_COLUMNS}`,
+            [name, await hashPin(req.body.pin)]
+        );
+        console.log('✅ Staff member added:', name);
+        sendJson(res, 201, { success: true, staff: result.rows[0] });
+    });
+
+    // API: Admin - rename a staff member, change their PIN or (de)activate them
+    router.put('/api/admin/staff/:id', {
+        middleware: [requireAdmin],
+        params: { id: { type: 'integer', min: 1 } },
+        body: {
+            name: { type: 'string' },
+            pin: { type: 'string' },
+            is_active: { type: 'boolean' }
+        }
+    }, async (req, res) => {
+        const staffId = req.params.id;
+        const existing = await pool.query('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (existing.rows.length === 0) {
+            throw new HttpError(404, 'Staff member not found');
+        }
+
+        const staff = existing.rows[0];
+        const name = req.body.name ? req.body.name.trim() : staff.name;
+        if (name !== staff.name) {
+            await checkNewName(name, staffId);
+        }
+
+        let pinHash = staff.pin_hash;
+        if (req.body.pin) {
+            checkNewPin(req.body.pin);
+            pinHash = await hashPin(req.body.pin);
+        }
+
+        const result = await pool.query(
+            `UPDATE staff SET name = $1, pin_hash = $2, is_active = $3 WHERE id = $4 RETURNING ${STAFF_COLUMNS}`,
+            [
+                name,
+                pinHash,
+                typeof req.body.is_active === 'boolean' ? req.body.is_active : staff.is_active,
+                staffId
+            ]
+        );
+        console.log('✅ Staff member updated:', result.rows[0].name);
+        sendJson(res, 200, { success: true, staff: result.rows[0] });
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,95 @@
+/**
+ * Static file serving (the router's fallback for every non-API path)
+ * Edit-mode layout saves are handled in routes/layouts.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BASE_DIR } = require('../config');
+
+// Only the kiosk pages, the admin panel and their shared files are served - never .env,
+// data/ (offline outbox with card numbers) or the server's own code
+const PUBLIC_DIRS = ['page-1', 'admin', 'nulshock'];
+const PUBLIC_FILES = ['edit-mode.js', 'edit-mode.css'];
+
+const mimeTypes = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.json': 'application/json',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.ico': 'image/x-icon'
+};
+
+/**
+ * Check whether a path under BASE_DIR may be served
+ * @param {string} filePath Absolute path
+ * @returns {boolean} True for files in PUBLIC_DIRS and PUBLIC_FILES, except dotfiles
+ */
+function isPublicPath(filePath) {
+    const segments = path.relative(BASE_DIR, filePath).split(path.sep);
+    if (segments.some(segment => segment === '' || segment.startsWith('.'))) return false;
+    return segments.length === 1
+        ? PUBLIC_FILES.includes(segments[0])
+        : PUBLIC_DIRS.includes(segments[0]);
+}
+
+/**
+ * Serve a public file from BASE_DIR (the router's fallback for non-API requests)
+ * @param {http.IncomingMessage} req Request
+ * @param {http.ServerResponse} res Response
+ */
+function serveStatic(req, res) {
+    // req.path has the query parameters already stripped
+    console.log('Static request:', req.url);
+    const requestUrl = req.path;
+    console.log('requestUrl:', requestUrl);
+    if (requestUrl === '/') {
+        res.writeHead(302, { 'Location': '/page-1/welcome.html' });
+        res.end();
+        return;
+    }
+    let filePath = requestUrl;
+    console.log('initial filePath:', filePath);
+    filePath = path.join(BASE_DIR, filePath);
+    console.log('final filePath:', filePath);
+    console.log('BASE_DIR:', BASE_DIR);
+    console.log('exists:', fs.existsSync(filePath));
+
+    if (!isPublicPath(filePath)) {
+        res.writeHead(404);
+        res.end('File not found');
+        return;
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const contentType = mimeTypes[ext] || 'application/octet-stream';
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            console.log('Read error:', err);
+            if (err.code === 'ENOENT') {
+                res.writeHead(404);
+                res.end('File not found');
+            } else {
+                res.writeHead(500);
+                res.end('Server error');
+            }
+        } else {
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(content);
+        }
+    });
+}
+
+module.exports = {
+    serveStatic
+};
@@ -0,0 +1,521 @@
+/**
+ * Transaction routes - record completed sales and list them for reconciliation
+ * A paid sale with a member card has its TIZO credited to the card through the
+ * card system (cardsystem/); failed credits are retried in the background.
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { KIOSK_ID } = require('../config');
+const { requireAdmin } = require('../auth/middleware');
+const { CardSystemError, getCardSystem, idempotencyKey } = require('../cardsystem');
+const { REPORT_QUERY, reportConditions } = require('./reporting');
+const { parseCardNumber } = require('./members');
+const { claimVoucher, recordRedemption } = require('../vouchers');
+const { loadPricingConfig, loadCurrencyConfig } = require('../settings');
+const { calculateTizoQuote } = require('../page-1/tizo-pricing');
+const { toDisplayUnits } = require('../page-1/currency');
+
+// Line item types accepted by POST /api/transactions (the kiosk's cart line types)
+// A 'voucher' line carries the code in details, its discount as a negative amount and its bonus as tizo
+const TRANSACTION_ITEM_TYPES = ['topup', 'scratch', 'ood', 'ooh', 'card_fee', 'gift', 'voucher'];
+
+// transactions.credit_status
+const CREDIT_STATUS = {
+    NONE: 'none',             // no member card - the cashier tops up the card
+    PENDING: 'pending',
+    CREDITED: 'credited',
+    FAILED: 'failed',         // retryable failure, tried again by the retry loop
+    REJECTED: 'rejected',     // refused by the card system or out of attempts - needs staff
+    UNPAID: 'unpaid',         // the payment is not (or no longer) paid
+    REVERSED: 'reversed'      // debited again after a refund
+};
+
+const CREDIT_MAX_ATTEMPTS = parseInt(process.env.CARD_CREDIT_MAX_ATTEMPTS) || 8;
+
+// Retry loop interval, and the wait before the first retry (doubled per attempt up to CREDIT_MAX_BACKOFF_MS)
+const CREDIT_RETRY_MS = parseInt(process.env.CARD_CREDIT_RETRY_MS) || 30000;
+const CREDIT_MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Attempts at taking a credit back after a refund before staff have to step in
+const REVERSAL_ATTEMPTS = 3;
+
+// Transaction IDs with a credit request on the way, so the retry loop never overlaps the first attempt
+const creditsInFlight = new Set();
+
+/**
+ * Add up the amounts and TIZO of line items
+ * @param {Array<Object>} items Line items (amount and tizo are line totals)
+ * @returns {{amount: number, tizo: number}}
+ */
+function sumItems(items) {
+    return items.reduce((sum, item) => ({
+        amount: sum.amount + (parseFloat(item.amount) || 0),
+        tizo: sum.tizo + (parseFloat(item.tizo) || 0)
+    }), { amount: 0, tizo: 0 });
+}
+
+/**
+ * Store a completed transaction and its line items
+ * Totals are always derived from the items so the stored sale matches its breakdown.
+ * A voucher line item is redeemed in the same database transaction (see vouchers/). The sale is stored as
+ * it was paid: a code that can no longer be used is honoured, and a line that is not what the voucher
+ * gives fails the whole sale (409) instead of changing its total.
+ * @param {Object} data Validated POST /api/transactions body
+ * @param {Date} [createdAt] Time of the sale (set when replaying the offline outbox)
+ * @returns {Promise<{transaction: Object, duplicate: boolean}>} Stored (or already existing) transaction
+ */
+async function saveTransaction(data, createdAt = new Date()) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const items = data.items;
+        let voucherClaim = null;
+        const voucherItem = items.find(item => item.type === 'voucher');
+        if (voucherItem) {
+            // A re-posted order keeps the voucher it was stored with - only claim a use for a new sale
+            const existing = await client.query('SELECT * FROM transactions WHERE order_number = $1', [data.orderNumber]);
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { transaction: existing.rows[0], duplicate: true };
+            }
+
+            const otherItems = items.filter(item => item !== voucherItem);
+            voucherClaim = await claimVoucher(client, voucherItem, sumItems(otherItems), { orderNumber: data.orderNumber, at: createdAt });
+        }
+
+        const totals = sumItems(items);
+        const hasItem = type => items.some(item => item.type === type);
+        const cardNumber = data.cardNumber || null;
+        const creditStatus = cardNumber && totals.tizo > 0 ? CREDIT_STATUS.PENDING : CREDIT_STATUS.NONE;
+
+        const inserted = await client.query(
+            `INSERT INTO transactions (order_number, session_id, kiosk_id, card_type, card_quantity,
+                is_new_player, offer_id, custom_amount, scratch_accepted, ood_accepted, ooh_accepted,
+                total_cost, total_tizo, language, payment_id, card_number, credit_status, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+            ON CONFLICT (order_number) DO NOTHING
+            RETURNING *`,
+            [
+                data.orderNumber,
+                data.sessionId || null,
+                KIOSK_ID,
+                data.cardType || null,
+                parseInt(data.cardQuantity) || 1,
+                typeof data.isNewPlayer === 'boolean' ? data.isNewPlayer : null,
+                parseInt(data.offerId) || null,
+                data.customAmount ? parseFloat(data.customAmount) : null,
+                hasItem('scratch'),
+                hasItem('ood'),
+                hasItem('ooh'),
+                totals.amount,
+                totals.tizo,
+                data.language || null,
+                parseInt(data.paymentId) || null,
+                cardNumber,
+                creditStatus,
+                createdAt
+            ]
+        );
+
+        if (inserted.rows.length === 0) {
+            await client.query('ROLLBACK');
+            const existing = await client.query('SELECT * FROM transactions WHERE order_number = $1', [data.orderNumber]);
+            return { transaction: existing.rows[0], duplicate: true };
+        }
+
+        const transaction = inserted.rows[0];
+        for (const item of items) {
+            await client.query(
+                `INSERT INTO transaction_items (transaction_id, item_type, offer_id, quantity, amount, tizo, details)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [
+                    transaction.id,
+                    item.type,
+                    parseInt(item.offerId) || null,
+                    parseInt(item.quantity) || 1,
+                    parseFloat(item.amount) || 0,
+                    parseFloat(item.tizo) || 0,
+                    item.details || null
+                ]
+            );
+        }
+
+        if (voucherClaim) {
+            await recordRedemption(client, transaction, voucherClaim);
+        }
+
+        await client.query('COMMIT');
+        return { transaction: transaction, duplicate: false };
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        if (err.code === '23505' && err.constraint === 'idx_transactions_payment_id') {
+            throw new HttpError(409, 'The payment is already linked to another transaction');
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Record the outcome of a card-system request on a transaction
+ * @param {number} transactionId Transaction ID
+ * @param {Object} update { status, ref, error, attempted }
+ * @returns {Promise<Object>} Updated transaction row
+ */
+async function updateCredit(transactionId, update) {
+    const result = await pool.query(
+        `UPDATE transactions SET
+            credit_status = $2,
+            credit_ref = COALESCE($3, credit_ref),
+            credit_error = $4,
+            credit_attempts = credit_attempts + $5,
+            credit_attempted_at = CASE WHEN $5 > 0 THEN NOW() ELSE credit_attempted_at END,
+            credited_at = CASE WHEN $6 THEN NOW() ELSE credited_at END
+        WHERE id = $1
+        RETURNING *`,
+        [transactionId, update.status, update.ref || null, update.error || null, update.attempted ? 1 : 0,
+            update.status === CREDIT_STATUS.CREDITED]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Work out the TIZO a transaction buys from its stored line items, without trusting the kiosk's figures
+ * A line with the offerId of an offer at the line's price gets the offer's tizo_credit. Any other top-up
+ * is priced like the kiosk prices it: an upsell_offers row for that amount, else the custom top-up formula
+ * (calculateTizoQuote). A voucher adds the bonus recorded with its redemption; gifts and card fees add none.
+ * @param {Object} transaction transactions row
+ * @returns {Promise<number>} TIZO to credit
+ */
+async function calculateOrderTizo(transaction) {
+    const [items, redemption, pricing, currency] = await Promise.all([
+        pool.query('SELECT item_type, offer_id, quantity, amount FROM transaction_items WHERE transaction_id = $1', [transaction.id]),
+        pool.query('SELECT bonus_tizo FROM voucher_redemptions WHERE transaction_id = $1', [transaction.id]),
+        loadPricingConfig(),
+        loadCurrencyConfig()
+    ]);
+
+    const offerIds = items.rows.map(item => item.offer_id).filter(id => id !== null);
+    const offers = offerIds.length > 0
+        ? (await pool.query('SELECT id, cost, tizo_credit FROM offers WHERE id = ANY($1)', [offerIds])).rows
+        : [];
+
+    return items.rows.reduce((sum, item) => {
+        const quantity = item.quantity || 1;
+        const unitAmount = parseFloat(item.amount) / quantity;
+        const offer = offers.find(o => o.id === item.offer_id && Math.abs(parseFloat(o.cost) - unitAmount) < 0.005);
+        if (offer) {
+            return sum + parseFloat(offer.tizo_credit) * quantity;
+        }
+
+        switch (item.item_type) {
+            case 'topup': {
+                const amountRb = toDisplayUnits(unitAmount, currency);
+                const tier = pricing.tiers.find(t => Number(t.topup_rb) === amountRb);
+                const unitTizo = tier ? Number(tier.tizo_value) : calculateTizoQuote(amountRb, pricing).totalTizo;
+                return sum + unitTizo * quantity;
+            }
+            case 'voucher':
+                return sum + (redemption.rows.length > 0 ? parseFloat(redemption.rows[0].bonus_tizo) : 0);
+            default:
+                // Add-ons are always sold as offers; without one they give nothing that can be checked
+                return sum;
+        }
+    }, 0);
+}
+
+/**
+ * Find why a transaction's payment does not pay for it
+ * @param {Object} transaction transactions row joined with its payment (payment_order_number, payment_amount)
+ * @returns {string|null} Problem, or null if the payment is for this order and its full amount
+ */
+function findPaymentProblem(transaction) {
+    if (transaction.payment_order_number !== transaction.order_number) {
+        return `Payment ${transaction.payment_id} is for order ${transaction.payment_order_number}`;
+    }
+    if (Math.abs(parseFloat(transaction.payment_amount) - parseFloat(transaction.total_cost)) >= 0.005) {
+        return `Payment of ${parseFloat(transaction.payment_amount)} does not match the order total of ${parseFloat(transaction.total_cost)}`;
+    }
+    return null;
+}
+
+/**
+ * Credit a transaction's TIZO to its member card
+ * Only pending or failed credits of transactions paid in full by their own payment are sent, and only
+ * when the TIZO worked out on the server (calculateOrderTizo) matches the sale. The idempotency key is
+ * derived from the order number, so a retry after a lost response never credits twice.
+ * @param {number} transactionId Transaction ID
+ * @returns {Promise<Object|null>} Transaction row after the attempt (null if unknown or already in progress)
+ */
+async function creditTransaction(transactionId) {
+    if (creditsInFlight.has(transactionId)) return null;
+    creditsInFlight.add(transactionId);
+
+    try {
+        const found = await pool.query(
+            `SELECT t.*, p.status AS payment_status, p.order_number AS payment_order_number, p.amount AS payment_amount
+            FROM transactions t
+            LEFT JOIN payments p ON p.id = t.payment_id WHERE t.id = $1`,
+            [transactionId]
+        );
+        const transaction = found.rows[0];
+        if (!transaction || ![CREDIT_STATUS.PENDING, CREDIT_STATUS.FAILED].includes(transaction.credit_status)) {
+            return transaction || null;
+        }
+
+        if (transaction.payment_status !== 'paid') {
+            console.warn(`⚠️ Order ${transaction.order_number} not credited: payment is ${transaction.payment_status || 'missing'}`);
+            return updateCredit(transaction.id, {
+                status: CREDIT_STATUS.UNPAID,
+                error: `Payment is ${transaction.payment_status || 'missing'}`
+            });
+        }
+
+        const paymentProblem = findPaymentProblem(transaction);
+        if (paymentProblem) {
+            console.warn(`⚠️ Order ${transaction.order_number} not credited: ${paymentProblem}`);
+            return updateCredit(transaction.id, { status: CREDIT_STATUS.REJECTED, error: paymentProblem });
+        }
+
+        const tizo = await calculateOrderTizo(transaction);
+        if (Math.abs(tizo - parseFloat(transaction.total_tizo)) >= 0.005) {
+            const error = `Order is worth ${tizo} TIZO, not ${parseFloat(transaction.total_tizo)}`;
+            console.warn(`⚠️ Order ${transaction.order_number} not credited: ${error}`);
+            return updateCredit(transaction.id, { status: CREDIT_STATUS.REJECTED, error: error });
+        }
+
+        try {
+            const result = await getCardSystem().credit({
+                cardNumber: transaction.card_number,
+                amount: tizo,
+                idempotencyKey: idempotencyKey(transaction.order_number, 'credit'),
+                reference: transaction.order_number
+            });
+            console.log(`🎴 Order ${transaction.order_number}: ${tizo} TIZO credited to card ${transaction.card_number}`);
+            return updateCredit(transaction.id, { status: CREDIT_STATUS.CREDITED, ref: result.ref, attempted: true });
+        } catch (err) {
+            // Anything but a CardSystemError (e.g. a network error) may be retried
+            const retryable = !(err instanceof CardSystemError) || err.retryable;
+            const attempts = transaction.credit_attempts + 1;
+            const status = retryable && attempts < CREDIT_MAX_ATTEMPTS ? CREDIT_STATUS.FAILED : CREDIT_STATUS.REJECTED;
+            console.warn(`⚠️ Order ${transaction.order_number}: credit attempt ${attempts} failed (${status}):`, err.message);
+            return updateCredit(transaction.id, { status: status, error: err.message, attempted: true });
+        }
+    } finally {
+        creditsInFlight.delete(transactionId);
+    }
+}
+
+/**
+ * Retry pending and failed credits whose backoff has passed
+ * Transactions synced from the offline outbox are credited here too.
+ */
+async function retryPendingCredits() {
+    try {
+        const result = await pool.query(
+            `SELECT id, credit_attempts, credit_attempted_at FROM transactions
+            WHERE credit_status IN ('pending', 'failed') ORDER BY id LIMIT 50`
+        );
+        const due = result.rows.filter(row => {
+            if (!row.credit_attempted_at) return true;
+            const backoff = Math.min(CREDIT_RETRY_MS * Math.pow(2, row.credit_attempts - 1), CREDIT_MAX_BACKOFF_MS);
+            return Date.now() - new Date(row.credit_attempted_at).getTime() >= backoff;
+        });
+        for (const row of due) {
+            await creditTransaction(row.id);
+        }
+    } catch (err) {
+        if (!offline.isConnectionError(err)) {
+            console.error('❌ Credit retry failed:', err.message);
+        }
+    }
+}
+
+/**
+ * Start the background retry of pending and failed credits
+ */
+function startCreditRetries() {
+    setInterval(retryPendingCredits, CREDIT_RETRY_MS);
+    retryPendingCredits();
+}
+
+/**
+ * Take back the TIZO credited for a payment after it was refunded in full
+ * @param {number} paymentId Refunded payment ID
+ * @returns {Promise<Object|null>} Updated transaction row, or null if nothing was credited
+ * @throws {Error} If the card system refuses or cannot be reached
+ */
+async function reverseCredit(paymentId) {
+    const found = await pool.query(
+        'SELECT * FROM transactions WHERE payment_id = $1 AND credit_status = $2',
+        [paymentId, CREDIT_STATUS.CREDITED]
+    );
+    const transaction = found.rows[0];
+    if (!transaction) return null;
+
+    // Retried right away - the refund has already happened, so the card should follow it
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await getCardSystem().debit({
+                cardNumber: transaction.card_number,
+                amount: parseFloat(transaction.total_tizo),
+                idempotencyKey: idempotencyKey(transaction.order_number, 'debit'),
+                reference: transaction.order_number
+            });
+            break;
+        } catch (err) {
+            const retryable = !(err instanceof CardSystemError) || err.retryable;
+            if (!retryable || attempt >= REVERSAL_ATTEMPTS) throw err;
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+    console.log(`🎴 Order ${transaction.order_number}: credit reversed on card ${transaction.card_number}`);
+    return updateCredit(transaction.id, { status: CREDIT_STATUS.REVERSED });
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Record a completed transaction with its line items
+    // Re-posting the same order number returns the stored transaction instead of duplicating it
+    // While the database is unreachable the transaction is queued in the offline outbox (202)
+    // With a member cardNumber the TIZO is credited to the card once the payment is paid
+    // A 'voucher' item (code in details) is redeemed with the sale
+    router.post('/api/transactions', {
+        body: {
+            orderNumber: { type: 'string', required: true, message: 'orderNumber and at least one item are required' },
+            cardNumber: { type: 'string' }
+        }
+    }, async (req, res) => {
+        const data = req.body;
+        if (data.cardNumber) {
+            data.cardNumber = parseCardNumber(data.cardNumber);
+        }
+        if (!Array.isArray(data.items) || data.items.length === 0) {
+            throw new HttpError(400, 'orderNumber and at least one item are required');
+        }
+
+        const invalidItem = data.items.find(item => !TRANSACTION_ITEM_TYPES.includes(item.type));
+        if (invalidItem) {
+            throw new HttpError(400, `Unknown item type: ${invalidItem.type}`);
+        }
+        const invalidQuantity = data.items.find(item => item.quantity !== undefined
+            && !(Number.isInteger(item.quantity) && item.quantity > 0));
+        if (invalidQuantity) {
+            throw new HttpError(400, `Invalid quantity for ${invalidQuantity.type} item: ${invalidQuantity.quantity}`);
+        }
+        const voucherItems = data.items.filter(item => item.type === 'voucher');
+        if (voucherItems.length > 1) {
+            throw new HttpError(400, 'Only one voucher can be used per transaction');
+        }
+        if (voucherItems.length === 1 && (typeof voucherItems[0].details !== 'string' || !voucherItems[0].details.trim())) {
+            throw new HttpError(400, 'The voucher item needs its code in details');
+        }
+
+        const result = await offline.writeOrQueue('transaction', data, saveTransaction);
+        if (result.queued) {
+            sendJson(res, 202, { success: true, queued: true, orderNumber: data.orderNumber, ...offline.cachedFlag() });
+        } else if (result.duplicate) {
+            sendJson(res, 200, { success: true, transaction: result.transaction, duplicate: true });
+        } else {
+            console.log('✅ Transaction recorded:', result.transaction.order_number);
+            sendJson(res, 201, { success: true, transaction: result.transaction });
+            if (result.transaction.credit_status === CREDIT_STATUS.PENDING) {
+                creditTransaction(result.transaction.id).catch(err => console.error('❌ Credit failed:', err.message));
+            }
+        }
+    });
+
+    // API: Admin - list transactions for reconciliation
+    // Optional filters: from / to (YYYY-MM-DD, inclusive) and kiosk
+    router.get('/api/transactions', {
+        middleware: [requireAdmin],
+        query: REPORT_QUERY
+    }, async (req, res) => {
+        const { conditions, params } = reportConditions(req.query, 't.created_at', 't.kiosk_id');
+
+        const result = await pool.query(
+            `SELECT t.*, COALESCE(
+                json_agg(json_build_object(
+                    'type', i.item_type,
+                    'offerId', i.offer_id,
+                    'quantity', i.quantity,
+                    'amount', i.amount,
+                    'tizo', i.tizo,
+                    'details', i.details
+                ) ORDER BY i.id) FILTER (WHERE i.id IS NOT NULL), '[]') AS items
+            FROM transactions t
+            LEFT JOIN transaction_items i ON i.transaction_id = t.id
+            WHERE ${conditions}
+            GROUP BY t.id ORDER BY t.created_at DESC`,
+            params
+        );
+
+        const totalCost = result.rows.reduce((sum, row) => sum + parseFloat(row.total_cost), 0);
+        const totalTizo = result.rows.reduce((sum, row) => sum + parseFloat(row.total_tizo), 0);
+
+        sendJson(res, 200, {
+            success: true,
+            transactions: result.rows,
+            count: result.rows.length,
+            totals: {
+                cost: totalCost,
+                tizo: totalTizo
+            }
+        });
+    });
+
+    // API: Admin - credit a transaction's TIZO to its card again after a rejected, failed or unpaid attempt
+    router.post('/api/admin/transactions/:id/credit', {
+        middleware: [requireAdmin],
+        params: { id: { type: 'integer', min: 1 } }
+    }, async (req, res) => {
+        const reset = await pool.query(
+            `UPDATE transactions SET credit_status = $2, credit_attempts = 0
+            WHERE id = $1 AND card_number IS NOT NULL AND credit_status IN ('failed', 'rejected', 'unpaid')
+            RETURNING id`,
+            [req.params.id, CREDIT_STATUS.PENDING]
+        );
+        if (reset.rows.length === 0) {
+            const existing = await pool.query('SELECT credit_status FROM transactions WHERE id = $1', [req.params.id]);
+            if (existing.rows.length === 0) {
+                throw new HttpError(404, 'Transaction not found');
+            }
+            throw new HttpError(409, `Cannot credit a transaction with credit status ${existing.rows[0].credit_status}`);
+        }
+
+        const transaction = await creditTransaction(req.params.id);
+        if (!transaction) {
+            throw new HttpError(409, 'A credit for this transaction is already in progress');
+        }
+        sendJson(res, 200, { success: true, transaction: transaction });
+    });
+
+    // API: Admin - current TIZO balance of a card in the card system
+    router.get('/api/admin/cards/:cardNumber/balance', {
+        middleware: [requireAdmin],
+        params: { cardNumber: { type: 'string', required: true } }
+    }, async (req, res) => {
+        const cardNumber = parseCardNumber(req.params.cardNumber);
+        try {
+            const { balance } = await getCardSystem().getBalance(cardNumber);
+            sendJson(res, 200, { success: true, cardNumber: cardNumber, balance: balance });
+        } catch (err) {
+            throw new HttpError(502, `Card system: ${err.message}`);
+        }
+    });
+}
+
+module.exports = {
+    CREDIT_STATUS,
+    saveTransaction,
+    creditTransaction,
+    reverseCredit,
+    startCreditRetries,
+    register
+};
@@ -0,0 +1,184 @@
+/**
+ * Voucher routes - promo and voucher codes entered on the bill summary (page-1/voucher-keypad.js)
+ * and their management through the admin API. Codes are redeemed when the sale is recorded
+ * (POST /api/transactions with a 'voucher' line item).
+ */
+
+const pool = require('../db');
+const offline = require('../offline');
+const { sendJson, HttpError } = require('../router');
+const { requireAdmin } = require('../auth/middleware');
+const { createAttemptLimiter, getClientAddress } = require('../auth/attempts');
+const { VOUCHER_PROBLEMS, findVoucher, calculateBenefit, findVoucherProblem } = require('../vouchers');
+const { VOUCHER_TYPES, VOUCHER_COLUMNS, validateVoucher } = require('../vouchers/validation');
+
+const VOUCHER_ID_PARAMS = { id: { type: 'integer', min: 1 } };
+
+// Codes that cannot be used, allowed per client before its checks are refused, so codes cannot be guessed
+const MAX_VOUCHER_FAILURES = parseInt(process.env.VOUCHER_MAX_FAILURES) || 10;
+const VOUCHER_LOCKOUT_MS = 5 * 60 * 1000;
+const voucherAttempts = createAttemptLimiter(MAX_VOUCHER_FAILURES, VOUCHER_LOCKOUT_MS);
+
+/**
+ * Throw the error telling the kiosk why a code cannot be used
+ * @param {string} problem Key of VOUCHER_PROBLEMS
+ * @throws {HttpError}
+ */
+function rejectVoucher(problem) {
+    const { status, message } = VOUCHER_PROBLEMS[problem];
+    throw new HttpError(status, message, { reason: problem });
+}
+
+/**
+ * Store a validated voucher, translating a taken code into a 409
+ * @param {string} query INSERT or UPDATE statement
+ * @param {Array} params Query parameters
+ * @returns {Promise<Object>} Stored vouchers row
+ */
+async function writeVoucher(query, params) {
+    try {
+        const result = await pool.query(query, params);
+        return result.rows[0];
+    } catch (err) {
+        if (err.code === '23505') {
+            throw new HttpError(409, 'A voucher with this code already exists');
+        }
+        throw err;
+    }
+}
+
+/**
+ * @param {Object} router Router from createRouter()
+ */
+function register(router) {
+    // API: Check a code against the order on the bill summary and work out what it gives
+    // amount / tizo: the order's totals without the voucher
+    // Codes are only checked against the database - there is no offline fallback (503)
+    // A client whose codes fail MAX_VOUCHER_FAILURES times is refused for VOUCHER_LOCKOUT_MS (429)
+    router.post('/api/vouchers/validate', {
+        body: {
+            code: { type: 'string', required: true, message: 'code is required' },
+            amount: { type: 'number', min: 0 },
+            tizo: { type: 'number', min: 0 }
+        }
+    }, async (req, res) => {
+        const order = { amount: req.body.amount || 0, tizo: req.body.tizo || 0 };
+        const client = getClientAddress(req);
+        if (!voucherAttempts.tryAttempt(client)) {
+            console.warn('❌ Voucher checks refused for', client, '- too many codes that cannot be used');
+            throw new HttpError(429, 'Too many codes that cannot be used - try again in a few minutes', { reason: 'too_many_attempts' });
+        }
+
+        let voucher;
+        try {
+            voucher = await findVoucher(pool, req.body.code);
+        } catch (err) {
+            voucherAttempts.releaseAttempt(client);
+            if (!offline.isConnectionError(err)) throw err;
+            offline.markOffline(err);
+            throw new HttpError(503, 'Vouchers cannot be checked while offline', { reason: 'offline' });
+        }
+
+        const problem = findVoucherProblem(voucher, order);
+        if (problem) {
+            rejectVoucher(problem);
+        }
+        voucherAttempts.releaseAttempt(client);
+
+        sendJson(res, 200, {
+            success: true,
+            voucher: {
+                code: voucher.code,
+                type: voucher.voucher_type,
+                value: parseFloat(voucher.value),
+                description: voucher.description
+            },
+            benefit: calculateBenefit(voucher, order)
+        });
+    });
+
+    // API: Admin - list every voucher
+    router.get('/api/admin/vouchers', { middleware: [requireAdmin] }, async (req, res) => {
+        const result = await pool.query('SELECT * FROM vouchers ORDER BY created_at DESC, id DESC');
+        sendJson(res, 200, { success: true, vouchers: result.rows, count: result.rows.length, voucherTypes: VOUCHER_TYPES });
+    });
+
+    // API: Admin - get one voucher with its redemptions
+    router.get('/api/admin/vouchers/:id', { middleware: [requireAdmin], params: VOUCHER_ID_PARAMS }, async (req, res) => {
+        const result = await pool.query('SELECT * FROM vouchers WHERE id = $1', [req.params.id]);
+        if (result.rows.length === 0) {
+            throw new HttpError(404, 'Voucher not found');
+        }
+
+        const redemptions = await pool.query(
+            'SELECT * FROM voucher_redemptions WHERE voucher_id = $1 ORDER BY created_at DESC',
+            [req.params.id]
+        );
+        sendJson(res, 200, { success: true, voucher: { ...result.rows[0], redemptions: redemptions.rows } });
+    });
+
+    // API: Admin - create a voucher
+    router.post('/api/admin/vouchers', { middleware: [requireAdmin] }, async (req, res) => {
+        const { errors, values } = validateVoucher(req.body);
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const placeholders = VOUCHER_COLUMNS.map((column, i) => `$${i + 1}`);
+        const voucher = await writeVoucher(
+            `INSERT INTO vouchers (${VOUCHER_COLUMNS.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+            VOUCHER_COLUMNS.map(column => values[column])
+        );
+
+        console.log('✅ Voucher created:', voucher.id, voucher.code);
+        sendJson(res, 201, { success: true, voucher: voucher });
+    });
+
+    // API: Admin - update a voucher
+    // Updates may be partial (e.g. only is_active) - the merged row is validated
+    router.put('/api/admin/vouchers/:id', { middleware: [requireAdmin], params: VOUCHER_ID_PARAMS }, async (req, res) => {
+        const existing = await pool.query('SELECT * FROM vouchers WHERE id = $1', [req.params.id]);
+        if (existing.rows.length === 0) {
+            throw new HttpError(404, 'Voucher not found');
+        }
+
+        const { errors, values } = validateVoucher({ ...existing.rows[0], ...req.body });
+        if (errors.length > 0) {
+            throw new HttpError(400, errors.join('; '), { errors: errors });
+        }
+
+        const params = VOUCHER_COLUMNS.map(column => values[column]);
+        const assignments = VOUCHER_COLUMNS.map((column, i) => `${column} = $${i + 1}`);
+        params.push(req.params.id);
+        const voucher = await writeVoucher(
+            `UPDATE vouchers SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING *`,
+            params
+        );
+
+        console.log('✅ Voucher updated:', voucher.id, voucher.code);
+        sendJson(res, 200, { success: true, voucher: voucher });
+    });
+
+    // API: Admin - delete a voucher that has never been redeemed
+    // Redeemed vouchers stay for the sales records - set is_active to false instead
+    router.delete('/api/admin/vouchers/:id', { middleware: [requireAdmin], params: VOUCHER_ID_PARAMS }, async (req, res) => {
+        const result = await pool.query(
+            'DELETE FROM vouchers WHERE id = $1 AND use_count = 0 RETURNING id, code',
+            [req.params.id]
+        );
+        if (result.rows.length === 0) {
+            const existing = await pool.query('SELECT id FROM vouchers WHERE id = $1', [req.params.id]);
+            if (existing.rows.length === 0) {
+                throw new HttpError(404, 'Voucher not found');
+            }
+            throw new HttpError(409, 'A redeemed voucher cannot be deleted - deactivate it instead');
+        }
+
+        console.log('🗑️  Voucher deleted:', req.params.id, result.rows[0].code);
+        sendJson(res, 200, { success: true, voucher: result.rows[0] });
+    });
+}
+
+module.exports = {
+    register
+};
@@ -0,0 +1,88 @@
+/**
+ * Screensaver Playlists for Tizo Kiosk
+ * Picks the playlist page-1/screensaver.html plays at this kiosk right now.
+ * A playlist for this kiosk's KIOSK_ID wins over the '*' playlists for every kiosk; among
+ * those running now (dates, time window, days of the week) the highest priority wins.
+ * Without any, the built-in DEFAULT_PLAYLIST is played.
+ */
+
+const offline = require('../offline');
+const { KIOSK_ID } = require('../config');
+const { localClock, isOfferInSchedule, hasSchedule, nextScheduleChange } = require('../offers/schedule');
+
+// Played when no playlist is configured or running
+const DEFAULT_PLAYLIST = {
+    id: null,
+    name: 'Default attract loop',
+    items: [
+        { type: 'image', src: 'cat-screensaver.gif', category: null, durationMs: 10000 },
+        { type: 'offer', src: null, category: 'OOD', durationMs: 8000 },
+        { type: 'offer', src: null, category: 'OOH', durationMs: 8000 }
+    ]
+};
+
+/**
+ * Shape a screensaver_items row for the kiosk
+ * @param {Object} row screensaver_items row
+ * @returns {Object} { type, src, category, durationMs }
+ */
+function formatItem(row) {
+    return {
+        type: row.media_type,
+        src: row.src,
+        category: row.category,
+        durationMs: row.duration_ms
+    };
+}
+
+/**
+ * Find the playlist running now at this kiosk
+ * @param {Date} [now] Current time
+ * @returns {Promise<{playlist: Object, isDefault: boolean, nextChangeAt: Date, cached: boolean}>}
+ *          Playlist with its items and when the running playlist can next change
+ */
+async function findCurrentPlaylist(now = new Date()) {
+    const clock = localClock(now);
+
+    // Every playlist that could run at this kiosk today; the time window is checked below
+    // so its start or end can be reported as the next change
+    const playlists = await offline.readQuery(
+        `SELECT * FROM screensaver_playlists
+            WHERE is_active = true AND venue IN ('*', $1)
+            AND (start_date IS NULL OR start_date <= CURRENT_DATE)
+            AND (end_date IS NULL OR end_date >= CURRENT_DATE)`,
+        [KIOSK_ID],
+        tables => (tables.screensaver_playlists || [])
+            .filter(p => (p.venue === '*' || p.venue === KIOSK_ID) && offline.isOfferCurrent(p))
+    );
+
+    const running = playlists.rows
+        .filter(p => isOfferInSchedule(p, clock))
+        .sort((a, b) => (b.venue === KIOSK_ID) - (a.venue === KIOSK_ID) || b.priority - a.priority || b.id - a.id);
+    const nextChangeAt = nextScheduleChange(playlists.rows.filter(hasSchedule), now);
+
+    for (const playlist of running) {
+        const items = await offline.readQuery(
+            'SELECT * FROM screensaver_items WHERE playlist_id = $1 ORDER BY "position", id',
+            [playlist.id],
+            tables => (tables.screensaver_items || [])
+                .filter(item => item.playlist_id === playlist.id)
+                .sort((a, b) => a.position - b.position || a.id - b.id)
+        );
+        if (items.rows.length > 0) {
+            return {
+                playlist: { id: playlist.id, name: playlist.name, items: items.rows.map(formatItem) },
+                isDefault: false,
+                nextChangeAt: nextChangeAt,
+                cached: playlists.cached || items.cached
+            };
+        }
+    }
+
+    return { playlist: DEFAULT_PLAYLIST, isDefault: true, nextChangeAt: nextChangeAt, cached: playlists.cached };
+}
+
+module.exports = {
+    DEFAULT_PLAYLIST,
+    findCurrentPlaylist
+};
@@ -0,0 +1,136 @@
+/**
+ * Screensaver Playlist Validation
+ * Validates playlists written through the admin API (tables in migrations/015_screensaver_playlists.sql).
+ */
+
+const { normaliseDate, normaliseTime, normaliseDays } = require('../offers/validation');
+
+const MEDIA_TYPES = ['image', 'video', 'offer'];
+
+// Offer categories an 'offer' item can show (see GET /api/active-offer)
+const OFFER_CATEGORIES = ['OOD', 'OOH'];
+
+// Every writable screensaver_playlists column (id, created_at and updated_at are managed by the database)
+const PLAYLIST_COLUMNS = [
+    'name', 'venue', 'priority', 'start_date', 'end_date',
+    'start_time', 'end_time', 'days_of_week', 'is_active'
+];
+
+// A file next to the kiosk pages (e.g. cat-screensaver.gif, media/promo.mp4), a site path or an http(s) URL
+const SRC_PATTERN = /^(https?:\/\/[^\s"'<>]+|\/?[A-Za-z0-9_\-./]+)$/;
+
+/**
+ * Validate one playlist item
+ * @param {Object} item { media_type, src, category, duration_ms }
+ * @param {number} index Position in the list (for error messages)
+ * @param {string[]} errors Errors to add to
+ * @returns {Object} Cleaned item
+ */
+function validateItem(item, index, errors) {
+    const label = `items[${index}]`;
+    if (!item || typeof item !== 'object') {
+        errors.push(`${label} must be an object`);
+        return {};
+    }
+
+    const values = { media_type: item.media_type, src: null, category: null, duration_ms: null };
+    if (!MEDIA_TYPES.includes(item.media_type)) {
+        errors.push(`${label}.media_type must be one of: ${MEDIA_TYPES.join(', ')}`);
+    }
+
+    if (item.media_type === 'offer') {
+        const category = item.category ? String(item.category).toUpperCase() : '';
+        if (!OFFER_CATEGORIES.includes(category)) {
+            errors.push(`${label}.category must be one of: ${OFFER_CATEGORIES.join(', ')}`);
+        }
+        values.category = category;
+    } else if (item.media_type) {
+        const src = item.src ? String(item.src).trim() : '';
+        if (!SRC_PATTERN.test(src) || src.includes('..')) {
+            errors.push(`${label}.src must be a file name, path or http(s) URL`);
+        }
+        values.src = src;
+    }
+
+    if (item.duration_ms === undefined || item.duration_ms === null || item.duration_ms === '') {
+        if (item.media_type !== 'video') {
+            errors.push(`${label}.duration_ms is required for ${item.media_type || 'this'} items`);
+        }
+    } else if (!Number.isInteger(Number(item.duration_ms)) || Number(item.duration_ms) < 1000) {
+        errors.push(`${label}.duration_ms must be a whole number of at least 1000`);
+    } else {
+        values.duration_ms = Number(item.duration_ms);
+    }
+
+    return values;
+}
+
+/**
+ * Validate a complete playlist with its items
+ * @param {Object} input Playlist fields and items (API input merged over the stored playlist for updates)
+ * @returns {{errors: string[], values: Object, items: Array<Object>}} Validation errors, cleaned columns and items
+ */
+function validatePlaylist(input) {
+    const errors = [];
+    const values = {};
+
+    values.name = input.name ? String(input.name).trim() : '';
+    if (values.name === '') errors.push('name is required');
+    if (values.name.length > 100) errors.push('name must be at most 100 characters');
+
+    values.venue = input.venue ? String(input.venue).trim() : '*';
+    if (values.venue.length > 100) errors.push('venue must be at most 100 characters');
+
+    if (input.priority === undefined || input.priority === null || input.priority === '') {
+        values.priority = 0;
+    } else if (!Number.isInteger(Number(input.priority))) {
+        errors.push('priority must be a whole number');
+    } else {
+        values.priority = Number(input.priority);
+    }
+
+    values.start_date = normaliseDate(input.start_date);
+    values.end_date = normaliseDate(input.end_date);
+    if (values.start_date === undefined) errors.push('start_date must be a date (YYYY-MM-DD)');
+    if (values.end_date === undefined) errors.push('end_date must be a date (YYYY-MM-DD)');
+    if (values.start_date && values.end_date && values.end_date < values.start_date) {
+        errors.push('end_date cannot be before start_date');
+    }
+
+    values.start_time = normaliseTime(input.start_time);
+    values.end_time = normaliseTime(input.end_time);
+    if (values.start_time === undefined) errors.push('start_time must be a time (HH:MM)');
+    if (values.end_time === undefined) errors.push('end_time must be a time (HH:MM)');
+    if (values.start_time && values.start_time === values.end_time) {
+        errors.push('end_time cannot be the same as start_time');
+    }
+
+    values.days_of_week = normaliseDays(input.days_of_week);
+    if (values.days_of_week === undefined) {
+        errors.push('days_of_week must be a list of days from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    if (input.is_active === undefined || input.is_active === null) {
+        values.is_active = true;
+    } else if (typeof input.is_active !== 'boolean') {
+        errors.push('is_active must be true or false');
+    } else {
+        values.is_active = input.is_active;
+    }
+
+    let items = [];
+    if (!Array.isArray(input.items) || input.items.length === 0) {
+        errors.push('items must be a non-empty list');
+    } else {
+        items = input.items.map((item, index) => validateItem(item, index, errors));
+    }
+
+    return { errors, values, items };
+}
+
+module.exports = {
+    MEDIA_TYPES,
+    OFFER_CATEGORIES,
+    PLAYLIST_COLUMNS,
+    validatePlaylist
+};
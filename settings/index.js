@@ -0,0 +1,93 @@
+/**
+ * Kiosk Settings
+ * JSON settings from the settings table (migrations/006_settings.sql); a row for this
+ * kiosk's venue overrides the '*' default. Also caches the TIZO pricing config used by
+ * calculateTizoQuote and the venue's currency format used by page-1/currency.js.
+ */
+
+const offline = require('../offline');
+const { KIOSK_ID } = require('../config');
+const { DEFAULT_PRICING_CONFIG } = require('../page-1/tizo-pricing');
+const { DEFAULT_CURRENCY_CONFIG, normalizeCurrencyConfig } = require('../page-1/currency');
+
+// Pricing config (settings 'pricing' + upsell_offers tiers) used by calculateTizoQuote
+const PRICING_CACHE_TTL_MS = parseInt(process.env.PRICING_CACHE_TTL_MS) || 60000;
+let pricingCache = null;
+let pricingLoadedAt = 0;
+
+// Currency format (settings 'currency'), cached like the pricing config
+let currencyCache = null;
+let currencyLoadedAt = 0;
+
+/**
+ * Read a JSON setting, preferring this kiosk's venue over the '*' default
+ * @param {string} key Setting key
+ * @returns {Promise<Object|null>} Setting value
+ */
+async function getSetting(key) {
+    const result = await offline.readQuery(
+        `SELECT value FROM settings WHERE key = $1 AND venue IN ($2, '*')
+         ORDER BY (venue = '*') LIMIT 1`,
+        [key, KIOSK_ID],
+        tables => tables.settings
+            .filter(row => row.key === key && (row.venue === KIOSK_ID || row.venue === '*'))
+            .sort((a, b) => (a.venue === '*') - (b.venue === '*'))
+    );
+    return result.rows.length > 0 ? result.rows[0].value : null;
+}
+
+/**
+ * Load the TIZO pricing config from the database into cache
+ * Kept for PRICING_CACHE_TTL_MS; a failed refresh keeps the previous config.
+ * @param {boolean} [force] Reload even if the cache is fresh
+ * @returns {Promise<Object>} Pricing config { baseUnitRb, baseMultiplier, tiers }
+ */
+async function loadPricingConfig(force = false) {
+    if (!force && pricingCache && Date.now() - pricingLoadedAt < PRICING_CACHE_TTL_MS) {
+        return pricingCache;
+    }
+
+    try {
+        const [setting, tiers] = await Promise.all([
+            getSetting('pricing'),
+            offline.readQuery('SELECT topup_rb, tizo_value FROM upsell_offers ORDER BY topup_rb', [], tables => tables.upsell_offers)
+        ]);
+        pricingCache = {
+            baseUnitRb: Number((setting && setting.baseUnitRb) || DEFAULT_PRICING_CONFIG.baseUnitRb),
+            baseMultiplier: Number((setting && setting.baseMultiplier) || DEFAULT_PRICING_CONFIG.baseMultiplier),
+            tiers: tiers.rows
+        };
+        pricingLoadedAt = Date.now();
+        console.log('✅ Loaded TIZO pricing:', pricingCache.baseUnitRb, 'Rb base,', pricingCache.tiers.length, 'tiers');
+    } catch (err) {
+        console.error('❌ Failed to load TIZO pricing:', err.message);
+    }
+    return pricingCache || DEFAULT_PRICING_CONFIG;
+}
+
+/**
+ * Load this venue's currency format from the database into cache
+ * Kept for PRICING_CACHE_TTL_MS; a failed refresh keeps the previous format.
+ * @param {boolean} [force] Reload even if the cache is fresh
+ * @returns {Promise<Object>} Currency config { locale, symbol, symbolPosition, minorUnits, grouping, displayUnit, displayUnitLabel }
+ */
+async function loadCurrencyConfig(force = false) {
+    if (!force && currencyCache && Date.now() - currencyLoadedAt < PRICING_CACHE_TTL_MS) {
+        return currencyCache;
+    }
+
+    try {
+        const setting = await getSetting('currency');
+        currencyCache = normalizeCurrencyConfig(setting) || DEFAULT_CURRENCY_CONFIG;
+        currencyLoadedAt = Date.now();
+    } catch (err) {
+        console.error('❌ Failed to load currency format:', err.message);
+    }
+    return currencyCache || DEFAULT_CURRENCY_CONFIG;
+}
+
+module.exports = {
+    getSetting,
+    loadPricingConfig,
+    loadCurrencyConfig
+};
@@ -53,11 +53,9 @@ echo.
 echo Before starting the server, make sure you have:
 echo.
 echo 1. Created a PostgreSQL database named 'TimeZoneDB'
-echo 2. Imported the TimeZoneDB.sql file in pgAdmin:
-echo    - Open pgAdmin
-echo    - Right-click on your database
-echo    - Select Query Tool
-echo    - Open and execute TimeZoneDB.sql
+echo 2. Set DB_HOST, DB_PORT, DB_NAME, DB_USER and DB_PASSWORD in .env
+echo 3. Created the tables by running:
+echo    npm run migrate:seed
 echo.
 echo ========================================
 echo.
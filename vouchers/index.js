@@ -0,0 +1,167 @@
+/**
+ * Vouchers for Tizo Kiosk
+ * Checks a promo or voucher code typed on the bill summary against the order and works out
+ * what it gives, and redeems it with the sale (see saveTransaction in routes/transactions.js).
+ * A code can be used while it is active, between its dates, at its venues and until max_uses is reached.
+ */
+
+const offline = require('../offline');
+const { KIOSK_ID } = require('../config');
+const { normaliseDate } = require('../offers/validation');
+const { normaliseCode } = require('./validation');
+const { HttpError } = require('../router/response');
+
+// Why a code cannot be used - the key is sent to the kiosk as `reason`
+const VOUCHER_PROBLEMS = {
+    not_found: { status: 404, message: 'Voucher not found' },
+    wrong_venue: { status: 409, message: 'Voucher is not valid at this kiosk' },
+    not_started: { status: 409, message: 'Voucher is not valid yet' },
+    expired: { status: 409, message: 'Voucher has expired' },
+    used_up: { status: 409, message: 'Voucher has been used up' },
+    order_too_small: { status: 409, message: 'Order total must be more than the voucher discount' }
+};
+
+/**
+ * Look up a voucher by its code
+ * @param {Object} db Pool or transaction client
+ * @param {string} code Code as typed (case does not matter)
+ * @param {boolean} [lock] Lock the row until the transaction ends (SELECT ... FOR UPDATE)
+ * @returns {Promise<Object|null>} vouchers row, or null if there is no such code
+ */
+async function findVoucher(db, code, lock = false) {
+    const result = await db.query(
+        `SELECT * FROM vouchers WHERE code = $1${lock ? ' FOR UPDATE' : ''}`,
+        [normaliseCode(code)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Work out what a voucher gives on an order
+ * @param {Object} voucher vouchers row
+ * @param {Object} order { amount, tizo } of the order without the voucher
+ * @returns {{discount: number, bonusTizo: number}} Amount taken off the price and TIZO added
+ */
+function calculateBenefit(voucher, order) {
+    const value = parseFloat(voucher.value);
+    switch (voucher.voucher_type) {
+        case 'extra_tizo':
+            return { discount: 0, bonusTizo: value };
+        case 'percent_bonus':
+            return { discount: 0, bonusTizo: Math.round((parseFloat(order.tizo) || 0) * value / 100) };
+        case 'fixed_discount':
+            return { discount: value, bonusTizo: 0 };
+        default:
+            return { discount: 0, bonusTizo: 0 };
+    }
+}
+
+/**
+ * Find why a voucher cannot be used on an order
+ * @param {Object|null} voucher vouchers row
+ * @param {Object} order { amount, tizo } of the order without the voucher
+ * @param {Date} [at] Time of the sale
+ * @returns {string|null} Key of VOUCHER_PROBLEMS, or null if the voucher can be used
+ */
+function findVoucherProblem(voucher, order, at = new Date()) {
+    if (!voucher || voucher.is_active === false) return 'not_found';
+    if (!offline.isOfferAtVenue(voucher, KIOSK_ID)) return 'wrong_venue';
+
+    const day = normaliseDate(at);
+    const startDate = normaliseDate(voucher.start_date);
+    const endDate = normaliseDate(voucher.end_date);
+    if (startDate && startDate > day) return 'not_started';
+    if (endDate && endDate < day) return 'expired';
+
+    if (voucher.max_uses !== null && voucher.max_uses !== undefined && voucher.use_count >= voucher.max_uses) {
+        return 'used_up';
+    }
+    // A discount must leave something to pay
+    if (voucher.voucher_type === 'fixed_discount' && (parseFloat(order.amount) || 0) <= parseFloat(voucher.value)) {
+        return 'order_too_small';
+    }
+    return null;
+}
+
+/**
+ * Take one use of a sale's voucher, inside the database transaction storing the sale
+ * The line's discount and bonus must be what the voucher gives on the rest of the order. The use is
+ * taken with a conditional UPDATE, so max_uses holds across kiosks. The customer has paid for the order
+ * with the voucher line, so a code that was validated but can no longer be used (e.g. another kiosk took
+ * its last use, or the sale was queued offline past end_date) is still honoured: the redemption is
+ * recorded with its problem and does not count in use_count.
+ * @param {Object} client Transaction client
+ * @param {Object} item The sale's voucher line item (details holds the code)
+ * @param {Object} order { amount, tizo } of the sale without the voucher
+ * @param {Object} sale { orderNumber, at } - the sale's order number and time
+ * @returns {Promise<{voucher: Object, benefit: Object, problem: string|null}>} Claimed voucher, its benefit
+ *   and the VOUCHER_PROBLEMS key it was honoured despite (null if it could be used)
+ * @throws {HttpError} 409 if the code does not exist or the line does not give what the voucher gives
+ */
+async function claimVoucher(client, item, order, sale) {
+    const voucher = await findVoucher(client, item.details, true);
+    if (!voucher) {
+        throw new HttpError(409, `Voucher ${item.details} of order ${sale.orderNumber} does not exist`, { reason: 'not_found' });
+    }
+
+    const benefit = calculateBenefit(voucher, order);
+    const discount = -(parseFloat(item.amount) || 0);
+    const bonusTizo = parseFloat(item.tizo) || 0;
+    if (Math.abs(benefit.discount - discount) >= 0.005 || Math.abs(benefit.bonusTizo - bonusTizo) >= 0.005) {
+        throw new HttpError(409, `Voucher ${voucher.code} of order ${sale.orderNumber} gives ${benefit.discount} off and ${benefit.bonusTizo} TIZO, the line ${discount} off and ${bonusTizo} TIZO`, { reason: 'benefit_mismatch' });
+    }
+    // A discount that leaves nothing to pay was never validated
+    let problem = findVoucherProblem(voucher, order, sale.at);
+    if (problem === 'order_too_small') {
+        throw new HttpError(409, `Order ${sale.orderNumber}: ${VOUCHER_PROBLEMS.order_too_small.message}`, { reason: problem });
+    }
+    if (!problem) {
+        const claimed = await client.query(
+            'UPDATE vouchers SET use_count = use_count + 1 WHERE id = $1 AND (max_uses IS NULL OR use_count < max_uses) RETURNING id',
+            [voucher.id]
+        );
+        if (claimed.rows.length === 0) {
+            problem = 'used_up';
+        }
+    }
+    if (problem) {
+        console.error(`❌ Order ${sale.orderNumber}: voucher ${voucher.code} honoured although it could not be used: ${VOUCHER_PROBLEMS[problem].message}`);
+    }
+    return { voucher: voucher, benefit: benefit, problem: problem };
+}
+
+/**
+ * Record the redemption of a claimed voucher with its stored sale
+ * @param {Object} client Transaction client
+ * @param {Object} transaction Stored transactions row
+ * @param {Object} claim Result of claimVoucher
+ * @returns {Promise<Object>} voucher_redemptions row
+ */
+async function recordRedemption(client, transaction, claim) {
+    const result = await client.query(
+        `INSERT INTO voucher_redemptions (voucher_id, transaction_id, order_number, kiosk_id, discount, bonus_tizo, problem, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [
+            claim.voucher.id,
+            transaction.id,
+            transaction.order_number,
+            transaction.kiosk_id,
+            claim.benefit.discount,
+            claim.benefit.bonusTizo,
+            claim.problem,
+            transaction.created_at
+        ]
+    );
+    console.log(`🎫 Order ${transaction.order_number}: voucher ${claim.voucher.code} redeemed`);
+    return result.rows[0];
+}
+
+module.exports = {
+    VOUCHER_PROBLEMS,
+    findVoucher,
+    calculateBenefit,
+    findVoucherProblem,
+    claimVoucher,
+    recordRedemption
+};
@@ -0,0 +1,107 @@
+/**
+ * Voucher Validation
+ * Validates voucher codes written through the admin API (tables in migrations/019_vouchers.sql).
+ */
+
+const { normaliseDate } = require('../offers/validation');
+
+// vouchers.voucher_type - what the value of a code means
+const VOUCHER_TYPES = [
+    'extra_tizo',       // value TIZO on top of the order
+    'percent_bonus',    // value % of the order's TIZO on top
+    'fixed_discount'    // value off the amount to pay
+];
+
+// Every writable vouchers column (id, use_count, created_at and updated_at are managed by the database)
+const VOUCHER_COLUMNS = [
+    'code', 'voucher_type', 'value', 'description', 'start_date', 'end_date',
+    'max_uses', 'venue', 'is_active'
+];
+
+// Letters, digits and dashes, as typed on the bill summary keypad
+const CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+
+/**
+ * Normalise a code as the customer may type it: case and surrounding spaces do not matter
+ * @param {*} code Code
+ * @returns {string} Upper-case code ('' when empty)
+ */
+function normaliseCode(code) {
+    return code === undefined || code === null ? '' : String(code).trim().toUpperCase();
+}
+
+/**
+ * Validate a complete voucher record
+ * @param {Object} input Voucher fields (API input merged over the stored row for updates)
+ * @returns {{errors: string[], values: Object}} Validation errors and the cleaned column values
+ */
+function validateVoucher(input) {
+    const errors = [];
+    const values = {};
+
+    values.code = normaliseCode(input.code);
+    if (!CODE_PATTERN.test(values.code)) {
+        errors.push('code must be 3 to 32 letters, digits or dashes');
+    }
+
+    if (!VOUCHER_TYPES.includes(input.voucher_type)) {
+        errors.push(`voucher_type must be one of: ${VOUCHER_TYPES.join(', ')}`);
+    } else {
+        values.voucher_type = input.voucher_type;
+    }
+
+    const value = Number(input.value);
+    if (input.value === undefined || input.value === null || input.value === '' || !Number.isFinite(value) || value <= 0) {
+        errors.push('value must be a positive number');
+    } else if (values.voucher_type === 'percent_bonus' && value > 1000) {
+        errors.push('value of a percent_bonus voucher must be at most 1000');
+    } else {
+        values.value = value;
+    }
+
+    values.description = input.description ? String(input.description).trim() : null;
+    if (values.description && values.description.length > 255) {
+        errors.push('description must be at most 255 characters');
+    }
+
+    values.start_date = normaliseDate(input.start_date);
+    values.end_date = normaliseDate(input.end_date);
+    if (values.start_date === undefined) errors.push('start_date must be a date (YYYY-MM-DD)');
+    if (values.end_date === undefined) errors.push('end_date must be a date (YYYY-MM-DD)');
+    if (values.start_date && values.end_date && values.end_date < values.start_date) {
+        errors.push('end_date cannot be before start_date');
+    }
+
+    if (input.max_uses === undefined || input.max_uses === null || input.max_uses === '') {
+        values.max_uses = null;
+    } else if (!Number.isInteger(Number(input.max_uses)) || Number(input.max_uses) < 1) {
+        errors.push('max_uses must be a whole number of at least 1');
+    } else {
+        values.max_uses = Number(input.max_uses);
+    }
+
+    if (input.venue === undefined || input.venue === null) {
+        values.venue = null;
+    } else if (!Array.isArray(input.venue) || input.venue.some(v => typeof v !== 'string' || v.trim() === '')) {
+        errors.push('venue must be a list of venue names');
+    } else {
+        values.venue = [...new Set(input.venue.map(v => v.trim()))];
+    }
+
+    if (input.is_active === undefined || input.is_active === null) {
+        values.is_active = true;
+    } else if (typeof input.is_active !== 'boolean') {
+        errors.push('is_active must be true or false');
+    } else {
+        values.is_active = input.is_active;
+    }
+
+    return { errors, values };
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    VOUCHER_COLUMNS,
+    normaliseCode,
+    validateVoucher
+};